@@ -0,0 +1,247 @@
+/**
+ * Build inventory lots for data recorded before lots existed. For every product not yet
+ * backfilled (Product.lotsBackfilled), replays its whole history in date order:
+ * - each purchase line opens a lot (on the supplier's oldest product for the variant,
+ *   as the app does)
+ * - stock that no purchase explains becomes an OPENING lot dated when the product was
+ *   created, at the average cost of its purchases
+ * - goods returned to the supplier leave the purchase line's own lot first
+ * - completed sales take from the oldest lots and get their costAmount; customer
+ *   returns put units back into the lots their sale took them from
+ * Lots the app opened for such a product after the migration (purchases, sales, fallback
+ * opening lots) are discarded and rebuilt by the replay, which covers those documents
+ * too, so the backfill can run after the store is back in business. Each product is
+ * rebuilt in one transaction holding the product's row lock, like a sale.
+ * Safe to run more than once: backfilled products are skipped.
+ *
+ * Run: npm run db:backfill-lots
+ */
+
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new PrismaClient();
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+/**
+ * Replay one product's history in memory. Returns the lots (with their consumptions)
+ * and the recorded costs of its sale and sale return lines.
+ */
+function replay(product, purchaseItems, saleItems, openingCost) {
+  const lots = [];
+  const saleCosts = {};
+  const returnCosts = {};
+  const problems = [];
+
+  const openLot = (data) => {
+    const lot = { ...data, remainingQuantity: data.quantity, consumptions: [] };
+    lots.push(lot);
+    return lot;
+  };
+  const take = (lot, quantity, consumption) => {
+    lot.remainingQuantity -= quantity;
+    lot.consumptions.push({ quantity, unitCost: lot.unitCost, ...consumption });
+  };
+  const byAge = (a, b) => a.receivedAt - b.receivedAt || a.order - b.order;
+
+  const purchased = purchaseItems.reduce((q, pi) => q + pi.quantity, 0);
+  const returnedToSupplier = purchaseItems.reduce(
+    (q, pi) => q + pi.returnItems.reduce((r, ri) => r + ri.quantity, 0),
+    0
+  );
+  const sold = saleItems.reduce((q, si) => q + si.quantity, 0);
+  const returnedByCustomers = saleItems.reduce(
+    (q, si) => q + si.returnItems.reduce((r, ri) => r + ri.quantity, 0),
+    0
+  );
+  const opening = product.quantityInStock - (purchased - returnedToSupplier) + (sold - returnedByCustomers);
+
+  let order = 0;
+  if (opening > 0) {
+    openLot({ source: 'OPENING', receivedAt: product.createdAt, unitCost: openingCost, quantity: opening, order: order++ });
+  }
+
+  const events = [
+    ...purchaseItems.map((pi) => ({ at: pi.purchase.purchasedAt, kind: 0, pi })),
+    ...purchaseItems.flatMap((pi) =>
+      pi.returnItems.map((ri) => ({ at: ri.purchaseReturn.returnedAt, kind: 1, pi, ri }))
+    ),
+    ...saleItems.map((si) => ({ at: si.sale.soldAt, kind: 2, si })),
+    ...saleItems.flatMap((si) =>
+      si.returnItems.map((ri) => ({ at: ri.saleReturn.returnedAt, kind: 3, si, ri }))
+    ),
+  ].sort((a, b) => a.at - b.at || a.kind - b.kind);
+
+  for (const e of events) {
+    if (e.kind === 0) {
+      openLot({
+        source: 'PURCHASE',
+        purchaseItemId: e.pi.id,
+        receivedAt: e.pi.purchase.purchasedAt,
+        unitCost: Number(e.pi.effectiveUnitCost),
+        quantity: e.pi.quantity,
+        order: order++,
+      });
+    } else if (e.kind === 1) {
+      const candidates = lots
+        .filter((l) => l.remainingQuantity > 0)
+        .sort((a, b) => (b.purchaseItemId === e.pi.id) - (a.purchaseItemId === e.pi.id) || byAge(b, a));
+      let toTake = e.ri.quantity;
+      for (const lot of candidates) {
+        if (toTake <= 0) break;
+        const q = Math.min(lot.remainingQuantity, toTake);
+        take(lot, q, { type: 'PURCHASE_RETURN', purchaseReturnItemId: e.ri.id });
+        toTake -= q;
+      }
+      if (toTake > 0) problems.push(`purchase return ${e.ri.id}: ${toTake} unit(s) not in stock`);
+    } else if (e.kind === 2) {
+      let toTake = e.si.quantity;
+      const available = lots.filter((l) => l.remainingQuantity > 0).sort(byAge);
+      const inStock = available.reduce((q, l) => q + l.remainingQuantity, 0);
+      if (inStock < toTake) {
+        problems.push(`sale line ${e.si.id}: ${toTake - inStock} unit(s) sold beyond recorded stock`);
+        const latest = [...lots].sort(byAge).at(-1);
+        available.push(openLot({
+          source: 'OPENING',
+          receivedAt: e.si.sale.soldAt,
+          unitCost: latest?.unitCost ?? openingCost,
+          quantity: toTake - inStock,
+          order: order++,
+        }));
+      }
+      let cost = 0;
+      for (const lot of available) {
+        if (toTake <= 0) break;
+        const q = Math.min(lot.remainingQuantity, toTake);
+        take(lot, q, { type: 'SALE', saleItemId: e.si.id });
+        cost += q * lot.unitCost;
+        toTake -= q;
+      }
+      saleCosts[e.si.id] = round2(cost);
+    } else {
+      // Newest lot first, out of what the sale line still has out of each lot
+      const out = lots
+        .map((lot) => ({
+          lot,
+          quantity: lot.consumptions
+            .filter((c) => c.saleItemId === e.si.id)
+            .reduce((q, c) => q + c.quantity, 0),
+        }))
+        .filter((o) => o.quantity > 0)
+        .sort((a, b) => byAge(b.lot, a.lot));
+      let toPut = e.ri.quantity;
+      let cost = 0;
+      for (const { lot, quantity } of out) {
+        if (toPut <= 0) break;
+        const q = Math.min(quantity, toPut);
+        take(lot, -q, { type: 'SALE_RETURN', saleItemId: e.si.id, saleReturnItemId: e.ri.id });
+        cost += q * lot.unitCost;
+        toPut -= q;
+      }
+      if (toPut > 0) problems.push(`sale return line ${e.ri.id}: ${toPut} unit(s) more than were sold`);
+      returnCosts[e.ri.id] = round2(cost);
+    }
+  }
+
+  const remaining = lots.reduce((q, l) => q + l.remainingQuantity, 0);
+  if (remaining !== product.quantityInStock) {
+    problems.push(`lots hold ${remaining} unit(s) but quantityInStock is ${product.quantityInStock}`);
+  }
+  return { lots, saleCosts, returnCosts, problems };
+}
+
+const PURCHASE_ITEM_INCLUDE = {
+  purchase: { select: { purchasedAt: true } },
+  returnItems: { include: { purchaseReturn: { select: { returnedAt: true } } } },
+};
+
+async function backfillProduct(productId, ownsPurchases) {
+  return prisma.$transaction(async (tx) => {
+    await tx.$queryRaw`SELECT "id" FROM "Product" WHERE "id" = ${productId} FOR UPDATE`;
+    const product = await tx.product.findUnique({ where: { id: productId } });
+    if (product.lotsBackfilled) return { lots: 0, problems: [] };
+
+    const purchaseItems = ownsPurchases
+      ? await tx.purchaseItem.findMany({
+        where: { productVariantId: product.productVariantId, purchase: { supplierId: product.supplierId } },
+        include: PURCHASE_ITEM_INCLUDE,
+      })
+      : [];
+    const saleItems = await tx.saleItem.findMany({
+      where: { productId, sale: { status: { not: 'VOIDED' } } },
+      include: {
+        sale: { select: { soldAt: true } },
+        returnItems: { include: { saleReturn: { select: { returnedAt: true } } } },
+      },
+    });
+
+    const keptQty = purchaseItems.reduce(
+      (q, pi) => q + pi.quantity - pi.returnItems.reduce((r, ri) => r + ri.quantity, 0),
+      0
+    );
+    const keptValue = purchaseItems.reduce(
+      (v, pi) =>
+        v + (pi.quantity - pi.returnItems.reduce((r, ri) => r + ri.quantity, 0)) * Number(pi.effectiveUnitCost),
+      0
+    );
+    const openingCost = keptQty > 0 ? round2(keptValue / keptQty) : 0;
+
+    const { lots, saleCosts, returnCosts, problems } = replay(product, purchaseItems, saleItems, openingCost);
+
+    // Lots opened since the migration are replaced (their consumptions go with them)
+    await tx.inventoryLot.deleteMany({ where: { productId } });
+    for (const { consumptions, order, ...data } of lots) {
+      const lot = await tx.inventoryLot.create({ data: { productId, ...data } });
+      if (consumptions.length > 0) {
+        await tx.lotConsumption.createMany({
+          data: consumptions.map((c) => ({ lotId: lot.id, ...c })),
+        });
+      }
+    }
+    for (const [id, costAmount] of Object.entries(saleCosts)) {
+      await tx.saleItem.update({ where: { id }, data: { costAmount } });
+    }
+    for (const [id, costAmount] of Object.entries(returnCosts)) {
+      await tx.saleReturnItem.update({ where: { id }, data: { costAmount } });
+    }
+    await tx.product.update({ where: { id: productId }, data: { lotsBackfilled: true } });
+
+    return { lots: lots.length, problems };
+  }, { timeout: 60000 });
+}
+
+async function main() {
+  console.log('Backfilling inventory lots...');
+
+  const products = await prisma.product.findMany({ orderBy: { createdAt: 'asc' } });
+
+  // Purchase lines belong to the supplier's oldest product for their variant
+  const ownerByKey = {};
+  for (const p of products) {
+    ownerByKey[`${p.supplierId}|${p.productVariantId}`] ??= p.id;
+  }
+
+  let done = 0;
+  let lotCount = 0;
+  for (const product of products) {
+    if (product.lotsBackfilled) continue;
+    const owns = ownerByKey[`${product.supplierId}|${product.productVariantId}`] === product.id;
+    const { lots, problems } = await backfillProduct(product.id, owns);
+    for (const problem of problems) console.warn(`  ${product.sku}: ${problem}`);
+    done += 1;
+    lotCount += lots;
+  }
+
+  console.log(`Done: ${lotCount} lot(s) for ${done} product(s), ${products.length - done} already backfilled`);
+}
+
+main()
+  .catch((e) => {
+    console.error(e);
+    process.exit(1);
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+  });
@@ -0,0 +1,67 @@
+-- AlterTable
+ALTER TABLE "Payment" ADD COLUMN     "saleReturnId" TEXT,
+ADD COLUMN     "type" TEXT NOT NULL DEFAULT 'SALE';
+
+-- CreateTable
+CREATE TABLE "SaleReturn" (
+    "id" TEXT NOT NULL,
+    "returnNumber" TEXT NOT NULL,
+    "saleId" TEXT NOT NULL,
+    "refundAmount" DECIMAL(12,2) NOT NULL,
+    "reason" TEXT,
+    "returnedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "SaleReturn_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "SaleReturnItem" (
+    "id" TEXT NOT NULL,
+    "saleReturnId" TEXT NOT NULL,
+    "saleItemId" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "quantity" INTEGER NOT NULL,
+    "unitPrice" DECIMAL(12,2) NOT NULL,
+    "lineTotal" DECIMAL(12,2) NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "SaleReturnItem_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Payment_saleReturnId_idx" ON "Payment"("saleReturnId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "SaleReturn_returnNumber_key" ON "SaleReturn"("returnNumber");
+
+-- CreateIndex
+CREATE INDEX "SaleReturn_saleId_idx" ON "SaleReturn"("saleId");
+
+-- CreateIndex
+CREATE INDEX "SaleReturn_returnedAt_idx" ON "SaleReturn"("returnedAt");
+
+-- CreateIndex
+CREATE INDEX "SaleReturnItem_saleReturnId_idx" ON "SaleReturnItem"("saleReturnId");
+
+-- CreateIndex
+CREATE INDEX "SaleReturnItem_saleItemId_idx" ON "SaleReturnItem"("saleItemId");
+
+-- CreateIndex
+CREATE INDEX "SaleReturnItem_productId_idx" ON "SaleReturnItem"("productId");
+
+-- AddForeignKey
+ALTER TABLE "Payment" ADD CONSTRAINT "Payment_saleReturnId_fkey" FOREIGN KEY ("saleReturnId") REFERENCES "SaleReturn"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "SaleReturn" ADD CONSTRAINT "SaleReturn_saleId_fkey" FOREIGN KEY ("saleId") REFERENCES "Sale"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "SaleReturnItem" ADD CONSTRAINT "SaleReturnItem_saleReturnId_fkey" FOREIGN KEY ("saleReturnId") REFERENCES "SaleReturn"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "SaleReturnItem" ADD CONSTRAINT "SaleReturnItem_saleItemId_fkey" FOREIGN KEY ("saleItemId") REFERENCES "SaleItem"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "SaleReturnItem" ADD CONSTRAINT "SaleReturnItem_productId_fkey" FOREIGN KEY ("productId") REFERENCES "Product"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
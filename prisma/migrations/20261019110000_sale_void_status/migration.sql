@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "Sale" ADD COLUMN     "status" TEXT NOT NULL DEFAULT 'COMPLETED',
+ADD COLUMN     "voidReason" TEXT,
+ADD COLUMN     "voidedAt" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "Sale_status_idx" ON "Sale"("status");
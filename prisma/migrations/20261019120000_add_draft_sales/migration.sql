@@ -0,0 +1,22 @@
+-- CreateTable
+CREATE TABLE "DraftSale" (
+    "id" TEXT NOT NULL,
+    "label" TEXT,
+    "items" JSONB NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'OPEN',
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "saleId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "DraftSale_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "DraftSale_saleId_key" ON "DraftSale"("saleId");
+
+-- CreateIndex
+CREATE INDEX "DraftSale_status_expiresAt_idx" ON "DraftSale"("status", "expiresAt");
+
+-- AddForeignKey
+ALTER TABLE "DraftSale" ADD CONSTRAINT "DraftSale_saleId_fkey" FOREIGN KEY ("saleId") REFERENCES "Sale"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,43 @@
+-- AlterTable
+ALTER TABLE "Sale" ADD COLUMN     "couponCode" TEXT,
+ADD COLUMN     "couponDiscount" DECIMAL(12,2) NOT NULL DEFAULT 0,
+ADD COLUMN     "couponId" TEXT,
+ADD COLUMN     "discountAmount" DECIMAL(12,2) NOT NULL DEFAULT 0,
+ADD COLUMN     "discountType" TEXT,
+ADD COLUMN     "discountValue" DECIMAL(12,2),
+ADD COLUMN     "roundOff" DECIMAL(12,2) NOT NULL DEFAULT 0,
+ADD COLUMN     "subtotal" DECIMAL(12,2) NOT NULL DEFAULT 0;
+
+-- Existing bills had no bill-level adjustments
+UPDATE "Sale" SET "subtotal" = "totalAmount";
+
+-- AlterTable
+ALTER TABLE "SaleItem" ADD COLUMN     "billDiscount" DECIMAL(12,2) NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "Coupon" (
+    "id" TEXT NOT NULL,
+    "code" TEXT NOT NULL,
+    "discountType" TEXT NOT NULL,
+    "value" DECIMAL(12,2) NOT NULL,
+    "maxDiscount" DECIMAL(12,2),
+    "minBillAmount" DECIMAL(12,2),
+    "validFrom" TIMESTAMP(3),
+    "validTo" TIMESTAMP(3),
+    "usageLimit" INTEGER,
+    "usedCount" INTEGER NOT NULL DEFAULT 0,
+    "active" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Coupon_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Coupon_code_key" ON "Coupon"("code");
+
+-- CreateIndex
+CREATE INDEX "Sale_couponId_idx" ON "Sale"("couponId");
+
+-- AddForeignKey
+ALTER TABLE "Sale" ADD CONSTRAINT "Sale_couponId_fkey" FOREIGN KEY ("couponId") REFERENCES "Coupon"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,21 @@
+-- AlterTable
+ALTER TABLE "Category" ADD COLUMN     "gstSlabs" JSONB,
+ADD COLUMN     "hsnCode" TEXT;
+
+-- AlterTable
+ALTER TABLE "ProductVariant" ADD COLUMN     "gstSlabs" JSONB,
+ADD COLUMN     "hsnCode" TEXT;
+
+-- AlterTable
+ALTER TABLE "Sale" ADD COLUMN     "placeOfSupply" TEXT;
+
+-- AlterTable
+ALTER TABLE "SaleItem" ADD COLUMN     "cgstAmount" DECIMAL(12,2) NOT NULL DEFAULT 0,
+ADD COLUMN     "gstRate" DECIMAL(5,2) NOT NULL DEFAULT 0,
+ADD COLUMN     "hsnCode" TEXT,
+ADD COLUMN     "igstAmount" DECIMAL(12,2) NOT NULL DEFAULT 0,
+ADD COLUMN     "sgstAmount" DECIMAL(12,2) NOT NULL DEFAULT 0,
+ADD COLUMN     "taxableValue" DECIMAL(12,2) NOT NULL DEFAULT 0;
+
+-- Bills made before the tax engine carry no GST: treat them as 0% with the full amount taxable
+UPDATE "SaleItem" SET "taxableValue" = "lineTotal";
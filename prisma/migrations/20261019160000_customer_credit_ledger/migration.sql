@@ -0,0 +1,31 @@
+-- AlterTable
+ALTER TABLE "Customer" ADD COLUMN     "creditLimit" DECIMAL(12,2);
+
+-- CreateTable
+CREATE TABLE "CustomerLedgerEntry" (
+    "id" TEXT NOT NULL,
+    "customerId" TEXT NOT NULL,
+    "saleId" TEXT,
+    "saleReturnId" TEXT,
+    "type" TEXT NOT NULL,
+    "amount" DECIMAL(12,2) NOT NULL,
+    "mode" TEXT,
+    "provider" TEXT,
+    "reference" TEXT,
+    "entryAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "CustomerLedgerEntry_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "CustomerLedgerEntry_customerId_entryAt_idx" ON "CustomerLedgerEntry"("customerId", "entryAt");
+
+-- CreateIndex
+CREATE INDEX "CustomerLedgerEntry_saleId_idx" ON "CustomerLedgerEntry"("saleId");
+
+-- AddForeignKey
+ALTER TABLE "CustomerLedgerEntry" ADD CONSTRAINT "CustomerLedgerEntry_customerId_fkey" FOREIGN KEY ("customerId") REFERENCES "Customer"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CustomerLedgerEntry" ADD CONSTRAINT "CustomerLedgerEntry_saleId_fkey" FOREIGN KEY ("saleId") REFERENCES "Sale"("id") ON DELETE SET NULL ON UPDATE CASCADE;
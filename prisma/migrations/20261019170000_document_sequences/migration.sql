@@ -0,0 +1,11 @@
+-- AlterTable
+ALTER TABLE "Sale" ADD COLUMN     "counterId" TEXT;
+
+-- CreateTable
+CREATE TABLE "DocumentSequence" (
+    "key" TEXT NOT NULL,
+    "lastValue" INTEGER NOT NULL DEFAULT 0,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "DocumentSequence_pkey" PRIMARY KEY ("key")
+);
@@ -0,0 +1,60 @@
+-- CreateTable
+CREATE TABLE "PurchaseReturn" (
+    "id" TEXT NOT NULL,
+    "debitNoteNumber" TEXT NOT NULL,
+    "purchaseId" TEXT NOT NULL,
+    "supplierId" TEXT NOT NULL,
+    "totalAmount" DECIMAL(12,2) NOT NULL,
+    "reason" TEXT,
+    "returnedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "PurchaseReturn_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "PurchaseReturnItem" (
+    "id" TEXT NOT NULL,
+    "purchaseReturnId" TEXT NOT NULL,
+    "purchaseItemId" TEXT NOT NULL,
+    "productVariantId" TEXT NOT NULL,
+    "quantity" INTEGER NOT NULL,
+    "unitCost" DECIMAL(12,2) NOT NULL,
+    "lineTotal" DECIMAL(12,2) NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "PurchaseReturnItem_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PurchaseReturn_debitNoteNumber_key" ON "PurchaseReturn"("debitNoteNumber");
+
+-- CreateIndex
+CREATE INDEX "PurchaseReturn_purchaseId_idx" ON "PurchaseReturn"("purchaseId");
+
+-- CreateIndex
+CREATE INDEX "PurchaseReturn_supplierId_idx" ON "PurchaseReturn"("supplierId");
+
+-- CreateIndex
+CREATE INDEX "PurchaseReturn_returnedAt_idx" ON "PurchaseReturn"("returnedAt");
+
+-- CreateIndex
+CREATE INDEX "PurchaseReturnItem_purchaseReturnId_idx" ON "PurchaseReturnItem"("purchaseReturnId");
+
+-- CreateIndex
+CREATE INDEX "PurchaseReturnItem_purchaseItemId_idx" ON "PurchaseReturnItem"("purchaseItemId");
+
+-- CreateIndex
+CREATE INDEX "PurchaseReturnItem_productVariantId_idx" ON "PurchaseReturnItem"("productVariantId");
+
+-- AddForeignKey
+ALTER TABLE "PurchaseReturn" ADD CONSTRAINT "PurchaseReturn_purchaseId_fkey" FOREIGN KEY ("purchaseId") REFERENCES "Purchase"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PurchaseReturn" ADD CONSTRAINT "PurchaseReturn_supplierId_fkey" FOREIGN KEY ("supplierId") REFERENCES "Supplier"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PurchaseReturnItem" ADD CONSTRAINT "PurchaseReturnItem_purchaseReturnId_fkey" FOREIGN KEY ("purchaseReturnId") REFERENCES "PurchaseReturn"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PurchaseReturnItem" ADD CONSTRAINT "PurchaseReturnItem_purchaseItemId_fkey" FOREIGN KEY ("purchaseItemId") REFERENCES "PurchaseItem"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
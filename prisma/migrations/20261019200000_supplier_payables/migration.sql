@@ -0,0 +1,55 @@
+-- AlterTable
+ALTER TABLE "Supplier" ADD COLUMN     "paymentTermsDays" INTEGER;
+
+-- AlterTable
+ALTER TABLE "Purchase" ADD COLUMN     "dueDate" TIMESTAMP(3),
+ADD COLUMN     "totalAmount" DECIMAL(12,2) NOT NULL DEFAULT 0;
+
+-- Existing purchases: items at unit cost plus extra charges
+UPDATE "Purchase" p
+SET "totalAmount" = COALESCE(p."extraCharges", 0) + COALESCE(
+  (SELECT SUM(pi."quantity" * pi."unitCost") FROM "PurchaseItem" pi WHERE pi."purchaseId" = p."id"),
+  0
+);
+
+-- CreateTable
+CREATE TABLE "SupplierPayment" (
+    "id" TEXT NOT NULL,
+    "supplierId" TEXT NOT NULL,
+    "amount" DECIMAL(12,2) NOT NULL,
+    "mode" TEXT NOT NULL,
+    "reference" TEXT,
+    "notes" TEXT,
+    "paidAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "SupplierPayment_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "SupplierPaymentAllocation" (
+    "id" TEXT NOT NULL,
+    "supplierPaymentId" TEXT NOT NULL,
+    "purchaseId" TEXT NOT NULL,
+    "amount" DECIMAL(12,2) NOT NULL,
+
+    CONSTRAINT "SupplierPaymentAllocation_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "SupplierPayment_supplierId_paidAt_idx" ON "SupplierPayment"("supplierId", "paidAt");
+
+-- CreateIndex
+CREATE INDEX "SupplierPaymentAllocation_supplierPaymentId_idx" ON "SupplierPaymentAllocation"("supplierPaymentId");
+
+-- CreateIndex
+CREATE INDEX "SupplierPaymentAllocation_purchaseId_idx" ON "SupplierPaymentAllocation"("purchaseId");
+
+-- AddForeignKey
+ALTER TABLE "SupplierPayment" ADD CONSTRAINT "SupplierPayment_supplierId_fkey" FOREIGN KEY ("supplierId") REFERENCES "Supplier"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "SupplierPaymentAllocation" ADD CONSTRAINT "SupplierPaymentAllocation_supplierPaymentId_fkey" FOREIGN KEY ("supplierPaymentId") REFERENCES "SupplierPayment"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "SupplierPaymentAllocation" ADD CONSTRAINT "SupplierPaymentAllocation_purchaseId_fkey" FOREIGN KEY ("purchaseId") REFERENCES "Purchase"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,36 @@
+-- AlterTable
+ALTER TABLE "Purchase" ADD COLUMN     "allocationMethod" TEXT NOT NULL DEFAULT 'QUANTITY';
+
+-- AlterTable
+ALTER TABLE "PurchaseItem" ADD COLUMN     "allocatedCharge" DECIMAL(12,2) NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "PurchaseCharge" (
+    "id" TEXT NOT NULL,
+    "purchaseId" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "amount" DECIMAL(12,2) NOT NULL,
+
+    CONSTRAINT "PurchaseCharge_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "PurchaseCharge_purchaseId_idx" ON "PurchaseCharge"("purchaseId");
+
+-- AddForeignKey
+ALTER TABLE "PurchaseCharge" ADD CONSTRAINT "PurchaseCharge_purchaseId_fkey" FOREIGN KEY ("purchaseId") REFERENCES "Purchase"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Existing purchases: their single extraCharges becomes one charge line, split by quantity
+INSERT INTO "PurchaseCharge" ("id", "purchaseId", "name", "amount")
+SELECT gen_random_uuid()::text, p."id", 'Extra charges', p."extraCharges"
+FROM "Purchase" p
+WHERE p."extraCharges" > 0;
+
+UPDATE "PurchaseItem" pi
+SET "allocatedCharge" = ROUND(p."extraCharges" * pi."quantity" / totals."quantity", 2)
+FROM "Purchase" p,
+  (SELECT "purchaseId", SUM("quantity") AS "quantity" FROM "PurchaseItem" GROUP BY "purchaseId") totals
+WHERE p."id" = pi."purchaseId"
+  AND totals."purchaseId" = pi."purchaseId"
+  AND p."extraCharges" > 0
+  AND totals."quantity" > 0;
@@ -0,0 +1,18 @@
+-- CreateTable
+CREATE TABLE "ImportTemplate" (
+    "id" TEXT NOT NULL,
+    "supplierId" TEXT NOT NULL,
+    "columns" JSONB NOT NULL,
+    "delimiter" TEXT NOT NULL DEFAULT ',',
+    "headerRow" INTEGER NOT NULL DEFAULT 1,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ImportTemplate_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ImportTemplate_supplierId_key" ON "ImportTemplate"("supplierId");
+
+-- AddForeignKey
+ALTER TABLE "ImportTemplate" ADD CONSTRAINT "ImportTemplate_supplierId_fkey" FOREIGN KEY ("supplierId") REFERENCES "Supplier"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "Supplier" ADD COLUMN     "active" BOOLEAN NOT NULL DEFAULT true,
+ADD COLUMN     "address" TEXT,
+ADD COLUMN     "contactName" TEXT,
+ADD COLUMN     "email" TEXT,
+ADD COLUMN     "gstin" TEXT,
+ADD COLUMN     "phone" TEXT;
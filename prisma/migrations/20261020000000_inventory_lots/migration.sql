@@ -0,0 +1,74 @@
+-- AlterTable
+ALTER TABLE "SaleItem" ADD COLUMN     "costAmount" DECIMAL(12,2) NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "SaleReturnItem" ADD COLUMN     "costAmount" DECIMAL(12,2) NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "InventoryLot" (
+    "id" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "purchaseItemId" TEXT,
+    "source" TEXT NOT NULL,
+    "receivedAt" TIMESTAMP(3) NOT NULL,
+    "unitCost" DECIMAL(12,2) NOT NULL,
+    "quantity" INTEGER NOT NULL,
+    "remainingQuantity" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "InventoryLot_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "LotConsumption" (
+    "id" TEXT NOT NULL,
+    "lotId" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "quantity" INTEGER NOT NULL,
+    "unitCost" DECIMAL(12,2) NOT NULL,
+    "saleItemId" TEXT,
+    "saleReturnItemId" TEXT,
+    "purchaseReturnItemId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "LotConsumption_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "InventoryLot_purchaseItemId_key" ON "InventoryLot"("purchaseItemId");
+
+-- CreateIndex
+CREATE INDEX "InventoryLot_productId_receivedAt_idx" ON "InventoryLot"("productId", "receivedAt");
+
+-- CreateIndex
+CREATE INDEX "LotConsumption_lotId_idx" ON "LotConsumption"("lotId");
+
+-- CreateIndex
+CREATE INDEX "LotConsumption_saleItemId_idx" ON "LotConsumption"("saleItemId");
+
+-- CreateIndex
+CREATE INDEX "LotConsumption_saleReturnItemId_idx" ON "LotConsumption"("saleReturnItemId");
+
+-- CreateIndex
+CREATE INDEX "LotConsumption_purchaseReturnItemId_idx" ON "LotConsumption"("purchaseReturnItemId");
+
+-- AddForeignKey
+ALTER TABLE "InventoryLot" ADD CONSTRAINT "InventoryLot_productId_fkey" FOREIGN KEY ("productId") REFERENCES "Product"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "InventoryLot" ADD CONSTRAINT "InventoryLot_purchaseItemId_fkey" FOREIGN KEY ("purchaseItemId") REFERENCES "PurchaseItem"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "LotConsumption" ADD CONSTRAINT "LotConsumption_lotId_fkey" FOREIGN KEY ("lotId") REFERENCES "InventoryLot"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "LotConsumption" ADD CONSTRAINT "LotConsumption_saleItemId_fkey" FOREIGN KEY ("saleItemId") REFERENCES "SaleItem"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "LotConsumption" ADD CONSTRAINT "LotConsumption_saleReturnItemId_fkey" FOREIGN KEY ("saleReturnItemId") REFERENCES "SaleReturnItem"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "LotConsumption" ADD CONSTRAINT "LotConsumption_purchaseReturnItemId_fkey" FOREIGN KEY ("purchaseReturnItemId") REFERENCES "PurchaseReturnItem"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Lots for stock and sales that exist before this migration are built by
+-- `npm run db:backfill-lots` (prisma/backfill-lots.js), which replays history FIFO.
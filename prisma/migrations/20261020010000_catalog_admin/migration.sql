@@ -0,0 +1,17 @@
+-- DropForeignKey
+ALTER TABLE "AttributeDefinition" DROP CONSTRAINT "AttributeDefinition_categoryId_fkey";
+
+-- DropForeignKey
+ALTER TABLE "ProductVariant" DROP CONSTRAINT "ProductVariant_categoryId_fkey";
+
+-- DropIndex
+DROP INDEX "AttributeDefinition_key_key";
+
+-- CreateIndex
+CREATE UNIQUE INDEX "AttributeDefinition_categoryId_key_key" ON "AttributeDefinition"("categoryId", "key");
+
+-- AddForeignKey
+ALTER TABLE "AttributeDefinition" ADD CONSTRAINT "AttributeDefinition_categoryId_fkey" FOREIGN KEY ("categoryId") REFERENCES "Category"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ProductVariant" ADD CONSTRAINT "ProductVariant_categoryId_fkey" FOREIGN KEY ("categoryId") REFERENCES "Category"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,28 @@
+-- CreateTable
+CREATE TABLE "PriceHistory" (
+    "id" TEXT NOT NULL,
+    "productVariantId" TEXT NOT NULL,
+    "mrp" DOUBLE PRECISION NOT NULL,
+    "default_selling_price" DOUBLE PRECISION NOT NULL,
+    "max_discount_percent" DOUBLE PRECISION NOT NULL,
+    "old_mrp" DOUBLE PRECISION,
+    "old_default_selling_price" DOUBLE PRECISION,
+    "old_max_discount_percent" DOUBLE PRECISION,
+    "effectiveFrom" TIMESTAMP(3) NOT NULL,
+    "source" TEXT NOT NULL,
+    "reason" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "PriceHistory_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "PriceHistory_productVariantId_effectiveFrom_idx" ON "PriceHistory"("productVariantId", "effectiveFrom");
+
+-- AddForeignKey
+ALTER TABLE "PriceHistory" ADD CONSTRAINT "PriceHistory_productVariantId_fkey" FOREIGN KEY ("productVariantId") REFERENCES "ProductVariant"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Existing variants start their history with their current prices, in force since creation
+INSERT INTO "PriceHistory" ("id", "productVariantId", "mrp", "default_selling_price", "max_discount_percent", "effectiveFrom", "source")
+SELECT gen_random_uuid()::text, "id", "mrp", "default_selling_price", "max_discount_percent", "createdAt", 'CREATE'
+FROM "ProductVariant";
@@ -0,0 +1,4 @@
+-- AlterTable
+-- Products that already exist wait for db:backfill-lots; new ones get their lots as they are created
+ALTER TABLE "Product" ADD COLUMN     "lotsBackfilled" BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE "Product" ALTER COLUMN "lotsBackfilled" SET DEFAULT true;
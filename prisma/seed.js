@@ -13,6 +13,8 @@ async function main() {
       id: 'CAT-SAREE',
       name: 'Saree',
       slug: 'saree',
+      hsnCode: '5007',
+      gstSlabs: [{ rate: 5 }],
     },
   });
 
@@ -23,6 +25,9 @@ async function main() {
       id: 'CAT-SHAWL',
       name: 'Shawl',
       slug: 'shawl',
+      hsnCode: '6214',
+      // Apparel: 5% up to ₹2500 per piece, 18% above
+      gstSlabs: [{ maxPrice: 2500, rate: 5 }, { rate: 18 }],
     },
   });
 
@@ -108,6 +113,7 @@ async function main() {
       productVariantId: variant.id,
       supplierId: supplier.id,
       quantityInStock: 10,
+      lotsBackfilled: false, // the sale below is written without lots; db:backfill-lots builds them
     },
   });
 
@@ -0,0 +1,44 @@
+/**
+ * Mark supplier bills recorded before payables were tracked as paid. The supplier
+ * payables migration gives every existing purchase a totalAmount but no payments, so
+ * until this runs payables-aging and supplier statements show the whole purchase
+ * history as unpaid and overdue. Bills purchased before the cutover date that still have
+ * a balance are settled with one OPENING payment per supplier (see settleOpeningBills);
+ * bills from the cutover on stay open. Run once after deploying, with the date payables
+ * tracking starts; bills still genuinely owed can be left out by picking an earlier date.
+ *
+ * Run: npm run db:settle-payables -- --before=YYYY-MM-DD [--supplier=<id>] [--dry-run]
+ */
+
+import prisma from '../src/lib/prisma.js';
+import { settleOpeningBills } from '../src/services/payable.service.js';
+
+function option(name) {
+  const arg = process.argv.slice(2).find((a) => a === `--${name}` || a.startsWith(`--${name}=`));
+  if (arg == null) return null;
+  return arg.includes('=') ? arg.slice(arg.indexOf('=') + 1) : true;
+}
+
+async function main() {
+  const before = option('before');
+  const dryRun = option('dry-run') === true;
+  if (typeof before !== 'string') {
+    throw new Error('Usage: npm run db:settle-payables -- --before=YYYY-MM-DD [--supplier=<id>] [--dry-run]');
+  }
+
+  const settled = await settleOpeningBills({ before, supplierId: option('supplier') || undefined, dryRun });
+  for (const s of settled) {
+    console.log(`${s.name}: ${s.amount} over ${s.bills.length} bill(s)`);
+  }
+  const total = Math.round(settled.reduce((sum, s) => sum + s.amount, 0) * 100) / 100;
+  console.log(`${dryRun ? 'Would settle' : 'Settled'} ${total} for ${settled.length} supplier(s)`);
+}
+
+main()
+  .catch((e) => {
+    console.error(e.message ?? e);
+    process.exit(1);
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+  });
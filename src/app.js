@@ -7,6 +7,10 @@ import productRoutes from './routes/products.js';
 import salesRoutes from './routes/sales.js';
 import reportsRoutes from './routes/reports.routes.js';
 import purchaseRoutes from './routes/purchase.routes.js';
+import purchaseOrderRoutes from './routes/purchaseOrder.routes.js';
+import supplierRoutes from './routes/supplier.routes.js';
+import couponRoutes from './routes/coupon.routes.js';
+import customerRoutes from './routes/customer.routes.js';
 
 const app = express();
 
@@ -42,6 +46,10 @@ app.use('/products', productRoutes);
 app.use('/sales', salesRoutes);
 app.use('/reports', reportsRoutes);
 app.use('/purchases', purchaseRoutes);
+app.use('/purchase-orders', purchaseOrderRoutes);
+app.use('/suppliers', supplierRoutes);
+app.use('/coupons', couponRoutes);
+app.use('/customers', customerRoutes);
 
 // 404
 app.use((req, res) => {
@@ -0,0 +1,123 @@
+import {
+  createCategory,
+  updateCategory,
+  deleteCategory,
+  createSubcategory,
+  updateSubcategory,
+  deleteSubcategory,
+  createAttribute,
+  updateAttribute,
+  deleteAttribute,
+  findAttributeViolations,
+  fixAttributeViolations,
+} from '../services/catalog.service.js';
+
+export async function postCategory(req, res) {
+  try {
+    const result = await createCategory(req.body);
+    res.status(201).json(result);
+  } catch (err) {
+    const status = err.statusCode ?? 500;
+    res.status(status).json({ error: err.message });
+  }
+}
+
+export async function putCategory(req, res) {
+  try {
+    const result = await updateCategory(req.params.id, req.body);
+    res.json(result);
+  } catch (err) {
+    const status = err.statusCode ?? 500;
+    res.status(status).json({ error: err.message });
+  }
+}
+
+export async function removeCategory(req, res) {
+  try {
+    const result = await deleteCategory(req.params.id);
+    res.json(result);
+  } catch (err) {
+    const status = err.statusCode ?? 500;
+    res.status(status).json({ error: err.message });
+  }
+}
+
+export async function postSubcategory(req, res) {
+  try {
+    const result = await createSubcategory(req.body);
+    res.status(201).json(result);
+  } catch (err) {
+    const status = err.statusCode ?? 500;
+    res.status(status).json({ error: err.message });
+  }
+}
+
+export async function putSubcategory(req, res) {
+  try {
+    const result = await updateSubcategory(req.params.id, req.body);
+    res.json(result);
+  } catch (err) {
+    const status = err.statusCode ?? 500;
+    res.status(status).json({ error: err.message });
+  }
+}
+
+export async function removeSubcategory(req, res) {
+  try {
+    const result = await deleteSubcategory(req.params.id);
+    res.json(result);
+  } catch (err) {
+    const status = err.statusCode ?? 500;
+    res.status(status).json({ error: err.message });
+  }
+}
+
+export async function postAttribute(req, res) {
+  try {
+    const result = await createAttribute(req.body);
+    res.status(201).json(result);
+  } catch (err) {
+    const status = err.statusCode ?? 500;
+    res.status(status).json({ error: err.message });
+  }
+}
+
+export async function putAttribute(req, res) {
+  try {
+    const result = await updateAttribute(req.params.id, req.body);
+    res.json(result);
+  } catch (err) {
+    const status = err.statusCode ?? 500;
+    res.status(status).json({ error: err.message });
+  }
+}
+
+export async function removeAttribute(req, res) {
+  try {
+    const result = await deleteAttribute(req.params.id);
+    res.json(result);
+  } catch (err) {
+    const status = err.statusCode ?? 500;
+    res.status(status).json({ error: err.message });
+  }
+}
+
+export async function getAttributeViolations(req, res) {
+  try {
+    const result = await findAttributeViolations({ categoryId: req.query.categoryId });
+    res.json(result);
+  } catch (err) {
+    const status = err.statusCode ?? 500;
+    res.status(status).json({ error: err.message });
+  }
+}
+
+export async function postAttributeFix(req, res) {
+  try {
+    const result = await fixAttributeViolations(req.body ?? {});
+    res.json(result);
+  } catch (err) {
+    const status = err.statusCode ?? 500;
+    res.status(status).json({ error: err.message });
+  }
+}
@@ -1,4 +1,6 @@
+import { Prisma } from '@prisma/client';
 import prisma from '../lib/prisma.js';
+import { normalizeGstSlabs } from '../services/tax.service.js';
 
 export async function getCategories(req, res) {
   const categories = await prisma.category.findMany({
@@ -8,6 +10,34 @@ export async function getCategories(req, res) {
   res.json(categories);
 }
 
+/**
+ * PUT /config/categories/:id/tax  { hsnCode?, gstSlabs? }
+ * Set the default HSN code and GST slabs for a category's variants.
+ */
+export async function putCategoryTax(req, res) {
+  try {
+    const { hsnCode, gstSlabs } = req.body ?? {};
+    const category = await prisma.category.findUnique({ where: { id: req.params.id } });
+    if (!category) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+
+    const data = {};
+    if (hsnCode !== undefined) data.hsnCode = hsnCode != null ? String(hsnCode).trim() || null : null;
+    if (gstSlabs !== undefined) data.gstSlabs = normalizeGstSlabs(gstSlabs) ?? Prisma.DbNull;
+
+    const updated = await prisma.category.update({
+      where: { id: category.id },
+      data,
+      select: { id: true, name: true, hsnCode: true, gstSlabs: true },
+    });
+    res.json(updated);
+  } catch (err) {
+    const status = err.statusCode ?? 500;
+    res.status(status).json({ error: err.message });
+  }
+}
+
 export async function getAttributes(req, res) {
   const { categoryId } = req.query;
 
@@ -34,6 +64,7 @@ export async function getAttributes(req, res) {
 
 export async function getSuppliers(req, res) {
   const suppliers = await prisma.supplier.findMany({
+    where: { active: true },
     orderBy: { name: "asc" },
     select: {
       id: true,
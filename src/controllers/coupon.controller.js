@@ -0,0 +1,26 @@
+import { listCoupons, createCoupon, updateCoupon } from '../services/coupon.service.js';
+
+export async function getCoupons(req, res) {
+  const coupons = await listCoupons();
+  res.json(coupons);
+}
+
+export async function postCoupon(req, res) {
+  try {
+    const result = await createCoupon(req.body);
+    res.status(201).json(result);
+  } catch (err) {
+    const status = err.statusCode ?? 500;
+    res.status(status).json({ error: err.message });
+  }
+}
+
+export async function putCoupon(req, res) {
+  try {
+    const result = await updateCoupon(req.params.id, req.body);
+    res.json(result);
+  } catch (err) {
+    const status = err.statusCode ?? 500;
+    res.status(status).json({ error: err.message });
+  }
+}
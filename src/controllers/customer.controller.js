@@ -0,0 +1,74 @@
+import {
+  listCustomers,
+  getCustomer,
+  createCustomer,
+  updateCustomer,
+  listCustomerSales,
+  getCustomerLedger,
+  recordCustomerPayment,
+} from '../services/customer.service.js';
+
+export async function getCustomers(req, res) {
+  try {
+    const { phone, q, productVariantId, sku, page, pageSize } = req.query;
+    const customers = await listCustomers({ phone, q, productVariantId, sku, page, pageSize });
+    res.json(customers);
+  } catch (err) {
+    const status = err.statusCode ?? 500;
+    res.status(status).json({ error: err.message });
+  }
+}
+
+export async function getCustomerById(req, res) {
+  const customer = await getCustomer(req.params.id);
+  if (!customer) {
+    return res.status(404).json({ error: 'Customer not found' });
+  }
+  res.json(customer);
+}
+
+export async function getCustomerSales(req, res) {
+  const sales = await listCustomerSales(req.params.id);
+  if (!sales) {
+    return res.status(404).json({ error: 'Customer not found' });
+  }
+  res.json(sales);
+}
+
+export async function getCustomerLedgerById(req, res) {
+  const ledger = await getCustomerLedger(req.params.id);
+  if (!ledger) {
+    return res.status(404).json({ error: 'Customer not found' });
+  }
+  res.json(ledger);
+}
+
+export async function postCustomer(req, res) {
+  try {
+    const result = await createCustomer(req.body);
+    res.status(201).json(result);
+  } catch (err) {
+    const status = err.statusCode ?? 500;
+    res.status(status).json({ error: err.message });
+  }
+}
+
+export async function putCustomer(req, res) {
+  try {
+    const result = await updateCustomer(req.params.id, req.body);
+    res.json(result);
+  } catch (err) {
+    const status = err.statusCode ?? 500;
+    res.status(status).json({ error: err.message });
+  }
+}
+
+export async function postCustomerPayment(req, res) {
+  try {
+    const result = await recordCustomerPayment(req.params.id, req.body);
+    res.status(201).json(result);
+  } catch (err) {
+    const status = err.statusCode ?? 500;
+    res.status(status).json({ error: err.message });
+  }
+}
@@ -0,0 +1,61 @@
+import {
+  createDraft,
+  listDrafts,
+  getDraft,
+  updateDraft,
+  deleteDraft,
+  finalizeDraft,
+} from '../services/draft.service.js';
+
+export async function postDraft(req, res) {
+  try {
+    const result = await createDraft(req.body);
+    res.status(201).json(result);
+  } catch (err) {
+    const status = err.statusCode ?? 500;
+    res.status(status).json({ error: err.message });
+  }
+}
+
+export async function getDrafts(req, res) {
+  const drafts = await listDrafts();
+  res.json(drafts);
+}
+
+export async function getDraftById(req, res) {
+  const draft = await getDraft(req.params.id);
+  if (!draft) {
+    return res.status(404).json({ error: 'Draft not found' });
+  }
+  res.json(draft);
+}
+
+export async function putDraft(req, res) {
+  try {
+    const result = await updateDraft(req.params.id, req.body);
+    res.json(result);
+  } catch (err) {
+    const status = err.statusCode ?? 500;
+    res.status(status).json({ error: err.message });
+  }
+}
+
+export async function removeDraft(req, res) {
+  try {
+    await deleteDraft(req.params.id);
+    res.status(204).end();
+  } catch (err) {
+    const status = err.statusCode ?? 500;
+    res.status(status).json({ error: err.message });
+  }
+}
+
+export async function postFinalizeDraft(req, res) {
+  try {
+    const result = await finalizeDraft(req.params.id, req.body);
+    res.status(201).json(result);
+  } catch (err) {
+    const status = err.statusCode ?? 500;
+    res.status(status).json({ error: err.message });
+  }
+}
@@ -0,0 +1,55 @@
+import {
+  getPurchaseLabels,
+  getSkuLabels,
+  renderLabelSheets,
+  renderLabelsHtml,
+} from '../services/label.service.js';
+
+/**
+ * Send label sheets: ?format=html (default, every sheet, ready to print) or
+ * ?format=svg&page=N (one sheet; X-Page-Count says how many there are).
+ * Grid: ?columns=&rows= (default 3 × 8 on A4).
+ */
+function sendLabels(req, res, labels, title) {
+  const format = req.query.format ?? 'html';
+  if (format !== 'html' && format !== 'svg') {
+    return res.status(400).json({ error: 'format must be html or svg' });
+  }
+  const sheets = renderLabelSheets(labels, { columns: req.query.columns, rows: req.query.rows });
+
+  if (format === 'html') {
+    return res.type('html').send(renderLabelsHtml(sheets, title));
+  }
+  const page = Number(req.query.page ?? 1);
+  if (!Number.isInteger(page) || page < 1 || page > sheets.length) {
+    return res.status(400).json({ error: `page must be from 1 to ${sheets.length}` });
+  }
+  res.set('X-Page-Count', String(sheets.length));
+  res.type('image/svg+xml').send(sheets[page - 1]);
+}
+
+export async function getPurchaseLabelSheets(req, res) {
+  try {
+    const labels = await getPurchaseLabels(req.params.id);
+    if (!labels) {
+      return res.status(404).json({ error: 'Purchase not found' });
+    }
+    if (labels.length === 0) {
+      return res.status(400).json({ error: 'Purchase has no items' });
+    }
+    sendLabels(req, res, labels, `Labels for purchase ${req.params.id}`);
+  } catch (err) {
+    const status = err.statusCode ?? 500;
+    res.status(status).json({ error: err.message });
+  }
+}
+
+export async function postProductLabels(req, res) {
+  try {
+    const labels = await getSkuLabels(req.body?.items);
+    sendLabels(req, res, labels, 'Labels');
+  } catch (err) {
+    const status = err.statusCode ?? 500;
+    res.status(status).json({ error: err.message });
+  }
+}
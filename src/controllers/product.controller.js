@@ -1,4 +1,7 @@
-import { createProduct, getProductBySku } from '../services/product.service.js';
+import { createProduct, getProductBySku, updateVariant } from '../services/product.service.js';
+import { getPriceHistory } from '../services/price.service.js';
+import { searchProducts } from '../services/productSearch.service.js';
+import { exportProductsCsv, importProductsCsv } from '../services/productImport.service.js';
 
 export async function postProduct(req, res) {
   try {
@@ -6,7 +9,7 @@ export async function postProduct(req, res) {
     res.status(201).json(result);
   } catch (err) {
     const status = err.statusCode ?? 500;
-    res.status(status).json({ error: err.message });
+    res.status(status).json({ error: err.message, ...(err.details ?? {}) });
   }
 }
 
@@ -17,3 +20,75 @@ export async function getBySku(req, res) {
   }
   res.json(product);
 }
+
+export async function getProductSearch(req, res) {
+  try {
+    const { q, categoryId, subcategoryId, supplierId, minPrice, maxPrice, stock, attr, sort, page, pageSize } = req.query;
+    const result = await searchProducts({
+      q,
+      categoryId,
+      subcategoryId,
+      supplierId,
+      minPrice,
+      maxPrice,
+      stock,
+      attr,
+      sort,
+      page,
+      pageSize,
+    });
+    res.json(result);
+  } catch (err) {
+    const status = err.statusCode ?? 500;
+    res.status(status).json({ error: err.message });
+  }
+}
+
+export async function getProductExport(req, res) {
+  try {
+    const { categoryId, supplierId } = req.query;
+    const csv = await exportProductsCsv({ categoryId, supplierId });
+    res.type('text/csv').attachment('products.csv').send(csv);
+  } catch (err) {
+    const status = err.statusCode ?? 500;
+    res.status(status).json({ error: err.message });
+  }
+}
+
+export async function postProductImport(req, res) {
+  try {
+    const payload = typeof req.body === 'string' ? { ...req.query, csv: req.body } : req.body;
+    const result = await importProductsCsv(payload);
+    const status = result.committed ? 201 : result.valid || result.dryRun ? 200 : 400;
+    res.status(status).json(result);
+  } catch (err) {
+    const status = err.statusCode ?? 500;
+    res.status(status).json({ error: err.message });
+  }
+}
+
+export async function patchVariant(req, res) {
+  try {
+    const variant = await updateVariant(req.params.id, req.body);
+    if (!variant) {
+      return res.status(404).json({ error: 'Product variant not found' });
+    }
+    res.json(variant);
+  } catch (err) {
+    const status = err.statusCode ?? 500;
+    res.status(status).json({ error: err.message });
+  }
+}
+
+export async function getVariantPriceHistory(req, res) {
+  try {
+    const history = await getPriceHistory(req.params.id, req.query.at);
+    if (!history) {
+      return res.status(404).json({ error: 'Product variant not found' });
+    }
+    res.json(history);
+  } catch (err) {
+    const status = err.statusCode ?? 500;
+    res.status(status).json({ error: err.message });
+  }
+}
@@ -1,9 +1,103 @@
-import { createPurchase } from '../services/purchase.service.js';
+import {
+  createPurchase,
+  listPurchases,
+  getPurchase,
+  updatePurchase,
+  deletePurchase,
+  createPurchaseReturn,
+  listPurchaseReturns,
+  getPurchaseReturn,
+} from '../services/purchase.service.js';
+import { importPurchaseCsv } from '../services/purchaseImport.service.js';
 
 export async function postPurchase(req, res) {
   try {
     const result = await createPurchase(req.body);
-    res.status(201).json({ purchaseId: result.purchaseId });
+    res.status(201).json({ purchaseId: result.purchaseId, createdProducts: result.createdProducts });
+  } catch (err) {
+    const status = err.statusCode ?? 500;
+    res.status(status).json({ error: err.message });
+  }
+}
+
+export async function getPurchases(req, res) {
+  try {
+    const { supplierId, from, to, invoiceNo } = req.query;
+    const purchases = await listPurchases({ supplierId, from, to, invoiceNo });
+    res.json(purchases);
+  } catch (err) {
+    const status = err.statusCode ?? 500;
+    res.status(status).json({ error: err.message });
+  }
+}
+
+export async function getPurchaseById(req, res) {
+  const purchase = await getPurchase(req.params.id);
+  if (!purchase) {
+    return res.status(404).json({ error: 'Purchase not found' });
+  }
+  res.json(purchase);
+}
+
+export async function putPurchase(req, res) {
+  try {
+    const result = await updatePurchase(req.params.id, req.body);
+    res.json(result);
+  } catch (err) {
+    const status = err.statusCode ?? 500;
+    res.status(status).json({ error: err.message });
+  }
+}
+
+export async function removePurchase(req, res) {
+  try {
+    const result = await deletePurchase(req.params.id);
+    res.json(result);
+  } catch (err) {
+    const status = err.statusCode ?? 500;
+    res.status(status).json({ error: err.message });
+  }
+}
+
+export async function postPurchaseReturn(req, res) {
+  try {
+    const result = await createPurchaseReturn(req.body);
+    res.status(201).json(result);
+  } catch (err) {
+    const status = err.statusCode ?? 500;
+    res.status(status).json({ error: err.message });
+  }
+}
+
+export async function getPurchaseReturns(req, res) {
+  try {
+    const { supplierId, purchaseId, from, to } = req.query;
+    const returns = await listPurchaseReturns({ supplierId, purchaseId, from, to });
+    res.json(returns);
+  } catch (err) {
+    const status = err.statusCode ?? 500;
+    res.status(status).json({ error: err.message });
+  }
+}
+
+export async function getPurchaseReturnById(req, res) {
+  const purchaseReturn = await getPurchaseReturn(req.params.id);
+  if (!purchaseReturn) {
+    return res.status(404).json({ error: 'Purchase return not found' });
+  }
+  res.json(purchaseReturn);
+}
+
+/**
+ * POST /purchases/import — JSON { supplierId, csv, dryRun?, ... }, or the CSV itself as
+ * text/csv with the other fields in the query string.
+ */
+export async function postPurchaseImport(req, res) {
+  try {
+    const payload = typeof req.body === 'string' ? { ...req.query, csv: req.body } : req.body;
+    const result = await importPurchaseCsv(payload);
+    const status = result.purchaseId ? 201 : result.valid || result.dryRun ? 200 : 400;
+    res.status(status).json(result);
   } catch (err) {
     const status = err.statusCode ?? 500;
     res.status(status).json({ error: err.message });
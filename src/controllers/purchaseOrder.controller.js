@@ -0,0 +1,78 @@
+import {
+  createPurchaseOrder,
+  listPurchaseOrders,
+  getPurchaseOrder,
+  updatePurchaseOrder,
+  sendPurchaseOrder,
+  closePurchaseOrder,
+  receivePurchaseOrder,
+} from '../services/purchaseOrder.service.js';
+
+export async function postPurchaseOrder(req, res) {
+  try {
+    const result = await createPurchaseOrder(req.body);
+    res.status(201).json(result);
+  } catch (err) {
+    const status = err.statusCode ?? 500;
+    res.status(status).json({ error: err.message });
+  }
+}
+
+export async function getPurchaseOrders(req, res) {
+  try {
+    const { supplierId, status } = req.query;
+    const orders = await listPurchaseOrders({ supplierId, status });
+    res.json(orders);
+  } catch (err) {
+    const status = err.statusCode ?? 500;
+    res.status(status).json({ error: err.message });
+  }
+}
+
+export async function getPurchaseOrderById(req, res) {
+  const order = await getPurchaseOrder(req.params.id);
+  if (!order) {
+    return res.status(404).json({ error: 'Purchase order not found' });
+  }
+  res.json(order);
+}
+
+export async function putPurchaseOrder(req, res) {
+  try {
+    const result = await updatePurchaseOrder(req.params.id, req.body);
+    res.json(result);
+  } catch (err) {
+    const status = err.statusCode ?? 500;
+    res.status(status).json({ error: err.message });
+  }
+}
+
+export async function postSendPurchaseOrder(req, res) {
+  try {
+    const result = await sendPurchaseOrder(req.params.id);
+    res.json(result);
+  } catch (err) {
+    const status = err.statusCode ?? 500;
+    res.status(status).json({ error: err.message });
+  }
+}
+
+export async function postClosePurchaseOrder(req, res) {
+  try {
+    const result = await closePurchaseOrder(req.params.id, req.body);
+    res.json(result);
+  } catch (err) {
+    const status = err.statusCode ?? 500;
+    res.status(status).json({ error: err.message });
+  }
+}
+
+export async function postReceivePurchaseOrder(req, res) {
+  try {
+    const result = await receivePurchaseOrder(req.params.id, req.body);
+    res.status(201).json(result);
+  } catch (err) {
+    const status = err.statusCode ?? 500;
+    res.status(status).json({ error: err.message });
+  }
+}
@@ -1,10 +1,126 @@
 import prisma from '../lib/prisma.js';
+import { getStoreStateCode } from '../services/tax.service.js';
+import { CREDIT_MODE } from '../services/customer.service.js';
+import { pricesInForce, parsePriceDate } from '../services/price.service.js';
 
 const DEFAULT_PAYMENT_KEYS = ['CASH', 'CARD', 'UPI_N', 'UPI_S'];
 
+/**
+ * Gross sales, returns in the same window and the net of both.
+ * Payments are net of refunds per mode; refunds are also reported on their own. CREDIT
+ * rows brought in no money: they are reported as creditSales / creditReturns instead.
+ * Payments customers made against their balance (ledger PAYMENT entries) are listed as
+ * balanceReceipts; collected is what came in per mode, payments plus balance receipts.
+ */
+function summarizeSalesAndReturns(sales, saleReturns, balancePayments = []) {
+  const totalBills = sales.length;
+  const totalItems = sales.reduce(
+    (sum, s) => sum + s.items.reduce((q, i) => q + i.quantity, 0),
+    0
+  );
+  const totalRevenue = sales.reduce((sum, s) => sum + Number(s.totalAmount), 0);
+
+  const totalReturns = saleReturns.length;
+  const returnedItems = saleReturns.reduce(
+    (sum, r) => sum + r.items.reduce((q, i) => q + i.quantity, 0),
+    0
+  );
+  const returnsAmount = saleReturns.reduce((sum, r) => sum + Number(r.refundAmount), 0);
+
+  const payments = Object.fromEntries(DEFAULT_PAYMENT_KEYS.map((k) => [k, 0]));
+  const refunds = {};
+  let creditSales = 0;
+  let creditReturns = 0;
+  for (const s of sales) {
+    for (const p of s.payments) {
+      const mode = p.mode || 'CASH';
+      if (mode === CREDIT_MODE) {
+        creditSales += Number(p.amount);
+        continue;
+      }
+      if (!payments[mode]) payments[mode] = 0;
+      payments[mode] += Number(p.amount);
+    }
+  }
+  for (const r of saleReturns) {
+    for (const p of r.payments) {
+      const mode = p.mode || 'CASH';
+      if (mode === CREDIT_MODE) {
+        creditReturns += Number(p.amount);
+        continue;
+      }
+      if (!payments[mode]) payments[mode] = 0;
+      payments[mode] -= Number(p.amount);
+      refunds[mode] = (refunds[mode] || 0) + Number(p.amount);
+    }
+  }
+
+  const balanceReceipts = {};
+  for (const e of balancePayments) {
+    const mode = e.mode || 'CASH';
+    // PAYMENT entries are negative: they lower what the customer owes
+    balanceReceipts[mode] = Math.round(((balanceReceipts[mode] || 0) - Number(e.amount)) * 100) / 100;
+  }
+  const collected = { ...payments };
+  for (const [mode, amount] of Object.entries(balanceReceipts)) {
+    collected[mode] = Math.round(((collected[mode] || 0) + amount) * 100) / 100;
+  }
+
+  return {
+    totalBills,
+    totalItems,
+    totalRevenue,
+    totalReturns,
+    returnedItems,
+    returnsAmount: Math.round(returnsAmount * 100) / 100,
+    netItems: totalItems - returnedItems,
+    netRevenue: Math.round((totalRevenue - returnsAmount) * 100) / 100,
+    payments,
+    refunds,
+    creditSales: Math.round(creditSales * 100) / 100,
+    creditReturns: Math.round(creditReturns * 100) / 100,
+    balanceReceipts,
+    collected,
+  };
+}
+
+/**
+ * Split out voided bills: they stay out of every total but are listed on their own.
+ */
+function partitionVoided(sales) {
+  const completed = [];
+  const voidedSales = [];
+  for (const s of sales) {
+    (s.status === 'VOIDED' ? voidedSales : completed).push(s);
+  }
+  const voided = {
+    totalBills: voidedSales.length,
+    totalAmount: Math.round(voidedSales.reduce((sum, s) => sum + Number(s.totalAmount), 0) * 100) / 100,
+    bills: voidedSales.map((s) => ({
+      saleId: s.id,
+      billNumber: s.billNumber ?? null,
+      soldAt: s.soldAt,
+      totalAmount: Number(s.totalAmount),
+      voidedAt: s.voidedAt,
+      voidReason: s.voidReason,
+    })),
+  };
+  return { completed, voided };
+}
+
+/**
+ * Quantity of a purchase line still held after returns to the supplier (debit notes).
+ */
+function keptQuantity(purchaseItem) {
+  return purchaseItem.quantity - purchaseItem.returnItems.reduce((q, r) => q + r.quantity, 0);
+}
+
 /**
  * GET ?date=YYYY-MM-DD
- * Daily sales: totalBills, totalItems, totalRevenue, payments by mode
+ * Daily sales: totalBills, totalItems, totalRevenue (gross), returns made that day,
+ * netItems, netRevenue, payments by mode (net of refunds), refunds by mode, credit
+ * sales and returns, balance receipts from customers and what was collected per mode.
+ * Voided bills are excluded from the totals and listed under `voided`.
  */
 export async function getDailySales(req, res) {
   try {
@@ -15,38 +131,36 @@ export async function getDailySales(req, res) {
     const start = new Date(dateStr + 'T00:00:00.000Z');
     const end = new Date(dateStr + 'T23:59:59.999Z');
 
-    const sales = await prisma.sale.findMany({
-      where: {
-        soldAt: { gte: start, lte: end },
-      },
-      include: {
-        items: true,
-        payments: true,
-      },
-    });
-
-    const totalBills = sales.length;
-    const totalItems = sales.reduce(
-      (sum, s) => sum + s.items.reduce((q, i) => q + i.quantity, 0),
-      0
-    );
-    const totalRevenue = sales.reduce((sum, s) => sum + Number(s.totalAmount), 0);
+    const [allSales, saleReturns, balancePayments] = await Promise.all([
+      prisma.sale.findMany({
+        where: {
+          soldAt: { gte: start, lte: end },
+        },
+        include: {
+          items: true,
+          payments: { where: { type: 'SALE' } },
+        },
+      }),
+      prisma.saleReturn.findMany({
+        where: {
+          returnedAt: { gte: start, lte: end },
+        },
+        include: {
+          items: true,
+          payments: true,
+        },
+      }),
+      prisma.customerLedgerEntry.findMany({
+        where: { type: 'PAYMENT', entryAt: { gte: start, lte: end } },
+      }),
+    ]);
 
-    const payments = Object.fromEntries(DEFAULT_PAYMENT_KEYS.map((k) => [k, 0]));
-    for (const s of sales) {
-      for (const p of s.payments) {
-        const mode = p.mode || 'CASH';
-        if (!payments[mode]) payments[mode] = 0;
-        payments[mode] += Number(p.amount);
-      }
-    }
+    const { completed, voided } = partitionVoided(allSales);
 
     res.json({
       date: dateStr,
-      totalBills,
-      totalItems,
-      totalRevenue,
-      payments,
+      ...summarizeSalesAndReturns(completed, saleReturns, balancePayments),
+      voided,
     });
   } catch (err) {
     console.error(err);
@@ -90,50 +204,49 @@ export async function getInventorySnapshot(req, res) {
 
 /**
  * GET ?from=YYYY-MM-DD&to=YYYY-MM-DD (optional)
- * Sales summary for date range: totalBills, totalItems, totalRevenue, payments by mode
+ * Sales summary for date range: gross figures, returns made in the range and net
+ * figures, with payments by mode net of refunds (see summarizeSalesAndReturns).
+ * Voided bills are excluded from the totals and listed under `voided`.
  */
 export async function getSalesSummary(req, res) {
   try {
     const { from, to } = req.query;
     const where = {};
+    const returnWhere = {};
+    const ledgerWhere = { type: 'PAYMENT' };
 
     if (from) {
       where.soldAt = where.soldAt || {};
       where.soldAt.gte = new Date(from + 'T00:00:00.000Z');
+      returnWhere.returnedAt = { ...returnWhere.returnedAt, gte: where.soldAt.gte };
+      ledgerWhere.entryAt = { ...ledgerWhere.entryAt, gte: where.soldAt.gte };
     }
     if (to) {
       where.soldAt = where.soldAt || {};
       where.soldAt.lte = new Date(to + 'T23:59:59.999Z');
+      returnWhere.returnedAt = { ...returnWhere.returnedAt, lte: where.soldAt.lte };
+      ledgerWhere.entryAt = { ...ledgerWhere.entryAt, lte: where.soldAt.lte };
     }
 
-    const sales = await prisma.sale.findMany({
-      where,
-      include: { items: true, payments: true },
-    });
-
-    const totalBills = sales.length;
-    const totalItems = sales.reduce(
-      (sum, s) => sum + s.items.reduce((q, i) => q + i.quantity, 0),
-      0
-    );
-    const totalRevenue = sales.reduce((sum, s) => sum + Number(s.totalAmount), 0);
+    const [allSales, saleReturns, balancePayments] = await Promise.all([
+      prisma.sale.findMany({
+        where,
+        include: { items: true, payments: { where: { type: 'SALE' } } },
+      }),
+      prisma.saleReturn.findMany({
+        where: returnWhere,
+        include: { items: true, payments: true },
+      }),
+      prisma.customerLedgerEntry.findMany({ where: ledgerWhere }),
+    ]);
 
-    const payments = Object.fromEntries(DEFAULT_PAYMENT_KEYS.map((k) => [k, 0]));
-    for (const s of sales) {
-      for (const p of s.payments) {
-        const mode = p.mode || 'CASH';
-        if (!payments[mode]) payments[mode] = 0;
-        payments[mode] += Number(p.amount);
-      }
-    }
+    const { completed, voided } = partitionVoided(allSales);
 
     res.json({
       from: from ?? null,
       to: to ?? null,
-      totalBills,
-      totalItems,
-      totalRevenue,
-      payments,
+      ...summarizeSalesAndReturns(completed, saleReturns, balancePayments),
+      voided,
     });
   } catch (err) {
     console.error(err);
@@ -143,6 +256,20 @@ export async function getSalesSummary(req, res) {
 
 const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
 
+/**
+ * Cost reports read inventory lots and recorded line costs. Until db:backfill-lots has
+ * run, products from before lots would show no stock and no cost, so those reports
+ * answer 409 instead. Returns the response body, or null when every product has its lots.
+ */
+async function lotsPendingError() {
+  const pending = await prisma.product.count({ where: { lotsBackfilled: false } });
+  if (pending === 0) return null;
+  return {
+    error: `Inventory lots have not been built for ${pending} product(s) yet: run npm run db:backfill-lots`,
+    pendingProducts: pending,
+  };
+}
+
 function validateDateParam(value, paramName) {
   if (value == null || value === '') return null;
   const str = String(value).trim();
@@ -154,7 +281,8 @@ function validateDateParam(value, paramName) {
 
 /**
  * GET ?from=YYYY-MM-DD&to=YYYY-MM-DD
- * Sales list with items (sku, name, quantity, unitPrice, lineTotal) and payments by mode
+ * Sales list with items (sku, name, quantity, unitPrice, lineTotal) and payments by mode.
+ * Voided bills stay in the list with status VOIDED, voidedAt and voidReason.
  */
 export async function getSalesList(req, res) {
   try {
@@ -191,7 +319,7 @@ export async function getSalesList(req, res) {
             product: true,
           },
         },
-        payments: true,
+        payments: { where: { type: 'SALE' } },
       },
       orderBy: { soldAt: 'desc' },
     });
@@ -207,6 +335,9 @@ export async function getSalesList(req, res) {
         saleId: s.id,
         billNumber: s.billNumber ?? null,
         soldAt: s.soldAt,
+        status: s.status,
+        voidedAt: s.voidedAt,
+        voidReason: s.voidReason,
         totalAmount: Number(s.totalAmount),
         totalItems,
         payments: paymentsByMode,
@@ -229,8 +360,10 @@ export async function getSalesList(req, res) {
 
 /**
  * GET ?from=YYYY-MM-DD&to=YYYY-MM-DD (optional)
- * Sales profit report using average cost from PurchaseItems.
- * Profit per line = (unitPrice - avgCost) × quantity; aggregated per sale.
+ * Sales profit report using the cost each line took from inventory lots.
+ * Profit per line = (lineTotal - returned amount) - (costAmount - cost put back by returns);
+ * aggregated per sale, so returns reduce the profit of the bill they came from.
+ * Voided bills are excluded from the totals and listed under `voided`.
  */
 export async function getSalesProfit(req, res) {
   try {
@@ -243,6 +376,8 @@ export async function getSalesProfit(req, res) {
     if (toValid && toValid.invalid) {
       return res.status(400).json({ error: `Invalid to: must be YYYY-MM-DD` });
     }
+    const lotsPending = await lotsPendingError();
+    if (lotsPending) return res.status(409).json(lotsPending);
 
     const where = {};
     if (fromValid && typeof fromValid === 'string') {
@@ -254,72 +389,55 @@ export async function getSalesProfit(req, res) {
       where.soldAt.lte = new Date(toValid + 'T23:59:59.999Z');
     }
 
-    const sales = await prisma.sale.findMany({
+    const allSales = await prisma.sale.findMany({
       where,
       include: {
         items: {
-          include: { product: true },
+          include: { product: true, returnItems: true },
         },
       },
       orderBy: { soldAt: 'desc' },
     });
-
-    const variantIds = [
-      ...new Set(
-        sales.flatMap((s) =>
-          s.items.map((i) => i.product?.productVariantId).filter(Boolean)
-        )
-      ),
-    ];
-
-    const avgCostByVariant = {};
-    if (variantIds.length > 0) {
-      const purchaseItems = await prisma.purchaseItem.findMany({
-        where: { productVariantId: { in: variantIds } },
-      });
-      const byVariant = {};
-      for (const pi of purchaseItems) {
-        const id = pi.productVariantId;
-        if (!byVariant[id]) byVariant[id] = { costQty: 0, qty: 0 };
-        const q = pi.quantity;
-        const c = Number(pi.effectiveUnitCost);
-        byVariant[id].costQty += c * q;
-        byVariant[id].qty += q;
-      }
-      for (const id of Object.keys(byVariant)) {
-        const { costQty, qty } = byVariant[id];
-        avgCostByVariant[id] = qty > 0 ? costQty / qty : 0;
-      }
-    }
+    const { completed: sales, voided } = partitionVoided(allSales);
 
     let totalProfit = 0;
+    let totalNetAmount = 0;
     const salesWithProfit = sales.map((s) => {
       let saleProfit = 0;
+      let returnedAmount = 0;
       for (const item of s.items) {
-        const variantId = item.product?.productVariantId;
-        const avgCost = variantId ? avgCostByVariant[variantId] ?? 0 : 0;
-        const unitPrice = Number(item.unitPrice);
-        const qty = item.quantity;
-        const lineProfit = (unitPrice - avgCost) * qty;
+        const returnedTotal = item.returnItems.reduce((t, r) => t + Number(r.lineTotal), 0);
+        const returnedCost = item.returnItems.reduce((t, r) => t + Number(r.costAmount), 0);
+        const lineProfit = (Number(item.lineTotal) - returnedTotal) - (Number(item.costAmount) - returnedCost);
         saleProfit += lineProfit;
+        returnedAmount += returnedTotal;
       }
       saleProfit = Math.round(saleProfit * 100) / 100;
+      returnedAmount = Math.round(returnedAmount * 100) / 100;
+      const netAmount = Math.round((Number(s.totalAmount) - returnedAmount) * 100) / 100;
       totalProfit += saleProfit;
+      totalNetAmount += netAmount;
       return {
         saleId: s.id,
         billNumber: s.billNumber ?? null,
         soldAt: s.soldAt,
         totalAmount: Number(s.totalAmount),
+        returnedAmount,
+        netAmount,
         profit: saleProfit,
       };
     });
     totalProfit = Math.round(totalProfit * 100) / 100;
 
+    totalNetAmount = Math.round(totalNetAmount * 100) / 100;
+
     res.json({
       from: from ?? null,
       to: to ?? null,
       sales: salesWithProfit,
+      totalNetAmount,
       totalProfit,
+      voided,
     });
   } catch (err) {
     console.error(err);
@@ -329,45 +447,30 @@ export async function getSalesProfit(req, res) {
 
 /**
  * GET /reports/inventory-valuation
- * Cost-based inventory valuation: stock × average purchase cost per variant.
- * Average cost = SUM(quantity × effectiveUnitCost) / SUM(quantity) from PurchaseItem.
+ * Cost-based inventory valuation from inventory lots: every unit still in stock is valued
+ * at the cost of the lot it belongs to. avgCost is the resulting cost per unit.
  * Skips variants with zero stock. Not stored in DB.
  */
 export async function getInventoryValuation(req, res) {
   try {
+    const lotsPending = await lotsPendingError();
+    if (lotsPending) return res.status(409).json(lotsPending);
+
     const variants = await prisma.productVariant.findMany({
       include: {
-        products: true,
+        products: { include: { lots: { where: { remainingQuantity: { gt: 0 } } } } },
         category: true,
       },
     });
 
-    const variantIds = variants.map((v) => v.id);
-    const purchaseItems = await prisma.purchaseItem.findMany({
-      where: { productVariantId: { in: variantIds } },
-    });
-
-    const avgCostByVariant = {};
-    for (const pi of purchaseItems) {
-      const id = pi.productVariantId;
-      if (!avgCostByVariant[id]) avgCostByVariant[id] = { costQty: 0, qty: 0 };
-      const q = pi.quantity;
-      const c = Number(pi.effectiveUnitCost);
-      avgCostByVariant[id].costQty += c * q;
-      avgCostByVariant[id].qty += q;
-    }
-    for (const id of Object.keys(avgCostByVariant)) {
-      const { costQty, qty } = avgCostByVariant[id];
-      avgCostByVariant[id] = qty > 0 ? costQty / qty : 0;
-    }
-
     const result = [];
     for (const v of variants) {
-      const stockQty = v.products.reduce((sum, p) => sum + p.quantityInStock, 0);
+      const lots = v.products.flatMap((p) => p.lots);
+      const stockQty = lots.reduce((sum, l) => sum + l.remainingQuantity, 0);
       if (stockQty === 0) continue;
 
-      const avgCost = avgCostByVariant[v.id] ?? 0;
-      const inventoryValue = Math.round(stockQty * avgCost * 100) / 100;
+      const value = lots.reduce((sum, l) => sum + l.remainingQuantity * Number(l.unitCost), 0);
+      const inventoryValue = Math.round(value * 100) / 100;
       const firstProduct = v.products[0];
       const sku = firstProduct?.sku ?? '—';
 
@@ -377,7 +480,7 @@ export async function getInventoryValuation(req, res) {
         categoryName: v.category?.name ?? null,
         attributes: v.attributes_json ?? {},
         stockQty,
-        avgCost: Math.round(avgCost * 100) / 100,
+        avgCost: Math.round((value / stockQty) * 100) / 100,
         inventoryValue,
       });
     }
@@ -389,7 +492,7 @@ export async function getInventoryValuation(req, res) {
   }
 }
 
-// --- Inventory Aging (FIFO) helpers ---
+// --- Inventory Aging helpers ---
 const AGING_BUCKETS = ['0-30', '31-60', '61-90', '90+'];
 
 function getAgingBucket(ageDays) {
@@ -438,31 +541,10 @@ function daysBetween(asOfDate, purchasedAt) {
   return Math.floor((a - p) / (24 * 60 * 60 * 1000));
 }
 
-/**
- * FIFO: consume totalSold from layers (oldest first). Return remaining layers with { purchasedAt, quantity, effectiveUnitCost }.
- */
-function applyFifo(layers, totalSold) {
-  let toConsume = totalSold;
-  const remaining = [];
-  for (const layer of layers) {
-    const qty = layer.quantity;
-    const consume = Math.min(qty, toConsume);
-    toConsume -= consume;
-    const remainingQty = qty - consume;
-    if (remainingQty > 0) {
-      remaining.push({
-        purchasedAt: layer.purchasedAt,
-        quantity: remainingQty,
-        effectiveUnitCost: layer.effectiveUnitCost,
-      });
-    }
-  }
-  return remaining;
-}
-
 /**
  * GET /reports/inventory-aging?asOfDate=YYYY-MM-DD&categoryId=...
- * Inventory aging report using FIFO. Remaining stock is aged by purchase date and bucketed.
+ * Inventory aging report: what is left of each inventory lot is aged by the date the lot
+ * was received and bucketed. Suggested prices use the prices in force on asOfDate.
  */
 export async function getInventoryAging(req, res) {
   try {
@@ -472,6 +554,8 @@ export async function getInventoryAging(req, res) {
       ? new Date(asOfStr + 'T00:00:00.000Z')
       : new Date();
     const asOfDateOnly = asOfStr && /^\d{4}-\d{2}-\d{2}$/.test(asOfStr) ? asOfStr : asOfDate.toISOString().slice(0, 10);
+    const lotsPending = await lotsPendingError();
+    if (lotsPending) return res.status(409).json(lotsPending);
 
     const variantWhere = categoryId ? { categoryId } : {};
     const variants = await prisma.productVariant.findMany({
@@ -480,15 +564,8 @@ export async function getInventoryAging(req, res) {
     });
     const variantIds = variants.map((v) => v.id);
     const skuByVariant = Object.fromEntries(variants.map((v) => [v.id, v.products[0]?.sku ?? '—']));
-    const variantPricing = Object.fromEntries(
-      variants.map((v) => [
-        v.id,
-        {
-          default_selling_price: v.default_selling_price,
-          max_discount_percent: v.max_discount_percent,
-        },
-      ])
-    );
+    // Suggestions start from the prices in force on the as-of date
+    const variantPricing = await pricesInForce(prisma, variantIds, parsePriceDate(asOfDateOnly));
 
     if (variantIds.length === 0) {
       return res.json({
@@ -498,59 +575,47 @@ export async function getInventoryAging(req, res) {
       });
     }
 
-    const saleItems = await prisma.saleItem.findMany({
-      include: { product: true },
-      where: { product: { productVariantId: { in: variantIds } } },
-    });
-    const soldByVariant = {};
-    for (const si of saleItems) {
-      const vid = si.product?.productVariantId;
-      if (!vid) continue;
-      soldByVariant[vid] = (soldByVariant[vid] || 0) + si.quantity;
-    }
-
-    const purchaseItems = await prisma.purchaseItem.findMany({
-      where: { productVariantId: { in: variantIds } },
-      include: { purchase: true },
+    const lots = await prisma.inventoryLot.findMany({
+      where: {
+        product: { productVariantId: { in: variantIds } },
+        remainingQuantity: { gt: 0 },
+      },
+      include: { product: { select: { productVariantId: true } } },
+      orderBy: { receivedAt: 'asc' },
     });
     const layersByVariant = {};
-    for (const pi of purchaseItems) {
-      const vid = pi.productVariantId;
+    for (const lot of lots) {
+      const vid = lot.product.productVariantId;
       if (!layersByVariant[vid]) layersByVariant[vid] = [];
       layersByVariant[vid].push({
-        purchasedAt: pi.purchase.purchasedAt,
-        quantity: pi.quantity,
-        effectiveUnitCost: Number(pi.effectiveUnitCost),
+        receivedAt: lot.receivedAt,
+        quantity: lot.remainingQuantity,
+        unitCost: Number(lot.unitCost),
       });
     }
-    for (const vid of Object.keys(layersByVariant)) {
-      layersByVariant[vid].sort((a, b) => new Date(a.purchasedAt) - new Date(b.purchasedAt));
-    }
 
     const buckets = Object.fromEntries(AGING_BUCKETS.map((b) => [b, { quantity: 0, value: 0 }]));
     const items = [];
 
     for (const variantId of variantIds) {
       const layers = layersByVariant[variantId] || [];
-      const totalSold = soldByVariant[variantId] || 0;
-      const remainingLayers = applyFifo(layers, totalSold);
       const sku = skuByVariant[variantId] ?? '—';
 
-      const pricing = variantPricing[variantId] || {};
+      const pricing = variantPricing.get(variantId) || {};
       const defaultSellingPrice = pricing.default_selling_price;
       const maxDiscountPercent = pricing.max_discount_percent;
 
-      for (const layer of remainingLayers) {
-        const ageDays = daysBetween(asOfDate, layer.purchasedAt);
+      for (const layer of layers) {
+        const ageDays = daysBetween(asOfDate, layer.receivedAt);
         const bucket = getAgingBucket(ageDays);
-        const value = Math.round(layer.quantity * layer.effectiveUnitCost * 100) / 100;
+        const value = Math.round(layer.quantity * layer.unitCost * 100) / 100;
 
         const { suggestedDiscountPercent, suggestedPrice, discountCappedByCost } =
           getDiscountSuggestion(
             bucket,
             defaultSellingPrice,
             maxDiscountPercent,
-            layer.effectiveUnitCost
+            layer.unitCost
           );
 
         items.push({
@@ -584,3 +649,598 @@ export async function getInventoryAging(req, res) {
     res.status(500).json({ error: 'Internal Server Error' });
   }
 }
+
+/**
+ * GET /reports/price-list?asOfDate=YYYY-MM-DD&categoryId=...
+ * Price list as it stood at the end of asOfDate (default: now): per SKU the mrp, selling
+ * price and max discount in force, since when (effectiveFrom, null if before the recorded
+ * history) and whether the prices have changed since.
+ */
+export async function getPriceList(req, res) {
+  try {
+    const asOfValid = validateDateParam(req.query.asOfDate, 'asOfDate');
+    if (asOfValid && asOfValid.invalid) {
+      return res.status(400).json({
+        error: `Invalid ${asOfValid.paramName}: must be YYYY-MM-DD`,
+      });
+    }
+    const categoryId = req.query.categoryId?.trim() || null;
+
+    const products = await prisma.product.findMany({
+      where: categoryId ? { productVariant: { categoryId } } : {},
+      include: { productVariant: { include: { category: true } } },
+      orderBy: { sku: 'asc' },
+    });
+    const prices = await pricesInForce(
+      prisma,
+      products.map((p) => p.productVariantId),
+      parsePriceDate(asOfValid)
+    );
+
+    const items = products.map((p) => {
+      const v = p.productVariant;
+      const price = prices.get(v.id);
+      return {
+        sku: p.sku,
+        productVariantId: v.id,
+        categoryName: v.category?.name ?? null,
+        attributes: v.attributes_json ?? {},
+        mrp: price.mrp,
+        sellingPrice: price.default_selling_price,
+        maxDiscountPercent: price.max_discount_percent,
+        effectiveFrom: price.effectiveFrom,
+        changedSince:
+          price.mrp !== v.mrp ||
+          price.default_selling_price !== v.default_selling_price ||
+          price.max_discount_percent !== v.max_discount_percent,
+      };
+    });
+
+    res.json({ asOfDate: asOfValid || new Date().toISOString().slice(0, 10), items });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+}
+
+// --- GSTR-1 helpers ---
+const GST_AMOUNT_KEYS = ['value', 'taxableValue', 'cgstAmount', 'sgstAmount', 'igstAmount'];
+
+/**
+ * Add a line (or a negative share of one, for returns) into a summary row keyed by `key`.
+ */
+function addGstLine(rows, key, base, line, sign, share = 1) {
+  if (!rows[key]) {
+    rows[key] = { ...base, quantity: 0, ...Object.fromEntries(GST_AMOUNT_KEYS.map((k) => [k, 0])) };
+  }
+  const row = rows[key];
+  row.quantity += sign * line.quantity;
+  row.value += sign * share * Number(line.lineTotal);
+  row.taxableValue += sign * share * Number(line.taxableValue);
+  row.cgstAmount += sign * share * Number(line.cgstAmount);
+  row.sgstAmount += sign * share * Number(line.sgstAmount);
+  row.igstAmount += sign * share * Number(line.igstAmount);
+}
+
+function roundGstRows(rows) {
+  return Object.values(rows).map((row) => {
+    for (const k of GST_AMOUNT_KEYS) row[k] = Math.round(row[k] * 100) / 100;
+    return row;
+  });
+}
+
+function documentRange(numbers, cancelled = 0) {
+  const sorted = [...numbers].sort();
+  return {
+    from: sorted[0] ?? null,
+    to: sorted[sorted.length - 1] ?? null,
+    total: sorted.length,
+    cancelled,
+  };
+}
+
+/**
+ * GET /reports/gstr1?from=YYYY-MM-DD&to=YYYY-MM-DD
+ * GSTR-1 style outward supplies for the period. All bills are treated as B2C.
+ *  - b2cs: value, taxable value and tax per place of supply and rate
+ *  - hsn: HSN-wise summary per rate with quantities
+ *  - creditNotes: returns made in the period, which are also netted into b2cs and hsn
+ *  - documents: bill and return number ranges; voided bills count as cancelled
+ */
+export async function getGstr1(req, res) {
+  try {
+    const { from, to } = req.query;
+    const fromValid = validateDateParam(from, 'from');
+    const toValid = validateDateParam(to, 'to');
+    if (!fromValid || fromValid.invalid || !toValid || toValid.invalid) {
+      return res.status(400).json({ error: 'Query params from and to required (YYYY-MM-DD)' });
+    }
+    const start = new Date(fromValid + 'T00:00:00.000Z');
+    const end = new Date(toValid + 'T23:59:59.999Z');
+
+    const [allSales, saleReturns] = await Promise.all([
+      prisma.sale.findMany({
+        where: { soldAt: { gte: start, lte: end } },
+        include: { items: true },
+      }),
+      prisma.saleReturn.findMany({
+        where: { returnedAt: { gte: start, lte: end } },
+        include: {
+          items: { include: { saleItem: true } },
+          sale: { select: { placeOfSupply: true } },
+        },
+      }),
+    ]);
+    const { completed: sales, voided } = partitionVoided(allSales);
+    const storeState = getStoreStateCode();
+
+    const b2cs = {};
+    const hsn = {};
+    const creditNotes = {};
+
+    for (const s of sales) {
+      const placeOfSupply = s.placeOfSupply ?? storeState;
+      for (const item of s.items) {
+        const rate = Number(item.gstRate);
+        addGstLine(b2cs, `${placeOfSupply}|${rate}`, { placeOfSupply, rate }, item, 1);
+        addGstLine(hsn, `${item.hsnCode}|${rate}`, { hsnCode: item.hsnCode, rate }, item, 1);
+      }
+    }
+
+    for (const r of saleReturns) {
+      const placeOfSupply = r.sale?.placeOfSupply ?? storeState;
+      for (const ri of r.items) {
+        const line = ri.saleItem;
+        const rate = Number(line.gstRate);
+        // Returned share of the original line's value and tax
+        const share = Number(line.lineTotal) > 0
+          ? Number(ri.lineTotal) / Number(line.lineTotal)
+          : ri.quantity / line.quantity;
+        const returned = { ...line, quantity: ri.quantity };
+        addGstLine(b2cs, `${placeOfSupply}|${rate}`, { placeOfSupply, rate }, returned, -1, share);
+        addGstLine(hsn, `${line.hsnCode}|${rate}`, { hsnCode: line.hsnCode, rate }, returned, -1, share);
+        addGstLine(creditNotes, `${placeOfSupply}|${rate}`, { placeOfSupply, rate }, returned, 1, share);
+      }
+    }
+
+    res.json({
+      from: fromValid,
+      to: toValid,
+      b2cs: roundGstRows(b2cs),
+      hsn: roundGstRows(hsn),
+      creditNotes: roundGstRows(creditNotes),
+      documents: {
+        bills: documentRange(allSales.map((s) => s.billNumber), voided.totalBills),
+        creditNotes: documentRange(saleReturns.map((r) => r.returnNumber)),
+      },
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+}
+
+/**
+ * GET /reports/receivables-aging?asOfDate=YYYY-MM-DD
+ * Outstanding customer credit by age. Payments, returns and voids settle the oldest
+ * credit bills first (FIFO); whatever is left is aged from the bill date.
+ */
+export async function getReceivablesAging(req, res) {
+  try {
+    const asOfValid = validateDateParam(req.query.asOfDate, 'asOfDate');
+    if (asOfValid && asOfValid.invalid) {
+      return res.status(400).json({ error: 'Invalid asOfDate: must be YYYY-MM-DD' });
+    }
+    const asOfDateOnly = asOfValid || new Date().toISOString().slice(0, 10);
+    const asOfDate = new Date(asOfDateOnly + 'T00:00:00.000Z');
+    const end = new Date(asOfDateOnly + 'T23:59:59.999Z');
+
+    const entries = await prisma.customerLedgerEntry.findMany({
+      where: { entryAt: { lte: end } },
+      include: {
+        customer: { select: { name: true, phone: true } },
+        sale: { select: { billNumber: true } },
+      },
+      orderBy: [{ entryAt: 'asc' }, { createdAt: 'asc' }],
+    });
+
+    const byCustomer = {};
+    for (const e of entries) {
+      if (!byCustomer[e.customerId]) {
+        byCustomer[e.customerId] = { customer: e.customer, debits: [], settled: 0 };
+      }
+      const amount = Number(e.amount);
+      if (amount > 0) {
+        byCustomer[e.customerId].debits.push({
+          entryAt: e.entryAt,
+          billNumber: e.sale?.billNumber ?? null,
+          amount,
+        });
+      } else {
+        byCustomer[e.customerId].settled -= amount;
+      }
+    }
+
+    const buckets = Object.fromEntries(AGING_BUCKETS.map((b) => [b, 0]));
+    const customers = [];
+    let totalOutstanding = 0;
+
+    for (const [customerId, { customer, debits, settled }] of Object.entries(byCustomer)) {
+      let toSettle = settled;
+      const customerBuckets = Object.fromEntries(AGING_BUCKETS.map((b) => [b, 0]));
+      const bills = [];
+      for (const debit of debits) {
+        const consume = Math.min(debit.amount, toSettle);
+        toSettle -= consume;
+        const due = Math.round((debit.amount - consume) * 100) / 100;
+        if (due <= 0) continue;
+        const ageDays = daysBetween(asOfDate, debit.entryAt);
+        const bucket = getAgingBucket(ageDays);
+        customerBuckets[bucket] += due;
+        bills.push({ billNumber: debit.billNumber, soldAt: debit.entryAt, ageDays, bucket, due });
+      }
+
+      const outstanding = Math.round(bills.reduce((sum, b) => sum + b.due, 0) * 100) / 100;
+      if (outstanding <= 0) continue;
+      for (const b of AGING_BUCKETS) {
+        customerBuckets[b] = Math.round(customerBuckets[b] * 100) / 100;
+        buckets[b] += customerBuckets[b];
+      }
+      totalOutstanding += outstanding;
+      customers.push({
+        customerId,
+        name: customer.name,
+        phone: customer.phone,
+        outstanding,
+        oldestDueDays: bills[0].ageDays,
+        buckets: customerBuckets,
+        bills,
+      });
+    }
+
+    for (const b of AGING_BUCKETS) {
+      buckets[b] = Math.round(buckets[b] * 100) / 100;
+    }
+    customers.sort((a, b) => b.oldestDueDays - a.oldestDueDays || b.outstanding - a.outstanding);
+
+    res.json({
+      asOfDate: asOfDateOnly,
+      totalOutstanding: Math.round(totalOutstanding * 100) / 100,
+      buckets,
+      customers,
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+}
+
+/**
+ * GET /reports/open-purchase-orders?supplierId=...&asOfDate=YYYY-MM-DD
+ * Pending lines of SENT and PARTIALLY_RECEIVED purchase orders, grouped by supplier.
+ * A line is overdue when its order's expectedAt is before asOfDate (default today).
+ */
+export async function getOpenPurchaseOrders(req, res) {
+  try {
+    const asOfValid = validateDateParam(req.query.asOfDate, 'asOfDate');
+    if (asOfValid && asOfValid.invalid) {
+      return res.status(400).json({ error: 'Invalid asOfDate: must be YYYY-MM-DD' });
+    }
+    const asOfDateOnly = asOfValid || new Date().toISOString().slice(0, 10);
+    const asOfDate = new Date(asOfDateOnly + 'T00:00:00.000Z');
+    const supplierId = req.query.supplierId?.trim() || null;
+
+    const orders = await prisma.purchaseOrder.findMany({
+      where: {
+        status: { in: ['SENT', 'PARTIALLY_RECEIVED'] },
+        ...(supplierId ? { supplierId } : {}),
+      },
+      include: {
+        supplier: { select: { name: true } },
+        items: { include: { productVariant: { include: { category: true } } } },
+      },
+      orderBy: [{ expectedAt: 'asc' }, { createdAt: 'asc' }],
+    });
+
+    const bySupplier = {};
+    for (const order of orders) {
+      const overdue = order.expectedAt != null && order.expectedAt < asOfDate;
+      const daysOverdue = overdue ? daysBetween(asOfDate, order.expectedAt) : 0;
+      for (const item of order.items) {
+        const pendingQuantity = item.quantity - item.receivedQuantity;
+        if (pendingQuantity <= 0) continue;
+
+        if (!bySupplier[order.supplierId]) {
+          bySupplier[order.supplierId] = {
+            supplierId: order.supplierId,
+            supplierName: order.supplier?.name ?? null,
+            openLines: 0,
+            overdueLines: 0,
+            pendingQuantity: 0,
+            pendingValue: 0,
+            lines: [],
+          };
+        }
+        const row = bySupplier[order.supplierId];
+        const pendingValue = Math.round(pendingQuantity * Number(item.unitCost) * 100) / 100;
+        row.openLines += 1;
+        if (overdue) row.overdueLines += 1;
+        row.pendingQuantity += pendingQuantity;
+        row.pendingValue = Math.round((row.pendingValue + pendingValue) * 100) / 100;
+        row.lines.push({
+          purchaseOrderId: order.id,
+          poNumber: order.poNumber,
+          status: order.status,
+          expectedAt: order.expectedAt,
+          overdue,
+          daysOverdue,
+          productVariantId: item.productVariantId,
+          categoryName: item.productVariant?.category?.name ?? null,
+          attributes: item.productVariant?.attributes_json ?? {},
+          orderedQuantity: item.quantity,
+          receivedQuantity: item.receivedQuantity,
+          pendingQuantity,
+          unitCost: Number(item.unitCost),
+          pendingValue,
+        });
+      }
+    }
+
+    const suppliers = Object.values(bySupplier).sort(
+      (a, b) => b.overdueLines - a.overdueLines || b.pendingValue - a.pendingValue
+    );
+    res.json({
+      asOfDate: asOfDateOnly,
+      totalOpenLines: suppliers.reduce((n, s) => n + s.openLines, 0),
+      totalOverdueLines: suppliers.reduce((n, s) => n + s.overdueLines, 0),
+      totalPendingValue: Math.round(suppliers.reduce((sum, s) => sum + s.pendingValue, 0) * 100) / 100,
+      suppliers,
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+}
+
+/**
+ * GET /reports/payables-aging?asOfDate=YYYY-MM-DD
+ * What we owe suppliers as of a date, per purchase: totalAmount less debit notes and
+ * payments allocated to it up to that date. Balances are bucketed by days past the due
+ * date; bills not yet due are reported separately. A supplier's net credit (debit notes
+ * on bills already paid) is shown as credit and not aged.
+ */
+export async function getPayablesAging(req, res) {
+  try {
+    const asOfValid = validateDateParam(req.query.asOfDate, 'asOfDate');
+    if (asOfValid && asOfValid.invalid) {
+      return res.status(400).json({ error: 'Invalid asOfDate: must be YYYY-MM-DD' });
+    }
+    const asOfDateOnly = asOfValid || new Date().toISOString().slice(0, 10);
+    const asOfDate = new Date(asOfDateOnly + 'T00:00:00.000Z');
+    const end = new Date(asOfDateOnly + 'T23:59:59.999Z');
+
+    const purchases = await prisma.purchase.findMany({
+      where: { purchasedAt: { lte: end } },
+      include: {
+        supplier: { select: { name: true } },
+        returns: { where: { returnedAt: { lte: end } }, select: { totalAmount: true } },
+        paymentAllocations: {
+          where: { supplierPayment: { paidAt: { lte: end } } },
+          select: { amount: true },
+        },
+      },
+    });
+
+    const emptyBuckets = () => Object.fromEntries(AGING_BUCKETS.map((b) => [b, 0]));
+    const bySupplier = {};
+    for (const p of purchases) {
+      const returned = p.returns.reduce((sum, r) => sum + Number(r.totalAmount), 0);
+      const paid = p.paymentAllocations.reduce((sum, a) => sum + Number(a.amount), 0);
+      const due = Math.round((Number(p.totalAmount) - returned - paid) * 100) / 100;
+      if (due === 0) continue;
+
+      if (!bySupplier[p.supplierId]) {
+        bySupplier[p.supplierId] = {
+          supplierId: p.supplierId,
+          supplierName: p.supplier?.name ?? null,
+          outstanding: 0,
+          credit: 0,
+          notDue: 0,
+          buckets: emptyBuckets(),
+          bills: [],
+        };
+      }
+      const row = bySupplier[p.supplierId];
+      if (due < 0) {
+        row.credit = Math.round((row.credit - due) * 100) / 100;
+        continue;
+      }
+
+      const dueDate = p.dueDate ?? p.purchasedAt;
+      const daysPastDue = daysBetween(asOfDate, dueDate);
+      const bucket = daysPastDue > 0 ? getAgingBucket(daysPastDue) : null;
+      if (bucket) row.buckets[bucket] = Math.round((row.buckets[bucket] + due) * 100) / 100;
+      else row.notDue = Math.round((row.notDue + due) * 100) / 100;
+      row.outstanding = Math.round((row.outstanding + due) * 100) / 100;
+      row.bills.push({
+        purchaseId: p.id,
+        invoiceNo: p.invoiceNo,
+        purchasedAt: p.purchasedAt,
+        dueDate,
+        daysPastDue: Math.max(0, daysPastDue),
+        bucket: bucket ?? 'notDue',
+        due,
+      });
+    }
+
+    const suppliers = Object.values(bySupplier).sort((a, b) => b.outstanding - a.outstanding);
+    const buckets = emptyBuckets();
+    let notDue = 0;
+    for (const s of suppliers) {
+      s.bills.sort((a, b) => new Date(a.dueDate) - new Date(b.dueDate));
+      notDue += s.notDue;
+      for (const b of AGING_BUCKETS) buckets[b] += s.buckets[b];
+    }
+    for (const b of AGING_BUCKETS) {
+      buckets[b] = Math.round(buckets[b] * 100) / 100;
+    }
+
+    res.json({
+      asOfDate: asOfDateOnly,
+      totalOutstanding: Math.round(suppliers.reduce((sum, s) => sum + s.outstanding, 0) * 100) / 100,
+      totalCredit: Math.round(suppliers.reduce((sum, s) => sum + s.credit, 0) * 100) / 100,
+      notDue: Math.round(notDue * 100) / 100,
+      buckets,
+      suppliers,
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+}
+
+/**
+ * GET /reports/supplier-performance?from=YYYY-MM-DD&to=YYYY-MM-DD (both optional)
+ * Per supplier, over purchases and completed sales in the period:
+ * - unitsBought, unitsReturnedToSupplier and supplierReturnRate (% of units bought)
+ * - unitsSold (net of customer returns), sellThroughRate (% of the units kept from the
+ *   period's purchases) and returnRate (% of units sold that customers brought back)
+ * - avgDaysToSell: days from receiving a purchase lot to selling units out of it,
+ *   weighted by quantity (units from opening lots are left out)
+ * - revenue (net of refunds), cost recorded on the sale lines (net of returns),
+ *   grossMargin and its percent.
+ */
+export async function getSupplierPerformance(req, res) {
+  try {
+    const { from, to } = req.query;
+    const fromValid = validateDateParam(from, 'from');
+    const toValid = validateDateParam(to, 'to');
+    if (fromValid && fromValid.invalid) {
+      return res.status(400).json({ error: `Invalid from: must be YYYY-MM-DD` });
+    }
+    if (toValid && toValid.invalid) {
+      return res.status(400).json({ error: `Invalid to: must be YYYY-MM-DD` });
+    }
+    const start = fromValid ? new Date(fromValid + 'T00:00:00.000Z') : null;
+    const end = toValid ? new Date(toValid + 'T23:59:59.999Z') : null;
+    const lotsPending = await lotsPendingError();
+    if (lotsPending) return res.status(409).json(lotsPending);
+
+    const purchasedAt = {};
+    const soldAt = {};
+    if (start) {
+      purchasedAt.gte = start;
+      soldAt.gte = start;
+    }
+    if (end) {
+      purchasedAt.lte = end;
+      soldAt.lte = end;
+    }
+    const [suppliers, purchaseItems, saleItems] = await Promise.all([
+      prisma.supplier.findMany(),
+      prisma.purchaseItem.findMany({
+        where: { purchase: { purchasedAt } },
+        include: {
+          purchase: { select: { supplierId: true } },
+          returnItems: { select: { quantity: true } },
+        },
+      }),
+      prisma.saleItem.findMany({
+        where: { sale: { status: { not: 'VOIDED' }, soldAt } },
+        include: {
+          sale: { select: { soldAt: true } },
+          product: { select: { supplierId: true } },
+          returnItems: { select: { quantity: true, lineTotal: true, costAmount: true } },
+          lotConsumptions: {
+            select: { lotId: true, quantity: true, lot: { select: { source: true, receivedAt: true } } },
+          },
+        },
+      }),
+    ]);
+
+    const stats = {};
+    const statsFor = (supplierId) => {
+      if (!stats[supplierId]) {
+        stats[supplierId] = {
+          unitsBought: 0,
+          unitsReturnedToSupplier: 0,
+          unitsSold: 0,
+          grossUnitsSold: 0,
+          returnedUnits: 0,
+          revenue: 0,
+          cost: 0,
+          matchedUnits: 0,
+          matchedDays: 0,
+        };
+      }
+      return stats[supplierId];
+    };
+
+    for (const pi of purchaseItems) {
+      const row = statsFor(pi.purchase.supplierId);
+      row.unitsBought += pi.quantity;
+      row.unitsReturnedToSupplier += pi.quantity - keptQuantity(pi);
+    }
+
+    for (const si of saleItems) {
+      const supplierId = si.product?.supplierId;
+      if (!supplierId) continue;
+      const returnedQty = si.returnItems.reduce((q, r) => q + r.quantity, 0);
+      const returnedTotal = si.returnItems.reduce((t, r) => t + Number(r.lineTotal), 0);
+      const returnedCost = si.returnItems.reduce((t, r) => t + Number(r.costAmount), 0);
+
+      const row = statsFor(supplierId);
+      row.grossUnitsSold += si.quantity;
+      row.returnedUnits += returnedQty;
+      row.unitsSold += si.quantity - returnedQty;
+      row.revenue += Number(si.lineTotal) - returnedTotal;
+      row.cost += Number(si.costAmount) - returnedCost;
+
+      // Units of the line still out of each purchase lot (returns put units back)
+      const outByLot = new Map();
+      for (const c of si.lotConsumptions) {
+        if (c.lot.source !== 'PURCHASE') continue;
+        const entry = outByLot.get(c.lotId) ?? { receivedAt: c.lot.receivedAt, quantity: 0 };
+        entry.quantity += c.quantity;
+        outByLot.set(c.lotId, entry);
+      }
+      for (const { receivedAt, quantity } of outByLot.values()) {
+        if (quantity <= 0) continue;
+        row.matchedUnits += quantity;
+        row.matchedDays += quantity * Math.max(0, daysBetween(si.sale.soldAt, receivedAt));
+      }
+    }
+
+    const percent = (part, whole) => (whole > 0 ? Math.round((part / whole) * 10000) / 100 : null);
+    const supplierById = Object.fromEntries(suppliers.map((s) => [s.id, s]));
+    const rows = Object.entries(stats).map(([supplierId, s]) => {
+      const revenue = Math.round(s.revenue * 100) / 100;
+      const cost = Math.round(s.cost * 100) / 100;
+      const grossMargin = Math.round((revenue - cost) * 100) / 100;
+      return {
+        supplierId,
+        name: supplierById[supplierId]?.name ?? null,
+        code: supplierById[supplierId]?.code ?? null,
+        active: supplierById[supplierId]?.active ?? null,
+        unitsBought: s.unitsBought,
+        unitsReturnedToSupplier: s.unitsReturnedToSupplier,
+        supplierReturnRate: percent(s.unitsReturnedToSupplier, s.unitsBought),
+        unitsSold: s.unitsSold,
+        sellThroughRate: percent(s.unitsSold, s.unitsBought - s.unitsReturnedToSupplier),
+        returnedUnits: s.returnedUnits,
+        returnRate: percent(s.returnedUnits, s.grossUnitsSold),
+        avgDaysToSell: s.matchedUnits > 0 ? Math.round((s.matchedDays / s.matchedUnits) * 10) / 10 : null,
+        revenue,
+        cost,
+        grossMargin,
+        grossMarginPercent: percent(grossMargin, revenue),
+      };
+    });
+    rows.sort((a, b) => b.grossMargin - a.grossMargin);
+
+    res.json({ from: from ?? null, to: to ?? null, suppliers: rows });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+}
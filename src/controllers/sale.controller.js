@@ -1,4 +1,12 @@
-import { createSale } from '../services/sale.service.js';
+import {
+  createSale,
+  createSaleReturn,
+  voidSale,
+  getSaleById,
+  getSaleByBillNumber,
+} from '../services/sale.service.js';
+import { renderReceiptHtml, renderReceiptText } from '../services/receipt.service.js';
+import { getStoreConfig } from '../lib/store.js';
 
 export async function postSale(req, res) {
   try {
@@ -9,7 +17,84 @@ export async function postSale(req, res) {
       totalAmount: result.totalAmount,
     });
   } catch (err) {
-    const status = err.statusCode === 400 ? 400 : 500;
+    const status = err.statusCode ?? 500;
     res.status(status).json({ error: err.message });
   }
 }
+
+export async function postSaleReturn(req, res) {
+  try {
+    const result = await createSaleReturn(req.body);
+    res.status(201).json(result);
+  } catch (err) {
+    const status = err.statusCode ?? 500;
+    res.status(status).json({ error: err.message });
+  }
+}
+
+export async function postVoidSale(req, res) {
+  try {
+    const result = await voidSale(req.params.id, req.body);
+    res.json(result);
+  } catch (err) {
+    const status = err.statusCode ?? 500;
+    res.status(status).json({ error: err.message });
+  }
+}
+
+export async function getSale(req, res) {
+  const sale = await getSaleById(req.params.id);
+  if (!sale) {
+    return res.status(404).json({ error: 'Sale not found' });
+  }
+  res.json(sale);
+}
+
+export async function getSaleByBill(req, res) {
+  const sale = await getSaleByBillNumber(req.params.billNumber);
+  if (!sale) {
+    return res.status(404).json({ error: 'Sale not found' });
+  }
+  res.json(sale);
+}
+
+/**
+ * ?format=html (default) | text, &width=58|80 (text only, default 80), &escpos=1 (text only)
+ */
+function sendReceipt(req, res, sale) {
+  const format = req.query.format ?? 'html';
+  const store = getStoreConfig();
+
+  if (format === 'html') {
+    return res.type('html').send(renderReceiptHtml(sale, store));
+  }
+  if (format === 'text') {
+    const width = Number(req.query.width ?? 80);
+    if (width !== 58 && width !== 80) {
+      return res.status(400).json({ error: 'width must be 58 or 80' });
+    }
+    const escpos = req.query.escpos === '1' || req.query.escpos === 'true';
+    const text = renderReceiptText(sale, store, { width, escpos });
+    if (escpos) {
+      return res.type('application/octet-stream').send(Buffer.from(text, 'latin1'));
+    }
+    return res.type('text/plain').send(text);
+  }
+  res.status(400).json({ error: 'format must be html or text' });
+}
+
+export async function getSaleReceipt(req, res) {
+  const sale = await getSaleById(req.params.id);
+  if (!sale) {
+    return res.status(404).json({ error: 'Sale not found' });
+  }
+  sendReceipt(req, res, sale);
+}
+
+export async function getSaleReceiptByBill(req, res) {
+  const sale = await getSaleByBillNumber(req.params.billNumber);
+  if (!sale) {
+    return res.status(404).json({ error: 'Sale not found' });
+  }
+  sendReceipt(req, res, sale);
+}
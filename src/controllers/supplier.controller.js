@@ -0,0 +1,142 @@
+import {
+  recordSupplierPayment,
+  getSupplierPayables,
+  listSupplierPayments,
+  getSupplierStatement,
+} from '../services/payable.service.js';
+import { getImportTemplate, saveImportTemplate } from '../services/purchaseImport.service.js';
+import {
+  listSuppliers,
+  getSupplier,
+  createSupplier,
+  updateSupplier,
+  deactivateSupplier,
+} from '../services/supplier.service.js';
+
+export async function getSuppliers(req, res) {
+  try {
+    const { q, includeInactive } = req.query;
+    const suppliers = await listSuppliers({ q, includeInactive });
+    res.json(suppliers);
+  } catch (err) {
+    const status = err.statusCode ?? 500;
+    res.status(status).json({ error: err.message });
+  }
+}
+
+export async function getSupplierById(req, res) {
+  try {
+    const supplier = await getSupplier(req.params.id);
+    if (!supplier) {
+      return res.status(404).json({ error: 'Supplier not found' });
+    }
+    res.json(supplier);
+  } catch (err) {
+    const status = err.statusCode ?? 500;
+    res.status(status).json({ error: err.message });
+  }
+}
+
+export async function postSupplier(req, res) {
+  try {
+    const supplier = await createSupplier(req.body);
+    res.status(201).json(supplier);
+  } catch (err) {
+    const status = err.statusCode ?? 500;
+    res.status(status).json({ error: err.message });
+  }
+}
+
+export async function putSupplier(req, res) {
+  try {
+    const supplier = await updateSupplier(req.params.id, req.body);
+    res.json(supplier);
+  } catch (err) {
+    const status = err.statusCode ?? 500;
+    res.status(status).json({ error: err.message });
+  }
+}
+
+export async function postDeactivateSupplier(req, res) {
+  try {
+    const supplier = await deactivateSupplier(req.params.id);
+    res.json(supplier);
+  } catch (err) {
+    const status = err.statusCode ?? 500;
+    res.status(status).json({ error: err.message });
+  }
+}
+
+export async function getSupplierPayablesById(req, res) {
+  try {
+    const payables = await getSupplierPayables(req.params.id);
+    if (!payables) {
+      return res.status(404).json({ error: 'Supplier not found' });
+    }
+    res.json(payables);
+  } catch (err) {
+    const status = err.statusCode ?? 500;
+    res.status(status).json({ error: err.message });
+  }
+}
+
+export async function getSupplierPayments(req, res) {
+  try {
+    const { from, to } = req.query;
+    const payments = await listSupplierPayments(req.params.id, { from, to });
+    if (!payments) {
+      return res.status(404).json({ error: 'Supplier not found' });
+    }
+    res.json(payments);
+  } catch (err) {
+    const status = err.statusCode ?? 500;
+    res.status(status).json({ error: err.message });
+  }
+}
+
+export async function postSupplierPayment(req, res) {
+  try {
+    const result = await recordSupplierPayment(req.params.id, req.body);
+    res.status(201).json(result);
+  } catch (err) {
+    const status = err.statusCode ?? 500;
+    res.status(status).json({ error: err.message });
+  }
+}
+
+export async function getSupplierStatementById(req, res) {
+  try {
+    const { from, to } = req.query;
+    const statement = await getSupplierStatement(req.params.id, { from, to });
+    if (!statement) {
+      return res.status(404).json({ error: 'Supplier not found' });
+    }
+    res.json(statement);
+  } catch (err) {
+    const status = err.statusCode ?? 500;
+    res.status(status).json({ error: err.message });
+  }
+}
+
+export async function getSupplierImportTemplate(req, res) {
+  try {
+    const template = await getImportTemplate(req.params.id);
+    if (!template) {
+      return res.status(404).json({ error: 'Import template not found' });
+    }
+    res.json(template);
+  } catch (err) {
+    const status = err.statusCode ?? 500;
+    res.status(status).json({ error: err.message });
+  }
+}
+
+export async function putSupplierImportTemplate(req, res) {
+  try {
+    const template = await saveImportTemplate(req.params.id, req.body);
+    res.json(template);
+  } catch (err) {
+    const status = err.statusCode ?? 500;
+    res.status(status).json({ error: err.message });
+  }
+}
@@ -1,3 +1,5 @@
+import { syncOfflinePayload } from '../services/sync.service.js';
+
 const ALLOWED_KEYS = ['products', 'variants', 'suppliers', 'sales'];
 
 function validatePayloadShape(body) {
@@ -23,14 +25,11 @@ export async function postSync(req, res) {
     return res.status(400).json({ error: validation.message });
   }
 
-  const body = req.body;
-  const counts = {
-    products: (body.products ?? []).length,
-    variants: (body.variants ?? []).length,
-    suppliers: (body.suppliers ?? []).length,
-    sales: (body.sales ?? []).length,
-  };
-
-  // TODO: persist to DB
-  res.status(200).json(counts);
+  try {
+    const result = await syncOfflinePayload(req.body);
+    res.status(200).json(result);
+  } catch (err) {
+    const status = err.statusCode ?? 500;
+    res.status(status).json({ error: err.message });
+  }
 }
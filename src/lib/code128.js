@@ -0,0 +1,103 @@
+/**
+ * Code 128 barcode encoder with SVG output, for SKU labels. Printable ASCII is encoded in
+ * code set B; runs of digits switch to code set C (two digits per symbol) where that
+ * makes the barcode shorter.
+ */
+
+// Bar/space widths in modules for symbol values 0-106 (103-105: start A/B/C, 106: stop)
+const PATTERNS = [
+  '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+  '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+  '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+  '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+  '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+  '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+  '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+  '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+  '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+  '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+  '114131', '311141', '411131', '211412', '211214', '211232', '2331112',
+];
+
+const START_B = 104;
+const START_C = 105;
+const CODE_B = 100; // switch to set B, from set C
+const CODE_C = 99; // switch to set C, from set B
+const STOP = 106;
+const QUIET_ZONE = 10; // modules of white space either side
+
+function digitRun(text, from) {
+  let i = from;
+  while (i < text.length && text[i] >= '0' && text[i] <= '9') i++;
+  return i - from;
+}
+
+/**
+ * Symbol values for text, including start, check symbol and stop.
+ */
+function symbolValues(text) {
+  const values = [];
+  let set = null;
+  let i = 0;
+
+  while (i < text.length) {
+    let run = digitRun(text, i);
+    // Set C pays off for 4+ digits at either end of the text, 6+ in the middle
+    const useC = run >= 4 && (i === 0 || i + run === text.length || run >= 6);
+    if (useC) {
+      if (run % 2 === 1) {
+        if (set !== 'B') values.push(set === null ? START_B : CODE_B);
+        set = 'B';
+        values.push(text.charCodeAt(i) - 32);
+        i++;
+        run--;
+      }
+      if (set !== 'C') values.push(set === null ? START_C : CODE_C);
+      set = 'C';
+      for (const end = i + run; i < end; i += 2) values.push(Number(text.slice(i, i + 2)));
+    } else {
+      if (set !== 'B') values.push(set === null ? START_B : CODE_B);
+      set = 'B';
+      values.push(text.charCodeAt(i) - 32);
+      i++;
+    }
+  }
+
+  const checksum = values.reduce((sum, v, index) => sum + v * Math.max(index, 1), 0) % 103;
+  return [...values, checksum, STOP];
+}
+
+/**
+ * Encode text as Code 128: bar/space widths in modules, starting with a bar (quiet zones
+ * not included). Only printable ASCII (space to ~) can be encoded.
+ */
+export function encodeCode128(text) {
+  const value = String(text ?? '');
+  if (!value || !/^[\x20-\x7E]+$/.test(value)) {
+    const e = new Error(`Cannot encode "${value}" as Code 128: only printable ASCII characters are supported`);
+    e.statusCode = 400;
+    throw e;
+  }
+  return symbolValues(value).flatMap((v) => [...PATTERNS[v]].map(Number));
+}
+
+/**
+ * SVG path drawing the barcode of text in the box (x, y, width, height), quiet zones
+ * included. Bars are drawn as one path.
+ */
+export function code128Svg(text, { x = 0, y = 0, width, height }) {
+  const widths = encodeCode128(text);
+  const modules = widths.reduce((sum, w) => sum + w, 0) + 2 * QUIET_ZONE;
+  const moduleWidth = width / modules;
+
+  let cursor = QUIET_ZONE;
+  const bars = [];
+  widths.forEach((w, index) => {
+    if (index % 2 === 0) {
+      const barWidth = +(w * moduleWidth).toFixed(3);
+      bars.push(`M${+(x + cursor * moduleWidth).toFixed(3)} ${y}h${barWidth}v${height}h${-barWidth}z`);
+    }
+    cursor += w;
+  });
+  return `<path d="${bars.join('')}" fill="#000"/>`;
+}
@@ -0,0 +1,81 @@
+/**
+ * Minimal CSV reader and writer (RFC 4180): quoted fields may contain the delimiter, line
+ * breaks and doubled quotes (""). Handles \n and \r\n line endings and a leading UTF-8
+ * BOM, as written by Excel and Google Sheets.
+ */
+
+/**
+ * Parse CSV text into rows of string fields. Blank lines are dropped unless keepBlankLines
+ * is set, in which case they come back as [''] and rows[i] is row i + 1 of the sheet (a
+ * quoted field spanning lines stays one row, as in a spreadsheet).
+ * Options: { delimiter } (default ','), { keepBlankLines } (default false).
+ */
+export function parseCsv(text, { delimiter = ',', keepBlankLines = false } = {}) {
+  const source = String(text ?? '').replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  const endRow = () => {
+    row.push(field);
+    if (keepBlankLines || row.length > 1 || row[0].trim() !== '') rows.push(row);
+    row = [];
+    field = '';
+  };
+
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+    if (inQuotes) {
+      if (ch === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"' && field === '') {
+      inQuotes = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && source[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      field += ch;
+    }
+  }
+  if (inQuotes) {
+    const e = new Error('CSV has an unterminated quoted field');
+    e.statusCode = 400;
+    throw e;
+  }
+  if (field !== '' || row.length > 0) endRow();
+  return rows;
+}
+
+/**
+ * Parse an amount as written in a spreadsheet: thousands separators, currency symbols and
+ * spaces are ignored ("₹1,250.00" -> 1250). Returns NaN for an empty or unreadable cell.
+ */
+export function parseCsvNumber(value) {
+  const cleaned = String(value ?? '').replace(/[\s,₹]/g, '').replace(/^Rs\.?/i, '');
+  return cleaned === '' ? NaN : Number(cleaned);
+}
+
+function csvField(value, delimiter) {
+  const text = value == null ? '' : String(value);
+  return text.includes(delimiter) || /["\r\n]/.test(text) || text !== text.trim()
+    ? `"${text.replace(/"/g, '""')}"`
+    : text;
+}
+
+/**
+ * Write rows of values as CSV text (\r\n line endings), quoting fields that need it.
+ * Options: { delimiter } (default ',').
+ */
+export function toCsv(rows, { delimiter = ',' } = {}) {
+  return rows.map((row) => row.map((v) => csvField(v, delimiter)).join(delimiter)).join('\r\n') + '\r\n';
+}
@@ -0,0 +1,12 @@
+/**
+ * Store details printed on receipts, read from the environment.
+ */
+export function getStoreConfig() {
+  return {
+    name: process.env.STORE_NAME || 'Store',
+    address: process.env.STORE_ADDRESS || '',
+    phone: process.env.STORE_PHONE || '',
+    gstin: process.env.STORE_GSTIN || '',
+    receiptFooter: process.env.RECEIPT_FOOTER || 'Thank you! Visit again.',
+  };
+}
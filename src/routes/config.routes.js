@@ -1,9 +1,40 @@
 import { Router } from 'express';
-import { getCategories, getAttributes, getSuppliers, getProductVariants } from '../controllers/config.controller.js';
+import {
+  getCategories,
+  putCategoryTax,
+  getAttributes,
+  getSuppliers,
+  getProductVariants,
+} from '../controllers/config.controller.js';
+import {
+  postCategory,
+  putCategory,
+  removeCategory,
+  postSubcategory,
+  putSubcategory,
+  removeSubcategory,
+  postAttribute,
+  putAttribute,
+  removeAttribute,
+  getAttributeViolations,
+  postAttributeFix,
+} from '../controllers/catalog.controller.js';
 
 const router = Router();
 router.get('/categories', getCategories);
+router.post('/categories', postCategory);
+router.put('/categories/:id', putCategory);
+router.delete('/categories/:id', removeCategory);
+router.put('/categories/:id/tax', putCategoryTax);
+router.post('/subcategories', postSubcategory);
+router.put('/subcategories/:id', putSubcategory);
+router.delete('/subcategories/:id', removeSubcategory);
 router.get('/attributes', getAttributes);
+router.post('/attributes', postAttribute);
+router.get('/attributes/violations', getAttributeViolations);
+router.post('/attributes/fix', postAttributeFix);
+router.put('/attributes/:id', putAttribute);
+router.delete('/attributes/:id', removeAttribute);
 router.get('/suppliers', getSuppliers);
 router.get('/product-variants', getProductVariants);
 
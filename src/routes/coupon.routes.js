@@ -0,0 +1,9 @@
+import { Router } from 'express';
+import { getCoupons, postCoupon, putCoupon } from '../controllers/coupon.controller.js';
+
+const router = Router();
+router.get('/', getCoupons);
+router.post('/', postCoupon);
+router.put('/:id', putCoupon);
+
+export default router;
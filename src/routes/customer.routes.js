@@ -0,0 +1,21 @@
+import { Router } from 'express';
+import {
+  getCustomers,
+  getCustomerById,
+  getCustomerSales,
+  getCustomerLedgerById,
+  postCustomer,
+  putCustomer,
+  postCustomerPayment,
+} from '../controllers/customer.controller.js';
+
+const router = Router();
+router.get('/', getCustomers);
+router.post('/', postCustomer);
+router.get('/:id', getCustomerById);
+router.put('/:id', putCustomer);
+router.get('/:id/sales', getCustomerSales);
+router.get('/:id/ledger', getCustomerLedgerById);
+router.post('/:id/payments', postCustomerPayment);
+
+export default router;
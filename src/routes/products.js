@@ -1,8 +1,23 @@
-import { Router } from 'express';
-import { postProduct, getBySku } from '../controllers/product.controller.js';
+import express, { Router } from 'express';
+import {
+  postProduct,
+  getBySku,
+  getProductSearch,
+  getProductExport,
+  postProductImport,
+  patchVariant,
+  getVariantPriceHistory,
+} from '../controllers/product.controller.js';
+import { postProductLabels } from '../controllers/label.controller.js';
 
 const router = Router();
+router.get('/search', getProductSearch);
+router.get('/export', getProductExport);
+router.post('/import', express.text({ type: 'text/csv', limit: '5mb' }), postProductImport);
 router.get('/by-sku/:sku', getBySku);
 router.post('/', postProduct);
+router.patch('/variants/:id', patchVariant);
+router.get('/variants/:id/price-history', getVariantPriceHistory);
+router.post('/labels', postProductLabels);
 
 export default router;
@@ -1,7 +1,27 @@
-import { Router } from 'express';
-import { postPurchase } from '../controllers/purchase.controller.js';
+import express, { Router } from 'express';
+import {
+  postPurchase,
+  getPurchases,
+  getPurchaseById,
+  putPurchase,
+  removePurchase,
+  postPurchaseReturn,
+  getPurchaseReturns,
+  getPurchaseReturnById,
+  postPurchaseImport,
+} from '../controllers/purchase.controller.js';
+import { getPurchaseLabelSheets } from '../controllers/label.controller.js';
 
 const router = Router();
+router.get('/', getPurchases);
 router.post('/', postPurchase);
+router.post('/import', express.text({ type: 'text/csv', limit: '2mb' }), postPurchaseImport);
+router.get('/returns', getPurchaseReturns);
+router.post('/returns', postPurchaseReturn);
+router.get('/returns/:id', getPurchaseReturnById);
+router.get('/:id', getPurchaseById);
+router.get('/:id/labels', getPurchaseLabelSheets);
+router.put('/:id', putPurchase);
+router.delete('/:id', removePurchase);
 
 export default router;
@@ -0,0 +1,21 @@
+import { Router } from 'express';
+import {
+  postPurchaseOrder,
+  getPurchaseOrders,
+  getPurchaseOrderById,
+  putPurchaseOrder,
+  postSendPurchaseOrder,
+  postClosePurchaseOrder,
+  postReceivePurchaseOrder,
+} from '../controllers/purchaseOrder.controller.js';
+
+const router = Router();
+router.get('/', getPurchaseOrders);
+router.post('/', postPurchaseOrder);
+router.get('/:id', getPurchaseOrderById);
+router.put('/:id', putPurchaseOrder);
+router.post('/:id/send', postSendPurchaseOrder);
+router.post('/:id/receive', postReceivePurchaseOrder);
+router.post('/:id/close', postClosePurchaseOrder);
+
+export default router;
@@ -7,6 +7,12 @@ import {
   getSalesProfit,
   getInventoryValuation,
   getInventoryAging,
+  getPriceList,
+  getGstr1,
+  getReceivablesAging,
+  getOpenPurchaseOrders,
+  getPayablesAging,
+  getSupplierPerformance,
 } from '../controllers/reports.controller.js';
 
 const router = Router();
@@ -15,7 +21,13 @@ router.get('/daily-sales', getDailySales);
 router.get('/inventory', getInventorySnapshot);
 router.get('/inventory-valuation', getInventoryValuation);
 router.get('/inventory-aging', getInventoryAging);
+router.get('/price-list', getPriceList);
 router.get('/sales-list', getSalesList);
 router.get('/sales-profit', getSalesProfit);
+router.get('/gstr1', getGstr1);
+router.get('/receivables-aging', getReceivablesAging);
+router.get('/open-purchase-orders', getOpenPurchaseOrders);
+router.get('/payables-aging', getPayablesAging);
+router.get('/supplier-performance', getSupplierPerformance);
 
 export default router;
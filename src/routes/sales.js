@@ -1,7 +1,35 @@
 import { Router } from 'express';
-import { postSale } from '../controllers/sale.controller.js';
+import {
+  postSale,
+  postSaleReturn,
+  postVoidSale,
+  getSale,
+  getSaleByBill,
+  getSaleReceipt,
+  getSaleReceiptByBill,
+} from '../controllers/sale.controller.js';
+import {
+  postDraft,
+  getDrafts,
+  getDraftById,
+  putDraft,
+  removeDraft,
+  postFinalizeDraft,
+} from '../controllers/draft.controller.js';
 
 const router = Router();
+router.get('/drafts', getDrafts);
+router.post('/drafts', postDraft);
+router.get('/drafts/:id', getDraftById);
+router.put('/drafts/:id', putDraft);
+router.delete('/drafts/:id', removeDraft);
+router.post('/drafts/:id/finalize', postFinalizeDraft);
+router.get('/by-bill/:billNumber', getSaleByBill);
+router.get('/by-bill/:billNumber/receipt', getSaleReceiptByBill);
+router.get('/:id', getSale);
+router.get('/:id/receipt', getSaleReceipt);
 router.post('/', postSale);
+router.post('/returns', postSaleReturn);
+router.post('/:id/void', postVoidSale);
 
 export default router;
@@ -0,0 +1,29 @@
+import { Router } from 'express';
+import {
+  getSuppliers,
+  getSupplierById,
+  postSupplier,
+  putSupplier,
+  postDeactivateSupplier,
+  getSupplierPayablesById,
+  getSupplierPayments,
+  postSupplierPayment,
+  getSupplierStatementById,
+  getSupplierImportTemplate,
+  putSupplierImportTemplate,
+} from '../controllers/supplier.controller.js';
+
+const router = Router();
+router.get('/', getSuppliers);
+router.post('/', postSupplier);
+router.get('/:id', getSupplierById);
+router.put('/:id', putSupplier);
+router.post('/:id/deactivate', postDeactivateSupplier);
+router.get('/:id/payables', getSupplierPayablesById);
+router.get('/:id/payments', getSupplierPayments);
+router.post('/:id/payments', postSupplierPayment);
+router.get('/:id/statement', getSupplierStatementById);
+router.get('/:id/import-template', getSupplierImportTemplate);
+router.put('/:id/import-template', putSupplierImportTemplate);
+
+export default router;
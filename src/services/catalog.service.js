@@ -0,0 +1,547 @@
+/**
+ * Catalog administration: categories, their subcategories and the attribute definitions
+ * that describe a variant's attributes_json.
+ */
+
+import { Prisma } from '@prisma/client';
+import prisma from '../lib/prisma.js';
+import { normalizeGstSlabs } from './tax.service.js';
+
+function err(message, statusCode = 400) {
+  const e = new Error(message);
+  e.statusCode = statusCode;
+  return e;
+}
+
+function optionalText(value) {
+  return value != null ? String(value).trim() || null : null;
+}
+
+export const ATTRIBUTE_DATA_TYPES = ['string', 'number', 'boolean', 'enum'];
+
+/**
+ * Lowercase words joined by `separator`: "Silk Mark" -> "silk-mark".
+ */
+export function slugify(text, separator = '-') {
+  return String(text ?? '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, separator)
+    .replace(new RegExp(`^${separator}+|${separator}+$`, 'g'), '');
+}
+
+/**
+ * A slug free in `model` (category or subcategory). An explicit slug must be free (409);
+ * one generated from the name gets -2, -3… until it is.
+ */
+async function freeSlug(model, name, explicit, ownId = null) {
+  const taken = async (slug) => {
+    const row = await prisma[model].findUnique({ where: { slug }, select: { id: true } });
+    return row != null && row.id !== ownId;
+  };
+
+  if (explicit !== undefined && explicit !== null && explicit !== '') {
+    const slug = slugify(explicit);
+    if (!slug) throw err('slug must contain letters or digits');
+    if (await taken(slug)) throw err(`Slug ${slug} is already in use`, 409);
+    return slug;
+  }
+  const base = slugify(name);
+  if (!base) throw err('name must contain letters or digits');
+  let slug = base;
+  for (let n = 2; await taken(slug); n++) slug = `${base}-${n}`;
+  return slug;
+}
+
+function requiredName(payload) {
+  const name = optionalText(payload?.name);
+  if (!name) throw err('name is required');
+  return name;
+}
+
+// --- Categories ---
+
+/**
+ * Create a category. Input: { name, slug? (generated from name), hsnCode?, gstSlabs? }
+ */
+export async function createCategory(payload) {
+  const name = requiredName(payload);
+  const data = { name, slug: await freeSlug('category', name, payload.slug) };
+  if (payload.hsnCode !== undefined) data.hsnCode = optionalText(payload.hsnCode);
+  if (payload.gstSlabs !== undefined) data.gstSlabs = normalizeGstSlabs(payload.gstSlabs) ?? Prisma.DbNull;
+  return prisma.category.create({ data });
+}
+
+/**
+ * Update a category: { name?, slug?, hsnCode?, gstSlabs? }. The slug (the prefix of new
+ * SKUs) only changes when one is passed, not on rename.
+ */
+export async function updateCategory(categoryId, payload) {
+  const existing = await prisma.category.findUnique({ where: { id: String(categoryId) } });
+  if (!existing) throw err('Category not found', 404);
+
+  const data = {};
+  if (payload?.name !== undefined) data.name = requiredName(payload);
+  if (payload?.slug !== undefined) data.slug = await freeSlug('category', null, payload.slug, existing.id);
+  if (payload?.hsnCode !== undefined) data.hsnCode = optionalText(payload.hsnCode);
+  if (payload?.gstSlabs !== undefined) data.gstSlabs = normalizeGstSlabs(payload.gstSlabs) ?? Prisma.DbNull;
+  return prisma.category.update({ where: { id: existing.id }, data });
+}
+
+/**
+ * Delete a category with its subcategories and attribute definitions. Refused (409) while
+ * any product variant belongs to it: its products carry stock and sales history.
+ */
+export async function deleteCategory(categoryId) {
+  const existing = await prisma.category.findUnique({ where: { id: String(categoryId) } });
+  if (!existing) throw err('Category not found', 404);
+
+  const [variantCount, stock] = await Promise.all([
+    prisma.productVariant.count({ where: { categoryId: existing.id } }),
+    prisma.product.aggregate({
+      where: { productVariant: { categoryId: existing.id } },
+      _sum: { quantityInStock: true },
+    }),
+  ]);
+  if (variantCount > 0) {
+    const units = stock._sum.quantityInStock ?? 0;
+    throw err(
+      `Category ${existing.name} has ${variantCount} product variant(s) with ${units} unit(s) in stock; move or remove them first`,
+      409
+    );
+  }
+
+  await prisma.category.delete({ where: { id: existing.id } });
+  return { categoryId: existing.id, deleted: true };
+}
+
+// --- Subcategories ---
+
+async function findCategory(categoryId) {
+  if (!categoryId || typeof categoryId !== 'string') throw err('categoryId is required');
+  const category = await prisma.category.findUnique({ where: { id: categoryId } });
+  if (!category) throw err('Category not found', 404);
+  return category;
+}
+
+/**
+ * Create a subcategory. Input: { categoryId, name, slug? }
+ */
+export async function createSubcategory(payload) {
+  const category = await findCategory(payload?.categoryId);
+  const name = requiredName(payload);
+  return prisma.subcategory.create({
+    data: { categoryId: category.id, name, slug: await freeSlug('subcategory', name, payload.slug) },
+  });
+}
+
+/**
+ * Update a subcategory: { name?, slug?, categoryId? }. It can only move to another
+ * category while no variant uses it.
+ */
+export async function updateSubcategory(subcategoryId, payload) {
+  const existing = await prisma.subcategory.findUnique({ where: { id: String(subcategoryId) } });
+  if (!existing) throw err('Subcategory not found', 404);
+
+  const data = {};
+  if (payload?.name !== undefined) data.name = requiredName(payload);
+  if (payload?.slug !== undefined) data.slug = await freeSlug('subcategory', null, payload.slug, existing.id);
+  if (payload?.categoryId !== undefined && payload.categoryId !== existing.categoryId) {
+    const category = await findCategory(payload.categoryId);
+    const used = await prisma.productVariant.count({ where: { subcategoryId: existing.id } });
+    if (used > 0) throw err(`Subcategory is used by ${used} product variant(s); it cannot move to another category`, 409);
+    data.categoryId = category.id;
+  }
+  return prisma.subcategory.update({ where: { id: existing.id }, data });
+}
+
+/**
+ * Delete a subcategory. Refused (409) while product variants use it.
+ */
+export async function deleteSubcategory(subcategoryId) {
+  const existing = await prisma.subcategory.findUnique({ where: { id: String(subcategoryId) } });
+  if (!existing) throw err('Subcategory not found', 404);
+
+  const used = await prisma.productVariant.count({ where: { subcategoryId: existing.id } });
+  if (used > 0) throw err(`Subcategory is used by ${used} product variant(s); move them first`, 409);
+
+  await prisma.subcategory.delete({ where: { id: existing.id } });
+  return { subcategoryId: existing.id, deleted: true };
+}
+
+// --- Attribute definitions ---
+
+/**
+ * Why `value` is not valid for the attribute definition, or null if it is. Empty values
+ * are left to the required check.
+ */
+export function attributeValueError(definition, value) {
+  switch (definition.dataType) {
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value) ? null : 'must be a number';
+    case 'boolean':
+      return typeof value === 'boolean' ? null : 'must be true or false';
+    case 'enum': {
+      const allowed = Array.isArray(definition.enumValues) ? definition.enumValues : [];
+      return allowed.includes(value) ? null : `must be one of ${allowed.join(', ')}`;
+    }
+    default:
+      return typeof value === 'string' ? null : 'must be text';
+  }
+}
+
+function normalizeEnumValues(dataType, enumValues) {
+  if (dataType !== 'enum') {
+    if (enumValues != null) throw err('enumValues is only allowed when dataType is enum');
+    return null;
+  }
+  if (!Array.isArray(enumValues) || enumValues.length === 0) {
+    throw err('enumValues must be a non-empty array of strings when dataType is enum');
+  }
+  const values = enumValues.map((v, i) => {
+    const value = typeof v === 'string' ? v.trim() : '';
+    if (!value) throw err(`enumValues[${i}] must be a non-empty string`);
+    return value;
+  });
+  if (new Set(values).size !== values.length) throw err('enumValues must not repeat');
+  return values;
+}
+
+function normalizeDataType(dataType) {
+  const type = dataType != null ? String(dataType).trim().toLowerCase() : '';
+  if (!ATTRIBUTE_DATA_TYPES.includes(type)) {
+    throw err(`dataType must be one of ${ATTRIBUTE_DATA_TYPES.join(', ')}`);
+  }
+  return type;
+}
+
+function optionalFlag(payload, field) {
+  if (payload?.[field] === undefined) return undefined;
+  if (typeof payload[field] !== 'boolean') throw err(`${field} must be true or false`);
+  return payload[field];
+}
+
+/**
+ * Values the category's variants hold for an attribute key, with how many variants hold each.
+ */
+async function valuesInUse(categoryId, key) {
+  const variants = await prisma.productVariant.findMany({
+    where: { categoryId },
+    select: { attributes_json: true },
+  });
+  const counts = new Map();
+  for (const v of variants) {
+    const value = v.attributes_json?.[key];
+    if (value == null || value === '') continue;
+    counts.set(value, (counts.get(value) ?? 0) + 1);
+  }
+  return counts;
+}
+
+/**
+ * Create an attribute definition. Input: { categoryId, name, key? (generated from name),
+ * dataType, required?, analyticsEnabled?, enumValues? (enum only) }
+ */
+export async function createAttribute(payload) {
+  const category = await findCategory(payload?.categoryId);
+  const name = requiredName(payload);
+  const key = slugify(payload.key ?? name, '_');
+  if (!key) throw err('key must contain letters or digits');
+  const dataType = normalizeDataType(payload.dataType);
+
+  const clash = await prisma.attributeDefinition.findUnique({
+    where: { categoryId_key: { categoryId: category.id, key } },
+  });
+  if (clash) throw err(`Category ${category.name} already has an attribute with key ${key}`, 409);
+
+  return prisma.attributeDefinition.create({
+    data: {
+      categoryId: category.id,
+      name,
+      key,
+      dataType,
+      required: optionalFlag(payload, 'required') ?? false,
+      analyticsEnabled: optionalFlag(payload, 'analyticsEnabled') ?? false,
+      enumValues: normalizeEnumValues(dataType, payload.enumValues) ?? Prisma.DbNull,
+    },
+  });
+}
+
+/**
+ * Update an attribute definition: { name?, key?, dataType?, required?, analyticsEnabled?,
+ * enumValues? }. Changes that would strand values variants already hold are refused
+ * (409): renaming the key, or a dataType / enumValues the values no longer satisfy even
+ * after normalization (fixAttributeViolations then rewrites them).
+ */
+export async function updateAttribute(attributeId, payload) {
+  const existing = await prisma.attributeDefinition.findUnique({ where: { id: String(attributeId) } });
+  if (!existing) throw err('Attribute not found', 404);
+
+  const data = {};
+  if (payload?.name !== undefined) data.name = requiredName(payload);
+  const required = optionalFlag(payload, 'required');
+  if (required !== undefined) data.required = required;
+  const analyticsEnabled = optionalFlag(payload, 'analyticsEnabled');
+  if (analyticsEnabled !== undefined) data.analyticsEnabled = analyticsEnabled;
+
+  const inUse = await valuesInUse(existing.categoryId, existing.key);
+
+  if (payload?.key !== undefined) {
+    const key = slugify(payload.key, '_');
+    if (!key) throw err('key must contain letters or digits');
+    if (key !== existing.key) {
+      if (inUse.size > 0) throw err(`Variants already have values for ${existing.key}; its key cannot change`, 409);
+      const clash = await prisma.attributeDefinition.findUnique({
+        where: { categoryId_key: { categoryId: existing.categoryId, key } },
+      });
+      if (clash) throw err(`This category already has an attribute with key ${key}`, 409);
+      data.key = key;
+    }
+  }
+
+  if (payload?.dataType !== undefined || payload?.enumValues !== undefined) {
+    const dataType = payload.dataType !== undefined ? normalizeDataType(payload.dataType) : existing.dataType;
+    const enumValues = normalizeEnumValues(
+      dataType,
+      payload.enumValues !== undefined ? payload.enumValues : dataType === existing.dataType ? existing.enumValues : null
+    );
+    const stranded = [...inUse.keys()].filter(
+      (value) => normalizeAttributeValue({ dataType, enumValues }, value).error
+    );
+    if (stranded.length > 0) {
+      throw err(
+        `Variants hold values that would no longer be valid: ${stranded.map((v) => JSON.stringify(v)).join(', ')}`,
+        409
+      );
+    }
+    data.dataType = dataType;
+    data.enumValues = enumValues ?? Prisma.DbNull;
+  }
+
+  return prisma.attributeDefinition.update({ where: { id: existing.id }, data });
+}
+
+/**
+ * Delete an attribute definition. Refused (409) while variants hold values for it, as
+ * those values would no longer pass validation; clear them from the variants first.
+ */
+export async function deleteAttribute(attributeId) {
+  const existing = await prisma.attributeDefinition.findUnique({ where: { id: String(attributeId) } });
+  if (!existing) throw err('Attribute not found', 404);
+
+  const inUse = await valuesInUse(existing.categoryId, existing.key);
+  const used = [...inUse.values()].reduce((sum, n) => sum + n, 0);
+  if (used > 0) throw err(`${used} product variant(s) have values for ${existing.key}; clear them first`, 409);
+  await prisma.attributeDefinition.delete({ where: { id: existing.id } });
+  return { attributeId: existing.id, deleted: true };
+}
+
+// --- Attribute values on variants ---
+
+function cleanText(value) {
+  return value.trim().replace(/\s+/g, ' ');
+}
+
+/**
+ * Coerce a value to the definition's dataType: text is trimmed with inner spaces collapsed
+ * and spelled like the rest of the category (`spellings`: lowercased -> spelling), enum
+ * values take the defined spelling whatever their case, "12" becomes 12 for numbers and
+ * "true" / "false" become booleans. Returns { value } (undefined when empty) or { error }.
+ */
+function normalizeAttributeValue(definition, raw, spellings) {
+  let value = typeof raw === 'string' ? cleanText(raw) : raw;
+  if (value == null || value === '') return { value: undefined };
+
+  if (typeof value === 'string') {
+    if (definition.dataType === 'number' && Number.isFinite(Number(value))) {
+      value = Number(value);
+    } else if (definition.dataType === 'boolean' && /^(true|false)$/i.test(value)) {
+      value = value.toLowerCase() === 'true';
+    } else if (definition.dataType === 'enum') {
+      const lower = value.toLowerCase();
+      value = (definition.enumValues ?? []).find((v) => cleanText(v).toLowerCase() === lower) ?? value;
+    } else if (definition.dataType === 'string') {
+      value = spellings?.get(value.toLowerCase()) ?? value;
+    }
+  }
+  const error = attributeValueError(definition, value);
+  return error ? { error } : { value };
+}
+
+/**
+ * Most used spelling of each text attribute value across a category's variants:
+ * { key: Map(lowercased value -> spelling) }.
+ */
+function textSpellings(variants, definitions) {
+  const result = {};
+  for (const d of definitions.filter((def) => def.dataType === 'string')) {
+    const counts = new Map();
+    for (const v of variants) {
+      const raw = v.attributes_json?.[d.key];
+      if (typeof raw !== 'string' || !raw.trim()) continue;
+      const spelling = cleanText(raw);
+      const lower = spelling.toLowerCase();
+      if (!counts.has(lower)) counts.set(lower, new Map());
+      counts.get(lower).set(spelling, (counts.get(lower).get(spelling) ?? 0) + 1);
+    }
+    result[d.key] = new Map(
+      [...counts].map(([lower, bySpelling]) => [lower, [...bySpelling].sort((a, b) => b[1] - a[1])[0][0]])
+    );
+  }
+  return result;
+}
+
+/**
+ * Check attributes against a category's definitions. Returns the normalized attributes and
+ * field errors ([{ field, message }]): missing required values, values of the wrong type
+ * or outside enumValues, and keys the category does not define. A category without
+ * definitions accepts any attributes (text is still trimmed).
+ */
+function checkAttributes(attributesJson, definitions, spellings = {}) {
+  if (!attributesJson || typeof attributesJson !== 'object' || Array.isArray(attributesJson)) {
+    return { attributes: attributesJson, errors: [{ field: 'attributes_json', message: 'must be an object' }] };
+  }
+
+  const attributes = {};
+  const errors = [];
+  const defined = new Set(definitions.map((d) => d.key));
+  for (const [key, raw] of Object.entries(attributesJson)) {
+    if (defined.has(key)) continue;
+    if (definitions.length > 0) {
+      errors.push({ field: `attributes_json.${key}`, message: 'is not an attribute of this category' });
+    }
+    attributes[key] = typeof raw === 'string' ? cleanText(raw) : raw;
+  }
+  for (const d of definitions) {
+    const field = `attributes_json.${d.key}`;
+    const { value, error } = normalizeAttributeValue(d, attributesJson[d.key], spellings[d.key]);
+    if (error) {
+      errors.push({ field, message: error });
+      attributes[d.key] = attributesJson[d.key];
+    } else if (value !== undefined) {
+      attributes[d.key] = value;
+    } else if (d.required) {
+      errors.push({ field, message: 'is required' });
+    }
+  }
+  return { attributes, errors };
+}
+
+async function loadCategoryRules(client, categoryId) {
+  const definitions = await client.attributeDefinition.findMany({
+    where: { categoryId },
+    orderBy: { createdAt: 'asc' },
+  });
+  const variants = definitions.some((d) => d.dataType === 'string')
+    ? await client.productVariant.findMany({ where: { categoryId }, select: { attributes_json: true } })
+    : [];
+  return { definitions, spellings: textSpellings(variants, definitions) };
+}
+
+/**
+ * Validate and normalize a variant's attributes_json against its category's attribute
+ * definitions. Returns the normalized attributes; throws 400 with details.fields
+ * ({ 'attributes_json.key': message }) when anything is wrong.
+ */
+export async function validateVariantAttributes(categoryId, attributesJson, client = prisma) {
+  const { definitions, spellings } = await loadCategoryRules(client, categoryId);
+  const { attributes, errors } = checkAttributes(attributesJson, definitions, spellings);
+  if (errors.length > 0) {
+    const e = err(`Invalid attributes: ${errors.map((x) => `${x.field} ${x.message}`).join('; ')}`);
+    e.details = { fields: Object.fromEntries(errors.map((x) => [x.field, x.message])) };
+    throw e;
+  }
+  return attributes;
+}
+
+function sameAttributes(a, b) {
+  const keys = Object.keys(a ?? {});
+  return keys.length === Object.keys(b ?? {}).length && keys.every((k) => a[k] === b?.[k]);
+}
+
+/**
+ * Check every variant (of one category, if given) against its category's definitions.
+ */
+async function scanVariants(categoryId) {
+  const categories = await prisma.category.findMany({
+    where: categoryId ? { id: String(categoryId) } : {},
+    select: { id: true, name: true },
+  });
+  if (categoryId && categories.length === 0) throw err('Category not found', 404);
+
+  const results = [];
+  for (const category of categories) {
+    const { definitions, spellings } = await loadCategoryRules(prisma, category.id);
+    const variants = await prisma.productVariant.findMany({
+      where: { categoryId: category.id },
+      include: { products: { take: 1, select: { sku: true }, orderBy: { createdAt: 'asc' } } },
+      orderBy: { createdAt: 'asc' },
+    });
+    for (const v of variants) {
+      const { attributes, errors } = checkAttributes(v.attributes_json, definitions, spellings);
+      results.push({
+        productVariantId: v.id,
+        sku: v.products[0]?.sku ?? null,
+        categoryId: category.id,
+        categoryName: category.name,
+        attributes: v.attributes_json,
+        normalized: errors.some((x) => x.field === 'attributes_json') || sameAttributes(attributes, v.attributes_json)
+          ? null
+          : attributes,
+        errors,
+      });
+    }
+  }
+  return results;
+}
+
+/**
+ * Variants whose attributes_json breaks their category's definitions or is not in normal
+ * form ("RED " where the category spells it "Red"). Filters: categoryId.
+ * Each entry has `normalized` (what fixAttributeViolations would store, null when
+ * normalizing changes nothing) and `errors` (what still needs a manual edit).
+ */
+export async function findAttributeViolations(filters = {}) {
+  const results = await scanVariants(filters.categoryId);
+  const violations = results.filter((r) => r.normalized || r.errors.length > 0);
+  return {
+    checked: results.length,
+    violationCount: violations.length,
+    fixableCount: violations.filter((r) => r.normalized).length,
+    violations,
+  };
+}
+
+/**
+ * Store the normalized attributes of every variant normalization changes (of one
+ * category, if given). Input: { categoryId?, dryRun? }. Errors normalization cannot fix
+ * (missing required values, values outside enumValues…) are listed for manual edits.
+ */
+export async function fixAttributeViolations(payload = {}) {
+  const dryRun = payload.dryRun === true || payload.dryRun === 'true';
+  const results = await scanVariants(payload.categoryId);
+  const toFix = results.filter((r) => r.normalized);
+
+  if (!dryRun && toFix.length > 0) {
+    await prisma.$transaction(
+      toFix.map((r) =>
+        prisma.productVariant.update({ where: { id: r.productVariantId }, data: { attributes_json: r.normalized } })
+      )
+    );
+  }
+
+  return {
+    dryRun,
+    fixedCount: toFix.length,
+    fixed: toFix.map((r) => ({
+      productVariantId: r.productVariantId,
+      sku: r.sku,
+      before: r.attributes,
+      after: r.normalized,
+    })),
+    remaining: results
+      .filter((r) => r.errors.length > 0)
+      .map((r) => ({ productVariantId: r.productVariantId, sku: r.sku, errors: r.errors })),
+  };
+}
@@ -0,0 +1,177 @@
+import prisma from '../lib/prisma.js';
+
+const COUPON_TYPES = ['FLAT', 'PERCENT'];
+
+function err(message, statusCode = 400) {
+  const e = new Error(message);
+  e.statusCode = statusCode;
+  return e;
+}
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+function normalizeCode(code) {
+  return String(code ?? '').trim().toUpperCase();
+}
+
+function optionalNumber(value, field, { integer = false } = {}) {
+  if (value == null || value === '') return null;
+  const n = Number(value);
+  if (!Number.isFinite(n) || n < 0 || (integer && !Number.isInteger(n))) {
+    throw err(`${field} must be a non-negative ${integer ? 'integer' : 'number'}`);
+  }
+  return n;
+}
+
+function optionalDate(value, field) {
+  if (value == null || value === '') return null;
+  const d = new Date(value);
+  if (Number.isNaN(d.getTime())) throw err(`${field} must be a valid date`);
+  return d;
+}
+
+/**
+ * Validate coupon fields. `partial` skips required checks for updates.
+ */
+function buildCouponData(input, { partial = false } = {}) {
+  const data = {};
+
+  if (!partial || input.code !== undefined) {
+    const code = normalizeCode(input.code);
+    if (!code) throw err('code is required');
+    data.code = code;
+  }
+  if (!partial || input.discountType !== undefined) {
+    const type = String(input.discountType ?? '').trim().toUpperCase();
+    if (!COUPON_TYPES.includes(type)) throw err('discountType must be FLAT or PERCENT');
+    data.discountType = type;
+  }
+  if (!partial || input.value !== undefined) {
+    const value = Number(input.value);
+    if (!Number.isFinite(value) || value <= 0) throw err('value must be a positive number');
+    data.value = value;
+  }
+  if (input.maxDiscount !== undefined) data.maxDiscount = optionalNumber(input.maxDiscount, 'maxDiscount');
+  if (input.minBillAmount !== undefined) data.minBillAmount = optionalNumber(input.minBillAmount, 'minBillAmount');
+  if (input.usageLimit !== undefined) {
+    data.usageLimit = optionalNumber(input.usageLimit, 'usageLimit', { integer: true });
+  }
+  if (input.validFrom !== undefined) data.validFrom = optionalDate(input.validFrom, 'validFrom');
+  if (input.validTo !== undefined) data.validTo = optionalDate(input.validTo, 'validTo');
+  if (input.active !== undefined) data.active = Boolean(input.active);
+
+  return data;
+}
+
+function checkCouponConsistency(coupon) {
+  if (coupon.discountType === 'PERCENT' && Number(coupon.value) > 100) {
+    throw err('value must be <= 100 for PERCENT coupons');
+  }
+  if (coupon.validFrom && coupon.validTo && coupon.validTo < coupon.validFrom) {
+    throw err('validTo must be after validFrom');
+  }
+}
+
+function toCoupon(c) {
+  return {
+    ...c,
+    value: Number(c.value),
+    maxDiscount: c.maxDiscount != null ? Number(c.maxDiscount) : null,
+    minBillAmount: c.minBillAmount != null ? Number(c.minBillAmount) : null,
+  };
+}
+
+/**
+ * List coupons, newest first.
+ */
+export async function listCoupons() {
+  const coupons = await prisma.coupon.findMany({ orderBy: { createdAt: 'desc' } });
+  return coupons.map(toCoupon);
+}
+
+/**
+ * Create a coupon.
+ * Input: { code, discountType: FLAT | PERCENT, value, maxDiscount?, minBillAmount?,
+ *          validFrom?, validTo?, usageLimit?, active? }
+ */
+export async function createCoupon(payload) {
+  const data = buildCouponData(payload ?? {});
+  checkCouponConsistency(data);
+
+  const existing = await prisma.coupon.findUnique({ where: { code: data.code } });
+  if (existing) throw err(`Coupon ${data.code} already exists`, 409);
+
+  const coupon = await prisma.coupon.create({ data });
+  return toCoupon(coupon);
+}
+
+/**
+ * Update a coupon. Only the fields present in the payload change.
+ */
+export async function updateCoupon(couponId, payload) {
+  const existing = await prisma.coupon.findUnique({ where: { id: String(couponId) } });
+  if (!existing) throw err('Coupon not found', 404);
+
+  const data = buildCouponData(payload ?? {}, { partial: true });
+  checkCouponConsistency({ ...existing, ...data });
+
+  if (data.code && data.code !== existing.code) {
+    const clash = await prisma.coupon.findUnique({ where: { code: data.code } });
+    if (clash) throw err(`Coupon ${data.code} already exists`, 409);
+  }
+
+  const coupon = await prisma.coupon.update({ where: { id: existing.id }, data });
+  return toCoupon(coupon);
+}
+
+/**
+ * Check a coupon against a bill amount at a point in time.
+ * Returns { coupon, amount } where amount is the discount it gives, or throws.
+ */
+export async function resolveCoupon(tx, code, billAmount, at = new Date()) {
+  const normalized = normalizeCode(code);
+  const coupon = await tx.coupon.findUnique({ where: { code: normalized } });
+  if (!coupon) throw err(`Coupon not found: ${normalized}`);
+  if (!coupon.active) throw err(`Coupon ${normalized} is inactive`);
+  if (coupon.validFrom && at < coupon.validFrom) throw err(`Coupon ${normalized} is not valid yet`);
+  if (coupon.validTo && at > coupon.validTo) throw err(`Coupon ${normalized} has expired`);
+  if (coupon.usageLimit != null && coupon.usedCount >= coupon.usageLimit) {
+    throw err(`Coupon ${normalized} has reached its usage limit`);
+  }
+  if (coupon.minBillAmount != null && billAmount < Number(coupon.minBillAmount)) {
+    throw err(`Coupon ${normalized} needs a bill of at least ${Number(coupon.minBillAmount)}`);
+  }
+
+  let amount = coupon.discountType === 'PERCENT'
+    ? (billAmount * Number(coupon.value)) / 100
+    : Number(coupon.value);
+  if (coupon.maxDiscount != null) amount = Math.min(amount, Number(coupon.maxDiscount));
+  amount = round2(Math.min(amount, billAmount));
+
+  return { coupon, amount };
+}
+
+/**
+ * Count one use of a coupon. The limit is re-checked in the same statement so two
+ * counters cannot both take the last use.
+ */
+export async function redeemCoupon(tx, couponId) {
+  const updated = await tx.$executeRaw`
+    UPDATE "Coupon"
+    SET "usedCount" = "usedCount" + 1, "updatedAt" = NOW()
+    WHERE "id" = ${couponId}
+      AND ("usageLimit" IS NULL OR "usedCount" < "usageLimit")`;
+  if (updated === 0) throw err('Coupon has reached its usage limit', 409);
+}
+
+/**
+ * Give back one use of a coupon (bill voided).
+ */
+export async function releaseCoupon(tx, couponId) {
+  await tx.coupon.updateMany({
+    where: { id: couponId, usedCount: { gt: 0 } },
+    data: { usedCount: { decrement: 1 } },
+  });
+}
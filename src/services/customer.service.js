@@ -0,0 +1,436 @@
+import prisma from '../lib/prisma.js';
+
+function err(message, statusCode = 400) {
+  const e = new Error(message);
+  e.statusCode = statusCode;
+  return e;
+}
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+function positiveInt(value, name, fallback) {
+  if (value == null || value === '') return fallback;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 1) throw err(`${name} must be a positive integer`);
+  return n;
+}
+
+// Payment mode for goods sold on credit (udhaar); the amount goes on the customer's ledger
+export const CREDIT_MODE = 'CREDIT';
+
+export function isCreditMode(mode) {
+  return String(mode ?? '').trim().toUpperCase() === CREDIT_MODE;
+}
+
+/**
+ * Normalize an Indian mobile number to its 10 digits (drops spaces, +91, leading 0).
+ * Returns null when it does not look like a mobile number.
+ */
+export function normalizePhone(phone) {
+  if (phone == null) return null;
+  let digits = String(phone).replace(/\D/g, '');
+  if (digits.length === 12 && digits.startsWith('91')) digits = digits.slice(2);
+  if (digits.length === 11 && digits.startsWith('0')) digits = digits.slice(1);
+  return /^\d{10}$/.test(digits) ? digits : null;
+}
+
+function optionalText(value) {
+  return value != null ? String(value).trim() || null : null;
+}
+
+/**
+ * Look up a customer by phone, creating one on first visit. A name or email given at
+ * checkout fills in details the record does not have yet.
+ * Input: { phone, name?, email? }
+ */
+export async function findOrCreateCustomer(tx, input) {
+  const phone = normalizePhone(input?.phone);
+  if (!phone) throw err('customer.phone must be a valid 10-digit mobile number');
+  const name = optionalText(input.name);
+  const email = optionalText(input.email);
+
+  const existing = await tx.customer.findUnique({ where: { phone } });
+  if (!existing) {
+    return tx.customer.create({ data: { phone, name, email } });
+  }
+
+  const data = {};
+  if (name && !existing.name) data.name = name;
+  if (email && !existing.email) data.email = email;
+  if (Object.keys(data).length === 0) return existing;
+  return tx.customer.update({ where: { id: existing.id }, data });
+}
+
+/**
+ * Bill count, lifetime spend (net of returns) and first/last visit over completed bills.
+ */
+function customerStats(sales) {
+  let lifetimeSpend = 0;
+  let firstVisit = null;
+  let lastVisit = null;
+  for (const s of sales) {
+    const refunded = s.returns.reduce((sum, r) => sum + Number(r.refundAmount), 0);
+    lifetimeSpend += Number(s.totalAmount) - refunded;
+    if (!firstVisit || s.soldAt < firstVisit) firstVisit = s.soldAt;
+    if (!lastVisit || s.soldAt > lastVisit) lastVisit = s.soldAt;
+  }
+  return {
+    billCount: sales.length,
+    lifetimeSpend: round2(lifetimeSpend),
+    firstVisit,
+    lastVisit,
+  };
+}
+
+const STATS_INCLUDE = {
+  sales: {
+    where: { status: { not: 'VOIDED' } },
+    select: {
+      totalAmount: true,
+      soldAt: true,
+      returns: { select: { refundAmount: true } },
+    },
+  },
+  ledgerEntries: { select: { amount: true } },
+};
+
+function sumLedger(entries) {
+  return round2(entries.reduce((sum, e) => sum + Number(e.amount), 0));
+}
+
+function toCustomer(customer) {
+  const { sales, ledgerEntries, ...rest } = customer;
+  return {
+    ...rest,
+    creditLimit: rest.creditLimit != null ? Number(rest.creditLimit) : null,
+    ...customerStats(sales),
+    outstandingBalance: sumLedger(ledgerEntries),
+  };
+}
+
+/**
+ * Get a customer with bill count, lifetime spend and last visit. Returns null if not found.
+ */
+export async function getCustomer(customerId) {
+  if (!customerId || typeof customerId !== 'string') return null;
+  const customer = await prisma.customer.findUnique({
+    where: { id: customerId },
+    include: STATS_INCLUDE,
+  });
+  return customer ? toCustomer(customer) : null;
+}
+
+/**
+ * Find customers, most recently updated first.
+ * Filters: phone (exact, normalized), q (name or phone contains),
+ * productVariantId or sku (customers who bought it, with when they last did — used for
+ * re-stock notifications), page, pageSize (max 100).
+ * Returns { total, page, pageSize, pageCount, items }.
+ */
+export async function listCustomers(filters = {}) {
+  const { phone, q, productVariantId, sku } = filters;
+  const page = positiveInt(filters.page, 'page', 1);
+  const pageSize = Math.min(positiveInt(filters.pageSize, 'pageSize', DEFAULT_PAGE_SIZE), MAX_PAGE_SIZE);
+  const where = {};
+
+  if (phone) {
+    const normalized = normalizePhone(phone);
+    if (!normalized) return { total: 0, page, pageSize, pageCount: 0, items: [] };
+    where.phone = normalized;
+  }
+  if (q) {
+    const term = String(q).trim();
+    where.OR = [
+      { name: { contains: term, mode: 'insensitive' } },
+      { phone: { contains: term.replace(/\D/g, '') || term } },
+    ];
+  }
+
+  const boughtItem = productVariantId
+    ? { product: { productVariantId: String(productVariantId) } }
+    : sku
+      ? { product: { sku: String(sku).trim() } }
+      : null;
+  if (boughtItem) {
+    where.sales = { some: { status: { not: 'VOIDED' }, items: { some: boughtItem } } };
+  }
+
+  const [total, customers] = await Promise.all([
+    prisma.customer.count({ where }),
+    prisma.customer.findMany({
+      where,
+      include: STATS_INCLUDE,
+      orderBy: [{ updatedAt: 'desc' }, { id: 'asc' }],
+      skip: (page - 1) * pageSize,
+      take: pageSize,
+    }),
+  ]);
+  const result = { total, page, pageSize, pageCount: Math.ceil(total / pageSize) };
+  if (!boughtItem) return { ...result, items: customers.map(toCustomer) };
+
+  const lastBought = await prisma.sale.groupBy({
+    by: ['customerId'],
+    where: {
+      customerId: { in: customers.map((c) => c.id) },
+      status: { not: 'VOIDED' },
+      items: { some: boughtItem },
+    },
+    _max: { soldAt: true },
+  });
+  const lastBoughtById = Object.fromEntries(lastBought.map((r) => [r.customerId, r._max.soldAt]));
+  return {
+    ...result,
+    items: customers.map((c) => ({ ...toCustomer(c), lastBoughtAt: lastBoughtById[c.id] ?? null })),
+  };
+}
+
+function optionalCreditLimit(value) {
+  if (value == null || value === '') return null;
+  const n = Number(value);
+  if (!Number.isFinite(n) || n < 0) throw err('creditLimit must be a non-negative number');
+  return round2(n);
+}
+
+/**
+ * Create a customer. Input: { phone, name?, email?, notes?, creditLimit? }
+ */
+export async function createCustomer(payload) {
+  const phone = normalizePhone(payload?.phone);
+  if (!phone) throw err('phone must be a valid 10-digit mobile number');
+
+  const existing = await prisma.customer.findUnique({ where: { phone } });
+  if (existing) throw err(`A customer with phone ${phone} already exists`, 409);
+
+  const customer = await prisma.customer.create({
+    data: {
+      phone,
+      name: optionalText(payload.name),
+      email: optionalText(payload.email),
+      notes: optionalText(payload.notes),
+      creditLimit: optionalCreditLimit(payload.creditLimit),
+    },
+    include: STATS_INCLUDE,
+  });
+  return toCustomer(customer);
+}
+
+/**
+ * Update name, email, notes, creditLimit or phone. Only the fields present in the payload change.
+ */
+export async function updateCustomer(customerId, payload) {
+  const existing = await prisma.customer.findUnique({ where: { id: String(customerId) } });
+  if (!existing) throw err('Customer not found', 404);
+
+  const data = {};
+  for (const field of ['name', 'email', 'notes']) {
+    if (payload?.[field] !== undefined) data[field] = optionalText(payload[field]);
+  }
+  if (payload?.creditLimit !== undefined) data.creditLimit = optionalCreditLimit(payload.creditLimit);
+  if (payload?.phone !== undefined) {
+    const phone = normalizePhone(payload.phone);
+    if (!phone) throw err('phone must be a valid 10-digit mobile number');
+    if (phone !== existing.phone) {
+      const clash = await prisma.customer.findUnique({ where: { phone } });
+      if (clash) throw err(`A customer with phone ${phone} already exists`, 409);
+    }
+    data.phone = phone;
+  }
+
+  const customer = await prisma.customer.update({
+    where: { id: existing.id },
+    data,
+    include: STATS_INCLUDE,
+  });
+  return toCustomer(customer);
+}
+
+/**
+ * A customer's bills, newest first, with items and net amounts. Voided bills are included
+ * with their status. Returns null if the customer does not exist.
+ */
+export async function listCustomerSales(customerId) {
+  const customer = await prisma.customer.findUnique({ where: { id: String(customerId) } });
+  if (!customer) return null;
+
+  const sales = await prisma.sale.findMany({
+    where: { customerId: customer.id },
+    include: {
+      items: { include: { product: true } },
+      returns: { select: { refundAmount: true } },
+    },
+    orderBy: { soldAt: 'desc' },
+  });
+
+  return sales.map((s) => {
+    const refunded = s.returns.reduce((sum, r) => sum + Number(r.refundAmount), 0);
+    return {
+      saleId: s.id,
+      billNumber: s.billNumber,
+      soldAt: s.soldAt,
+      status: s.status,
+      totalAmount: Number(s.totalAmount),
+      refundedAmount: round2(refunded),
+      netAmount: round2(Number(s.totalAmount) - refunded),
+      items: s.items.map((i) => ({
+        sku: i.product?.sku ?? null,
+        productVariantId: i.product?.productVariantId ?? null,
+        quantity: i.quantity,
+        lineTotal: Number(i.lineTotal),
+      })),
+    };
+  });
+}
+
+/**
+ * Lock the customer row for the rest of the transaction so balance checks and the entry
+ * that follows them cannot interleave with another counter's, then return the balance.
+ */
+async function lockOutstandingBalance(tx, customerId) {
+  await tx.$queryRaw`SELECT "id" FROM "Customer" WHERE "id" = ${customerId} FOR UPDATE`;
+  const entries = await tx.customerLedgerEntry.findMany({
+    where: { customerId },
+    select: { amount: true },
+  });
+  return sumLedger(entries);
+}
+
+/**
+ * Put the CREDIT part of a bill on the customer's ledger, within their credit limit.
+ */
+export async function chargeCustomerCredit(tx, customer, amount, { saleId, entryAt }) {
+  const outstanding = await lockOutstandingBalance(tx, customer.id);
+  if (customer.creditLimit != null && outstanding + amount > Number(customer.creditLimit) + 0.005) {
+    throw err(
+      `Credit of ${amount} exceeds the customer's limit (${Number(customer.creditLimit)}, outstanding ${outstanding})`
+    );
+  }
+  await tx.customerLedgerEntry.create({
+    data: { customerId: customer.id, saleId, type: 'CREDIT_SALE', amount, entryAt },
+  });
+}
+
+/**
+ * Settle part of the balance by a refund in CREDIT mode (goods returned from a credit bill).
+ * The refund cannot exceed what the customer still owes.
+ */
+export async function creditCustomerReturn(tx, customerId, amount, { saleId, saleReturnId, entryAt }) {
+  const outstanding = await lockOutstandingBalance(tx, customerId);
+  if (amount > outstanding + 0.005) {
+    throw err(`CREDIT refund (${amount}) exceeds the customer's outstanding balance (${outstanding})`);
+  }
+  await tx.customerLedgerEntry.create({
+    data: { customerId, saleId, saleReturnId, type: 'RETURN', amount: -amount, entryAt },
+  });
+}
+
+/**
+ * Reverse whatever a voided bill put on the customer's ledger.
+ */
+export async function reverseSaleCredit(tx, saleId, entryAt) {
+  const entries = await tx.customerLedgerEntry.findMany({
+    where: { saleId, type: 'CREDIT_SALE' },
+  });
+  for (const entry of entries) {
+    await tx.customerLedgerEntry.create({
+      data: {
+        customerId: entry.customerId,
+        saleId,
+        type: 'VOID',
+        amount: -Number(entry.amount),
+        reference: entry.id,
+        entryAt,
+      },
+    });
+  }
+}
+
+/**
+ * Record a payment against a customer's outstanding balance (part or full).
+ * Input: { amount, mode, provider?, reference?, paidAt? }
+ */
+export async function recordCustomerPayment(customerId, payload) {
+  const amount = round2(Number(payload?.amount));
+  if (!Number.isFinite(amount) || amount <= 0) throw err('amount must be a positive number');
+  const mode = payload?.mode != null ? String(payload.mode).trim() : '';
+  if (!mode) throw err('mode is required');
+  if (isCreditMode(mode)) throw err('A payment against the balance cannot be in CREDIT mode');
+  const paidAt = payload?.paidAt ? new Date(payload.paidAt) : new Date();
+  if (Number.isNaN(paidAt.getTime())) throw err('paidAt must be a valid date');
+
+  return prisma.$transaction(async (tx) => {
+    const customer = await tx.customer.findUnique({ where: { id: String(customerId) } });
+    if (!customer) throw err('Customer not found', 404);
+
+    const outstanding = await lockOutstandingBalance(tx, customer.id);
+    if (amount > outstanding + 0.005) {
+      throw err(`Payment (${amount}) exceeds the outstanding balance (${outstanding})`);
+    }
+
+    const entry = await tx.customerLedgerEntry.create({
+      data: {
+        customerId: customer.id,
+        type: 'PAYMENT',
+        amount: -amount,
+        mode,
+        provider: optionalText(payload.provider),
+        reference: optionalText(payload.reference),
+        entryAt: paidAt,
+      },
+    });
+
+    return {
+      entryId: entry.id,
+      customerId: customer.id,
+      amount,
+      mode: entry.mode,
+      paidAt: entry.entryAt,
+      outstandingBalance: round2(outstanding - amount),
+    };
+  });
+}
+
+/**
+ * A customer's ledger, oldest first, with the running balance after each entry.
+ * Returns null if the customer does not exist.
+ */
+export async function getCustomerLedger(customerId) {
+  const customer = await prisma.customer.findUnique({ where: { id: String(customerId) } });
+  if (!customer) return null;
+
+  const entries = await prisma.customerLedgerEntry.findMany({
+    where: { customerId: customer.id },
+    include: { sale: { select: { billNumber: true } } },
+    orderBy: [{ entryAt: 'asc' }, { createdAt: 'asc' }],
+  });
+
+  let balance = 0;
+  const rows = entries.map((e) => {
+    balance = round2(balance + Number(e.amount));
+    return {
+      entryId: e.id,
+      type: e.type,
+      entryAt: e.entryAt,
+      amount: Number(e.amount),
+      balance,
+      billNumber: e.sale?.billNumber ?? null,
+      saleReturnId: e.saleReturnId,
+      mode: e.mode,
+      provider: e.provider,
+      reference: e.reference,
+    };
+  });
+
+  return {
+    customerId: customer.id,
+    name: customer.name,
+    phone: customer.phone,
+    creditLimit: customer.creditLimit != null ? Number(customer.creditLimit) : null,
+    outstandingBalance: balance,
+    entries: rows,
+  };
+}
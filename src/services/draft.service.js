@@ -0,0 +1,201 @@
+import prisma from '../lib/prisma.js';
+import { createSaleInTx } from './sale.service.js';
+
+const DEFAULT_DRAFT_TTL_HOURS = 24;
+
+function err(message, statusCode = 400) {
+  const e = new Error(message);
+  e.statusCode = statusCode;
+  return e;
+}
+
+function draftTtlMs() {
+  const hours = Number(process.env.DRAFT_SALE_TTL_HOURS);
+  return (Number.isFinite(hours) && hours > 0 ? hours : DEFAULT_DRAFT_TTL_HOURS) * 60 * 60 * 1000;
+}
+
+/**
+ * Mark OPEN drafts past their expiry as EXPIRED. Runs lazily before drafts are read.
+ */
+async function expireStaleDrafts() {
+  await prisma.draftSale.updateMany({
+    where: { status: 'OPEN', expiresAt: { lt: new Date() } },
+    data: { status: 'EXPIRED' },
+  });
+}
+
+/**
+ * Validate draft lines without touching stock: SKUs must exist, quantities be positive.
+ * sellingPrice is optional and defaults to the variant's default_selling_price.
+ * Price, discount and stock rules are only enforced when the draft is finalized.
+ */
+async function normalizeDraftItems(items) {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw err('items must be a non-empty array');
+  }
+
+  const skus = [...new Set(items.map((i) => i?.sku).filter(Boolean))];
+  const products = await prisma.product.findMany({
+    where: { sku: { in: skus } },
+    include: { productVariant: true },
+  });
+  const productsBySku = Object.fromEntries(products.map((p) => [p.sku, p]));
+
+  return items.map((it, index) => {
+    const sku = it?.sku;
+    if (!sku) throw err(`items[${index}]: sku is required`);
+    const product = productsBySku[sku];
+    if (!product) throw err(`Product not found for SKU: ${sku}`);
+
+    const quantity = Number(it.quantity ?? 1);
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      throw err(`items[${index}]: quantity must be a positive integer`);
+    }
+    const sellingPrice = it.sellingPrice != null
+      ? Number(it.sellingPrice)
+      : product.productVariant.default_selling_price;
+    if (!Number.isFinite(sellingPrice) || sellingPrice < 0) {
+      throw err(`items[${index}]: invalid sellingPrice`);
+    }
+    return { sku, quantity, sellingPrice };
+  });
+}
+
+function toDraftSummary(draft) {
+  const items = Array.isArray(draft.items) ? draft.items : [];
+  const estimatedTotal = items.reduce((sum, i) => sum + i.quantity * i.sellingPrice, 0);
+  return {
+    draftId: draft.id,
+    label: draft.label,
+    status: draft.status,
+    items,
+    itemCount: items.reduce((q, i) => q + i.quantity, 0),
+    estimatedTotal: Math.round(estimatedTotal * 100) / 100,
+    expiresAt: draft.expiresAt,
+    saleId: draft.saleId,
+    createdAt: draft.createdAt,
+    updatedAt: draft.updatedAt,
+  };
+}
+
+/**
+ * Park a bill. Input: { label?, items: [{ sku, quantity, sellingPrice? }] }
+ */
+export async function createDraft(payload) {
+  const { label, items } = payload ?? {};
+  const normalizedItems = await normalizeDraftItems(items);
+
+  const draft = await prisma.draftSale.create({
+    data: {
+      label: label != null ? String(label).trim() || null : null,
+      items: normalizedItems,
+      expiresAt: new Date(Date.now() + draftTtlMs()),
+    },
+  });
+  return toDraftSummary(draft);
+}
+
+/**
+ * Open (not expired) drafts, most recently touched first.
+ */
+export async function listDrafts() {
+  await expireStaleDrafts();
+  const drafts = await prisma.draftSale.findMany({
+    where: { status: 'OPEN' },
+    orderBy: { updatedAt: 'desc' },
+  });
+  return drafts.map(toDraftSummary);
+}
+
+/**
+ * Get a draft by id, in any status. Returns null if not found.
+ */
+export async function getDraft(draftId) {
+  if (!draftId || typeof draftId !== 'string') return null;
+  await expireStaleDrafts();
+  const draft = await prisma.draftSale.findUnique({ where: { id: draftId } });
+  return draft ? toDraftSummary(draft) : null;
+}
+
+async function findOpenDraft(client, draftId) {
+  const draft = await client.draftSale.findUnique({ where: { id: String(draftId) } });
+  if (!draft) throw err('Draft not found', 404);
+  if (draft.status === 'OPEN' && draft.expiresAt < new Date()) {
+    await client.draftSale.update({ where: { id: draft.id }, data: { status: 'EXPIRED' } });
+    throw err('Draft has expired', 410);
+  }
+  if (draft.status === 'EXPIRED') throw err('Draft has expired', 410);
+  if (draft.status !== 'OPEN') throw err(`Draft is already ${draft.status.toLowerCase()}`, 409);
+  return draft;
+}
+
+/**
+ * Replace a draft's label and/or items. Resuming work on a draft extends its expiry.
+ */
+export async function updateDraft(draftId, payload) {
+  const { label, items } = payload ?? {};
+  await findOpenDraft(prisma, draftId);
+
+  const data = { expiresAt: new Date(Date.now() + draftTtlMs()) };
+  if (items !== undefined) data.items = await normalizeDraftItems(items);
+  if (label !== undefined) data.label = label != null ? String(label).trim() || null : null;
+
+  const draft = await prisma.draftSale.update({ where: { id: String(draftId) }, data });
+  return toDraftSummary(draft);
+}
+
+/**
+ * Discard an open draft.
+ */
+export async function deleteDraft(draftId) {
+  await findOpenDraft(prisma, draftId);
+  await prisma.draftSale.delete({ where: { id: String(draftId) } });
+}
+
+/**
+ * Turn a draft into a sale. Input: { payments, items?, discount?, couponCode?, roundOff?,
+ * placeOfSupply?, customer?, counterId? } — items default to the draft's own.
+ * Goes through createSale's validation, so stock, price and discount rules are checked
+ * against current data. The draft is claimed inside the same transaction, so a draft
+ * can only become one sale.
+ */
+export async function finalizeDraft(draftId, payload) {
+  const {
+    payments = [],
+    items,
+    discount,
+    couponCode,
+    roundOff,
+    placeOfSupply,
+    customer,
+    counterId,
+  } = payload ?? {};
+
+  return prisma.$transaction(async (tx) => {
+    const draft = await findOpenDraft(tx, draftId);
+
+    const claimed = await tx.draftSale.updateMany({
+      where: { id: draft.id, status: 'OPEN' },
+      data: { status: 'FINALIZED' },
+    });
+    if (claimed.count === 0) throw err('Draft is already finalized', 409);
+
+    const sale = await createSaleInTx(tx, {
+      items: items ?? draft.items,
+      payments,
+      discount,
+      couponCode,
+      roundOff,
+      placeOfSupply,
+      customer,
+      counterId,
+    });
+
+    await tx.draftSale.update({
+      where: { id: draft.id },
+      data: { saleId: sale.saleId },
+    });
+
+    return { draftId: draft.id, ...sale };
+  });
+}
@@ -0,0 +1,235 @@
+/**
+ * Price tags for products: category name, key attributes, a Code 128 barcode of the SKU
+ * and the MRP, laid out on A4 label sheets as SVG (one page per sheet) or as an HTML
+ * document that prints every sheet.
+ */
+
+import prisma from '../lib/prisma.js';
+import { code128Svg } from '../lib/code128.js';
+
+function err(message, statusCode = 400) {
+  const e = new Error(message);
+  e.statusCode = statusCode;
+  return e;
+}
+
+// A4 in mm, with a margin around the label grid
+const SHEET = { width: 210, height: 297, margin: 5 };
+// Label artwork is drawn in this box and scaled to the grid cell
+const LABEL = { width: 64, height: 34, padding: 2 };
+const MAX_LABELS = 2000;
+// Attributes printed on a tag
+const MAX_ATTRIBUTES = 3;
+
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function formatMrp(n) {
+  return Number(n).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+/**
+ * Cut text to what fits in `width` at `fontSize` (average glyph ≈ 0.55 em).
+ */
+function fit(text, fontSize, width) {
+  const max = Math.floor(width / (fontSize * 0.55));
+  return text.length <= max ? text : `${text.slice(0, Math.max(max - 1, 1))}…`;
+}
+
+/**
+ * Attribute values worth printing: those with a definition on the category, in the
+ * category's order and under its names; all attributes by key when there are none.
+ */
+function keyAttributes(attributesJson, definitions) {
+  const attrs = attributesJson && typeof attributesJson === 'object' ? attributesJson : {};
+  const present = (v) => v != null && v !== '';
+  const rows = definitions.length
+    ? definitions.filter((d) => present(attrs[d.key])).map((d) => [d.name, attrs[d.key]])
+    : Object.entries(attrs).filter(([, v]) => present(v)).sort(([a], [b]) => a.localeCompare(b));
+  return rows.slice(0, MAX_ATTRIBUTES).map(([name, value]) => `${name}: ${value}`);
+}
+
+function toLabel(product) {
+  const variant = product.productVariant;
+  return {
+    sku: product.sku,
+    categoryName: variant.category?.name ?? null,
+    attributes: keyAttributes(variant.attributes_json, variant.category?.attributes ?? []),
+    mrp: variant.mrp,
+  };
+}
+
+const PRODUCT_INCLUDE = {
+  productVariant: {
+    include: { category: { include: { attributes: { orderBy: { createdAt: 'asc' } } } } },
+  },
+};
+
+function checkCount(count) {
+  if (count > MAX_LABELS) throw err(`At most ${MAX_LABELS} labels can be printed at once (asked for ${count})`);
+}
+
+/**
+ * One label per unit received on a purchase, for the product (SKU) the units were booked
+ * to. Returns null if the purchase does not exist.
+ */
+export async function getPurchaseLabels(purchaseId) {
+  const purchase = await prisma.purchase.findUnique({
+    where: { id: String(purchaseId) },
+    include: { items: { include: { lot: { select: { productId: true } } } } },
+  });
+  if (!purchase) return null;
+  checkCount(purchase.items.reduce((q, i) => q + i.quantity, 0));
+
+  const products = await prisma.product.findMany({
+    where: {
+      OR: [
+        { id: { in: purchase.items.map((i) => i.lot?.productId).filter(Boolean) } },
+        { supplierId: purchase.supplierId, productVariantId: { in: purchase.items.map((i) => i.productVariantId) } },
+      ],
+    },
+    include: PRODUCT_INCLUDE,
+    orderBy: { createdAt: 'asc' },
+  });
+  const byId = Object.fromEntries(products.map((p) => [p.id, p]));
+  const byVariant = {};
+  for (const p of products) {
+    if (p.supplierId === purchase.supplierId) byVariant[p.productVariantId] ??= p;
+  }
+
+  const labels = [];
+  for (const item of purchase.items) {
+    const product = byId[item.lot?.productId] ?? byVariant[item.productVariantId];
+    if (!product) throw err(`No product (SKU) for variant ${item.productVariantId} from this supplier`, 409);
+    const label = toLabel(product);
+    for (let n = 0; n < item.quantity; n++) labels.push(label);
+  }
+  return labels;
+}
+
+/**
+ * Labels for chosen SKUs. Input: [{ sku, quantity }], printed in the order given.
+ */
+export async function getSkuLabels(items) {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw err('items must be a non-empty array of { sku, quantity }');
+  }
+  const wanted = items.map((it, index) => {
+    const sku = it?.sku != null ? String(it.sku).trim() : '';
+    const quantity = Number(it?.quantity ?? 1);
+    if (!sku) throw err(`items[${index}].sku is required`);
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      throw err(`items[${index}].quantity must be a positive integer`);
+    }
+    return { sku, quantity };
+  });
+  checkCount(wanted.reduce((q, w) => q + w.quantity, 0));
+
+  const products = await prisma.product.findMany({
+    where: { sku: { in: wanted.map((w) => w.sku) } },
+    include: PRODUCT_INCLUDE,
+  });
+  const bySku = Object.fromEntries(products.map((p) => [p.sku, p]));
+  const unknown = wanted.filter((w) => !bySku[w.sku]).map((w) => w.sku);
+  if (unknown.length) throw err(`Unknown SKU(s): ${unknown.join(', ')}`, 404);
+
+  return wanted.flatMap((w) => Array(w.quantity).fill(toLabel(bySku[w.sku])));
+}
+
+/**
+ * Label artwork in LABEL units.
+ */
+function labelArtwork(label) {
+  const { width, height, padding } = LABEL;
+  const inner = width - 2 * padding;
+  const text = (y, size, value, extra = '') =>
+    `<text x="${width / 2}" y="${y}" font-size="${size}" text-anchor="middle"${extra}>${escapeXml(fit(value, size, inner))}</text>`;
+
+  const parts = [];
+  if (label.categoryName) parts.push(text(padding + 3, 3.2, label.categoryName, ' font-weight="bold"'));
+  const attributeLine = label.attributes.join(' · ');
+  if (attributeLine) parts.push(text(padding + 6.6, 2.4, attributeLine));
+  parts.push(code128Svg(label.sku, { x: padding, y: 11, width: inner, height: 11 }));
+  parts.push(text(25.4, 2.6, label.sku, ' font-family="monospace"'));
+  parts.push(text(height - padding - 0.6, 3.6, `MRP ₹${formatMrp(label.mrp)}`, ' font-weight="bold"'));
+  return parts.join('');
+}
+
+/**
+ * Parse and check the grid of a label sheet: { columns, rows } (default 3 × 8).
+ */
+export function labelLayout({ columns = 3, rows = 8 } = {}) {
+  const c = Number(columns);
+  const r = Number(rows);
+  if (!Number.isInteger(c) || c < 1 || c > 5) throw err('columns must be an integer from 1 to 5');
+  if (!Number.isInteger(r) || r < 1 || r > 14) throw err('rows must be an integer from 1 to 14');
+  return { columns: c, rows: r };
+}
+
+/**
+ * Lay labels out on A4 sheets. Returns one standalone SVG document per sheet.
+ */
+export function renderLabelSheets(labels, layout = {}) {
+  const { columns, rows } = labelLayout(layout);
+  const cellWidth = (SHEET.width - 2 * SHEET.margin) / columns;
+  const cellHeight = (SHEET.height - 2 * SHEET.margin) / rows;
+  const perSheet = columns * rows;
+
+  // Each distinct SKU is drawn once and reused
+  const artwork = new Map();
+  const symbolId = (label) => {
+    if (!artwork.has(label.sku)) artwork.set(label.sku, { id: `l${artwork.size}`, label });
+    return artwork.get(label.sku).id;
+  };
+
+  const sheets = [];
+  for (let start = 0; start < labels.length; start += perSheet) {
+    const onSheet = new Set();
+    const cells = labels.slice(start, start + perSheet).map((label, i) => {
+      const id = symbolId(label);
+      onSheet.add(id);
+      const x = SHEET.margin + (i % columns) * cellWidth;
+      const y = SHEET.margin + Math.floor(i / columns) * cellHeight;
+      return `<use href="#${id}" x="${+x.toFixed(3)}" y="${+y.toFixed(3)}" width="${+cellWidth.toFixed(3)}" height="${+cellHeight.toFixed(3)}"/>`;
+    });
+    const symbols = [...artwork.values()]
+      .filter((a) => onSheet.has(a.id))
+      .map((a) => `<symbol id="${a.id}" viewBox="0 0 ${LABEL.width} ${LABEL.height}">${labelArtwork(a.label)}</symbol>`);
+
+    sheets.push(`<svg xmlns="http://www.w3.org/2000/svg" width="${SHEET.width}mm" height="${SHEET.height}mm" viewBox="0 0 ${SHEET.width} ${SHEET.height}" font-family="sans-serif">
+<defs>${symbols.join('\n')}</defs>
+${cells.join('\n')}
+</svg>
+`);
+  }
+  return sheets;
+}
+
+/**
+ * All sheets in one HTML document, one sheet per printed page.
+ */
+export function renderLabelsHtml(sheets, title = 'Labels') {
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeXml(title)}</title>
+<style>
+  @page { size: A4; margin: 0; }
+  body { margin: 0; }
+  .sheet { width: 210mm; height: 297mm; page-break-after: always; }
+  .sheet:last-child { page-break-after: auto; }
+</style>
+</head>
+<body>
+${sheets.map((svg) => `<div class="sheet">${svg}</div>`).join('\n')}
+</body>
+</html>
+`;
+}
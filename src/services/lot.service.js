@@ -0,0 +1,307 @@
+/**
+ * Inventory lots: the cost layers behind Product.quantityInStock.
+ *
+ * Every purchase line opens a lot at its effectiveUnitCost; stock that arrives without a
+ * purchase (a product created with stock, at its openingUnitCost) opens an OPENING lot. A sale takes units out
+ * of the product's oldest lots first and records what it took (LotConsumption) and the
+ * cost on the SaleItem; a return or void puts the units back into the lots they came
+ * from. Reports read remaining lots and recorded costs instead of replaying history.
+ *
+ * All functions run inside the caller's transaction.
+ */
+
+function err(message, statusCode = 400) {
+  const e = new Error(message);
+  e.statusCode = statusCode;
+  return e;
+}
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+// One writer per product at a time, so two bills cannot take the same units
+async function lockProduct(tx, productId) {
+  await tx.$queryRaw`SELECT "id" FROM "Product" WHERE "id" = ${productId} FOR UPDATE`;
+}
+
+/**
+ * Parse the openingUnitCost given with a new product's initial stock. Stock above zero
+ * needs one, or its units would be valued (and later sold) at no cost; returns null when
+ * there is no stock and no cost.
+ */
+export function parseOpeningUnitCost(value, quantity) {
+  if (value == null || value === '') {
+    if (quantity > 0) throw err('openingUnitCost is required with an initial quantityInStock');
+    return null;
+  }
+  const unitCost = Number(value);
+  if (!Number.isFinite(unitCost) || unitCost < 0) throw err('openingUnitCost must be a non-negative number');
+  return round2(unitCost);
+}
+
+/**
+ * Open a lot for stock that did not come through a purchase.
+ */
+export async function createOpeningLot(tx, productId, quantity, { unitCost = 0, receivedAt = new Date() } = {}) {
+  if (!(quantity > 0)) return null;
+  return tx.inventoryLot.create({
+    data: {
+      productId,
+      source: 'OPENING',
+      receivedAt,
+      unitCost,
+      quantity,
+      remainingQuantity: quantity,
+    },
+  });
+}
+
+/**
+ * Open one lot per purchase line on the supplier's product for its variant.
+ * items: the created PurchaseItem rows.
+ */
+export async function createPurchaseLots(tx, purchase, items) {
+  const products = await tx.product.findMany({
+    where: { supplierId: purchase.supplierId, productVariantId: { in: items.map((i) => i.productVariantId) } },
+    orderBy: { createdAt: 'asc' },
+  });
+  const productByVariant = {};
+  for (const p of products) productByVariant[p.productVariantId] ??= p;
+
+  for (const item of items) {
+    const product = productByVariant[item.productVariantId];
+    if (!product) continue;
+    await tx.inventoryLot.create({
+      data: {
+        productId: product.id,
+        purchaseItemId: item.id,
+        source: 'PURCHASE',
+        receivedAt: purchase.purchasedAt,
+        unitCost: item.effectiveUnitCost,
+        quantity: item.quantity,
+        remainingQuantity: item.quantity,
+      },
+    });
+  }
+}
+
+/**
+ * Take `quantity` units of a product out of its lots, oldest first, and record each
+ * take against `link` ({ saleItemId }). Units the lots do not cover get an opening lot
+ * at the latest known cost; for a product from before lots existed, db:backfill-lots later
+ * replaces that stand-in with lots rebuilt from its history. Returns the cost taken.
+ */
+export async function consumeLots(tx, productId, quantity, link, type = 'SALE') {
+  await lockProduct(tx, productId);
+  const lots = await tx.inventoryLot.findMany({
+    where: { productId, remainingQuantity: { gt: 0 } },
+    orderBy: [{ receivedAt: 'asc' }, { createdAt: 'asc' }],
+  });
+
+  let toTake = quantity;
+  if (lots.reduce((q, l) => q + l.remainingQuantity, 0) < toTake) {
+    const latest = await tx.inventoryLot.findFirst({ where: { productId }, orderBy: { receivedAt: 'desc' } });
+    const shortfall = toTake - lots.reduce((q, l) => q + l.remainingQuantity, 0);
+    lots.push(await createOpeningLot(tx, productId, shortfall, { unitCost: latest?.unitCost ?? 0 }));
+  }
+
+  let cost = 0;
+  for (const lot of lots) {
+    if (toTake <= 0) break;
+    const take = Math.min(lot.remainingQuantity, toTake);
+    await tx.inventoryLot.update({
+      where: { id: lot.id },
+      data: { remainingQuantity: { decrement: take } },
+    });
+    await tx.lotConsumption.create({
+      data: { lotId: lot.id, type, quantity: take, unitCost: lot.unitCost, ...link },
+    });
+    cost += take * Number(lot.unitCost);
+    toTake -= take;
+  }
+  return round2(cost);
+}
+
+/**
+ * Put `quantity` units of a sale line back into the lots it took them from, newest lot
+ * first. type is SALE_RETURN (link: { saleReturnItemId }) or SALE_VOID. Units the line
+ * sold before lots existed go back as opening stock at no cost. Returns the cost put back.
+ */
+export async function restoreSaleLots(tx, saleItem, quantity, type, link = {}) {
+  await lockProduct(tx, saleItem.productId);
+  const rows = await tx.lotConsumption.findMany({
+    where: { saleItemId: saleItem.id },
+    include: { lot: true },
+  });
+
+  // Units of the line still out of each lot (taken by the sale, less earlier returns)
+  const outByLot = new Map();
+  for (const row of rows) {
+    const entry = outByLot.get(row.lotId) ?? { lot: row.lot, quantity: 0 };
+    entry.quantity += row.quantity;
+    outByLot.set(row.lotId, entry);
+  }
+  const lots = [...outByLot.values()]
+    .filter((e) => e.quantity > 0)
+    .sort((a, b) => b.lot.receivedAt - a.lot.receivedAt || b.lot.createdAt - a.lot.createdAt);
+
+  let toPut = quantity;
+  let cost = 0;
+  for (const { lot, quantity: out } of lots) {
+    if (toPut <= 0) break;
+    const put = Math.min(out, toPut);
+    await tx.inventoryLot.update({
+      where: { id: lot.id },
+      data: { remainingQuantity: { increment: put } },
+    });
+    await tx.lotConsumption.create({
+      data: { lotId: lot.id, type, quantity: -put, unitCost: lot.unitCost, saleItemId: saleItem.id, ...link },
+    });
+    cost += put * Number(lot.unitCost);
+    toPut -= put;
+  }
+  if (toPut > 0) await createOpeningLot(tx, saleItem.productId, toPut);
+  return round2(cost);
+}
+
+/**
+ * Take goods returned to the supplier out of the purchase line's own lot, then (if the
+ * lot has already been sold down) out of the product's newest lots.
+ */
+export async function consumePurchaseReturnLots(tx, purchaseItem, supplierId, quantity, purchaseReturnItemId) {
+  const ownLot = await tx.inventoryLot.findUnique({ where: { purchaseItemId: purchaseItem.id } });
+  const product = ownLot
+    ? { id: ownLot.productId }
+    : await tx.product.findFirst({
+      where: { supplierId, productVariantId: purchaseItem.productVariantId },
+      orderBy: { createdAt: 'asc' },
+    });
+  if (!product) return;
+
+  await lockProduct(tx, product.id);
+  const lots = await tx.inventoryLot.findMany({
+    where: { productId: product.id, remainingQuantity: { gt: 0 } },
+    orderBy: [{ receivedAt: 'desc' }, { createdAt: 'desc' }],
+  });
+  lots.sort((a, b) => (b.purchaseItemId === purchaseItem.id) - (a.purchaseItemId === purchaseItem.id));
+
+  let toTake = quantity;
+  for (const lot of lots) {
+    if (toTake <= 0) break;
+    const take = Math.min(lot.remainingQuantity, toTake);
+    await tx.inventoryLot.update({
+      where: { id: lot.id },
+      data: { remainingQuantity: { decrement: take } },
+    });
+    await tx.lotConsumption.create({
+      data: { lotId: lot.id, type: 'PURCHASE_RETURN', quantity: take, unitCost: lot.unitCost, purchaseReturnItemId },
+    });
+    toTake -= take;
+  }
+}
+
+/**
+ * Recompute the recorded cost of the sale lines and sale return lines that took units
+ * from the given lots (after a lot's cost changed).
+ */
+async function refreshRecordedCosts(tx, lotIds) {
+  const rows = await tx.lotConsumption.findMany({
+    where: { lotId: { in: lotIds } },
+    select: { saleItemId: true, saleReturnItemId: true },
+  });
+  const saleItemIds = [...new Set(rows.map((r) => r.saleItemId).filter(Boolean))];
+  const saleReturnItemIds = [...new Set(rows.map((r) => r.saleReturnItemId).filter(Boolean))];
+
+  for (const saleItemId of saleItemIds) {
+    const taken = await tx.lotConsumption.findMany({ where: { saleItemId, type: 'SALE' } });
+    const costAmount = round2(taken.reduce((sum, r) => sum + r.quantity * Number(r.unitCost), 0));
+    await tx.saleItem.update({ where: { id: saleItemId }, data: { costAmount } });
+  }
+  for (const saleReturnItemId of saleReturnItemIds) {
+    const putBack = await tx.lotConsumption.findMany({ where: { saleReturnItemId } });
+    const costAmount = round2(-putBack.reduce((sum, r) => sum + r.quantity * Number(r.unitCost), 0));
+    await tx.saleReturnItem.update({ where: { id: saleReturnItemId }, data: { costAmount } });
+  }
+}
+
+/**
+ * Lots opened by a purchase's lines, with how many units have left each one.
+ */
+export async function findPurchaseLots(tx, purchase) {
+  const lots = await tx.inventoryLot.findMany({
+    where: { purchaseItemId: { in: purchase.items.map((i) => i.id) } },
+  });
+  const itemById = Object.fromEntries(purchase.items.map((i) => [i.id, i]));
+  return lots.map((lot) => ({
+    lot,
+    productVariantId: itemById[lot.purchaseItemId].productVariantId,
+    taken: lot.quantity - lot.remainingQuantity,
+  }));
+}
+
+/**
+ * Before a purchase is deleted: its lots go with it, which is only possible while
+ * nothing has been taken out of them (409 otherwise).
+ */
+export async function removePurchaseLots(tx, purchase) {
+  const lots = await findPurchaseLots(tx, purchase);
+  const taken = lots.find((l) => l.taken > 0);
+  if (taken) {
+    throw err(
+      `${taken.taken} unit(s) of variant ${taken.productVariantId} from this purchase have been sold; it cannot be deleted`,
+      409
+    );
+  }
+  await tx.inventoryLot.deleteMany({ where: { id: { in: lots.map((l) => l.lot.id) } } });
+}
+
+/**
+ * Move a purchase's lots onto its edited lines. `lots` is what findPurchaseLots returned
+ * before the old lines were replaced, `purchase` the edited purchase and `items` its new
+ * PurchaseItem rows. A lot units have been sold from stays (its sales keep pointing at
+ * it) and takes the new line's quantity and cost — the sales' recorded cost follows. It
+ * needs the same supplier and a line for the same variant with at least the units sold
+ * (409 otherwise). Untouched lots are replaced by fresh ones.
+ */
+export async function replacePurchaseLots(tx, lots, previousSupplierId, purchase, items) {
+  if (purchase.supplierId !== previousSupplierId && lots.some((l) => l.taken > 0)) {
+    throw err('Goods from this purchase have been sold; its supplier cannot change', 409);
+  }
+  const unused = new Set(items.map((i) => i.id));
+  const recosted = [];
+
+  for (const { lot, productVariantId, taken } of lots) {
+    if (taken === 0) {
+      await tx.inventoryLot.delete({ where: { id: lot.id } });
+      continue;
+    }
+    const match = items.find(
+      (i) => unused.has(i.id) && i.productVariantId === productVariantId && i.quantity >= taken
+    );
+    if (!match) {
+      throw err(
+        `${taken} unit(s) of variant ${productVariantId} from this purchase have been sold; keep a line for it with at least that quantity`,
+        409
+      );
+    }
+    unused.delete(match.id);
+    await tx.inventoryLot.update({
+      where: { id: lot.id },
+      data: {
+        purchaseItemId: match.id,
+        receivedAt: purchase.purchasedAt,
+        unitCost: match.effectiveUnitCost,
+        quantity: match.quantity,
+        remainingQuantity: match.quantity - taken,
+      },
+    });
+    if (Number(lot.unitCost) !== Number(match.effectiveUnitCost)) {
+      await tx.lotConsumption.updateMany({ where: { lotId: lot.id }, data: { unitCost: match.effectiveUnitCost } });
+      recosted.push(lot.id);
+    }
+  }
+
+  await createPurchaseLots(tx, purchase, items.filter((i) => unused.has(i.id)));
+  if (recosted.length > 0) await refreshRecordedCosts(tx, recosted);
+}
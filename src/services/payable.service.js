@@ -0,0 +1,357 @@
+/**
+ * What we owe suppliers. A purchase is a bill for its totalAmount; debit notes (purchase
+ * returns) and payments allocated to it reduce what is left to pay.
+ */
+
+import prisma from '../lib/prisma.js';
+
+function err(message, statusCode = 400) {
+  const e = new Error(message);
+  e.statusCode = statusCode;
+  return e;
+}
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+function parseDateFilter(value, name, endOfDay) {
+  if (value == null || value === '') return null;
+  const str = String(value).trim();
+  if (!DATE_REGEX.test(str)) throw err(`Invalid ${name}: must be YYYY-MM-DD`);
+  return new Date(str + (endOfDay ? 'T23:59:59.999Z' : 'T00:00:00.000Z'));
+}
+
+/**
+ * A supplier's purchases with what was returned, paid and is still due on each, oldest
+ * due first.
+ */
+async function loadSupplierBills(client, supplierId) {
+  const purchases = await client.purchase.findMany({
+    where: { supplierId },
+    include: {
+      returns: { select: { totalAmount: true } },
+      paymentAllocations: { select: { amount: true } },
+    },
+  });
+
+  return purchases
+    .map((p) => {
+      const totalAmount = Number(p.totalAmount);
+      const returnedAmount = round2(p.returns.reduce((sum, r) => sum + Number(r.totalAmount), 0));
+      const paidAmount = round2(p.paymentAllocations.reduce((sum, a) => sum + Number(a.amount), 0));
+      return {
+        purchaseId: p.id,
+        invoiceNo: p.invoiceNo,
+        purchasedAt: p.purchasedAt,
+        dueDate: p.dueDate ?? p.purchasedAt,
+        totalAmount,
+        returnedAmount,
+        paidAmount,
+        balanceDue: round2(totalAmount - returnedAmount - paidAmount),
+      };
+    })
+    .sort((a, b) => a.dueDate - b.dueDate || a.purchasedAt - b.purchasedAt);
+}
+
+/**
+ * Split a payment over open bills: explicit allocations ([{ purchaseId, amount }]) are
+ * checked against each bill's balance, otherwise the oldest due bills are paid first.
+ */
+function allocatePayment(bills, amount, requested) {
+  const openBills = bills.filter((b) => b.balanceDue > 0);
+
+  if (requested == null) {
+    const allocations = [];
+    let remaining = amount;
+    for (const bill of openBills) {
+      if (remaining <= 0) break;
+      const give = round2(Math.min(bill.balanceDue, remaining));
+      allocations.push({ purchaseId: bill.purchaseId, amount: give });
+      remaining = round2(remaining - give);
+    }
+    return allocations;
+  }
+
+  if (!Array.isArray(requested) || requested.length === 0) {
+    throw err('allocations must be a non-empty array of { purchaseId, amount }');
+  }
+  const billsById = Object.fromEntries(openBills.map((b) => [b.purchaseId, b]));
+  const byPurchase = new Map();
+  requested.forEach((a, index) => {
+    const purchaseId = a?.purchaseId != null ? String(a.purchaseId) : '';
+    const share = round2(Number(a?.amount));
+    if (!billsById[purchaseId]) {
+      throw err(`allocations[${index}]: purchase ${purchaseId} is not an open bill of this supplier`);
+    }
+    if (!Number.isFinite(share) || share <= 0) {
+      throw err(`allocations[${index}]: amount must be a positive number`);
+    }
+    byPurchase.set(purchaseId, round2((byPurchase.get(purchaseId) ?? 0) + share));
+  });
+
+  const allocations = [];
+  for (const [purchaseId, share] of byPurchase) {
+    const bill = billsById[purchaseId];
+    if (share > bill.balanceDue) {
+      throw err(`Allocation to ${bill.invoiceNo ?? purchaseId} (${share}) exceeds its balance (${bill.balanceDue})`);
+    }
+    allocations.push({ purchaseId, amount: share });
+  }
+  const allocated = round2(allocations.reduce((sum, a) => sum + a.amount, 0));
+  if (allocated !== amount) {
+    throw err(`Allocations (${allocated}) do not add up to the payment amount (${amount})`);
+  }
+  return allocations;
+}
+
+/**
+ * Record a payment to a supplier (part or full), by mode.
+ * Input: { amount, mode, reference?, notes?, paidAt?, allocations?: [{ purchaseId, amount }] }
+ * Without allocations the payment settles the oldest due bills first. A payment cannot
+ * exceed what is outstanding.
+ */
+export async function recordSupplierPayment(supplierId, payload) {
+  const amount = round2(Number(payload?.amount));
+  if (!Number.isFinite(amount) || amount <= 0) throw err('amount must be a positive number');
+  const mode = payload?.mode != null ? String(payload.mode).trim().toUpperCase() : '';
+  if (!mode) throw err('mode is required');
+  const paidAt = payload?.paidAt ? new Date(payload.paidAt) : new Date();
+  if (Number.isNaN(paidAt.getTime())) throw err('paidAt must be a valid date');
+
+  return prisma.$transaction(async (tx) => {
+    const supplier = await tx.supplier.findUnique({ where: { id: String(supplierId) } });
+    if (!supplier) throw err('Supplier not found', 404);
+    // One payment at a time per supplier, so two cannot settle the same bill
+    await tx.$queryRaw`SELECT "id" FROM "Supplier" WHERE "id" = ${supplier.id} FOR UPDATE`;
+
+    const bills = await loadSupplierBills(tx, supplier.id);
+    const outstanding = round2(bills.reduce((sum, b) => sum + b.balanceDue, 0));
+    if (amount > outstanding) {
+      throw err(`Payment (${amount}) exceeds the outstanding balance (${outstanding})`);
+    }
+    const allocations = allocatePayment(bills, amount, payload?.allocations);
+
+    const payment = await tx.supplierPayment.create({
+      data: {
+        supplierId: supplier.id,
+        amount,
+        mode,
+        reference: payload?.reference != null ? String(payload.reference).trim() || null : null,
+        notes: payload?.notes != null ? String(payload.notes).trim() || null : null,
+        paidAt,
+        allocations: { create: allocations },
+      },
+    });
+
+    const invoiceById = Object.fromEntries(bills.map((b) => [b.purchaseId, b.invoiceNo]));
+    return {
+      supplierPaymentId: payment.id,
+      supplierId: supplier.id,
+      amount,
+      mode,
+      paidAt: payment.paidAt,
+      allocations: allocations.map((a) => ({ ...a, invoiceNo: invoiceById[a.purchaseId] ?? null })),
+      outstandingBalance: round2(outstanding - amount),
+    };
+  });
+}
+
+/**
+ * Mark bills from before payables were tracked as paid. Purchases recorded earlier have a
+ * totalAmount but no payments, so without this they all show as unpaid and overdue.
+ * Every bill purchased before `before` (YYYY-MM-DD) that still has a balance is settled
+ * by one OPENING payment per supplier, dated the day before `before`.
+ * Input: { before, supplierId?, dryRun? } — dryRun lists what would be settled.
+ * Returns [{ supplierId, name, amount, bills: [{ purchaseId, invoiceNo, amount }] }].
+ */
+export async function settleOpeningBills({ before, supplierId, dryRun = false } = {}) {
+  const cutover = parseDateFilter(before, 'before', false);
+  if (!cutover || Number.isNaN(cutover.getTime())) throw err('before must be a date (YYYY-MM-DD)');
+  const paidAt = new Date(cutover.getTime() - 24 * 60 * 60 * 1000);
+
+  const suppliers = await prisma.supplier.findMany({
+    where: supplierId ? { id: String(supplierId) } : {},
+    orderBy: { name: 'asc' },
+  });
+  if (supplierId && suppliers.length === 0) throw err('Supplier not found', 404);
+
+  const settled = [];
+  for (const supplier of suppliers) {
+    const result = await prisma.$transaction(async (tx) => {
+      await tx.$queryRaw`SELECT "id" FROM "Supplier" WHERE "id" = ${supplier.id} FOR UPDATE`;
+      const bills = (await loadSupplierBills(tx, supplier.id))
+        .filter((b) => b.purchasedAt < cutover && b.balanceDue > 0);
+      if (bills.length === 0) return null;
+
+      const allocations = bills.map((b) => ({ purchaseId: b.purchaseId, amount: b.balanceDue }));
+      const amount = round2(allocations.reduce((sum, a) => sum + a.amount, 0));
+      if (!dryRun) {
+        await tx.supplierPayment.create({
+          data: {
+            supplierId: supplier.id,
+            amount,
+            mode: 'OPENING',
+            notes: `Settled before payables tracking (bills before ${before})`,
+            paidAt,
+            allocations: { create: allocations },
+          },
+        });
+      }
+      return {
+        supplierId: supplier.id,
+        name: supplier.name,
+        amount,
+        bills: bills.map((b) => ({ purchaseId: b.purchaseId, invoiceNo: b.invoiceNo, amount: b.balanceDue })),
+      };
+    });
+    if (result) settled.push(result);
+  }
+  return settled;
+}
+
+/**
+ * Outstanding balance of a supplier with the bills that make it up.
+ * Returns null if the supplier does not exist.
+ */
+export async function getSupplierPayables(supplierId) {
+  const supplier = await prisma.supplier.findUnique({ where: { id: String(supplierId) } });
+  if (!supplier) return null;
+
+  const bills = await loadSupplierBills(prisma, supplier.id);
+  const now = new Date();
+  const open = bills.filter((b) => b.balanceDue !== 0);
+  return {
+    supplierId: supplier.id,
+    name: supplier.name,
+    code: supplier.code,
+    paymentTermsDays: supplier.paymentTermsDays,
+    outstandingBalance: round2(bills.reduce((sum, b) => sum + b.balanceDue, 0)),
+    overdueAmount: round2(
+      open.filter((b) => b.balanceDue > 0 && b.dueDate < now).reduce((sum, b) => sum + b.balanceDue, 0)
+    ),
+    bills: open,
+  };
+}
+
+/**
+ * Payments made to a supplier, newest first, with their allocations.
+ * Filters: from / to (YYYY-MM-DD on paidAt). Returns null if the supplier does not exist.
+ */
+export async function listSupplierPayments(supplierId, filters = {}) {
+  const supplier = await prisma.supplier.findUnique({ where: { id: String(supplierId) } });
+  if (!supplier) return null;
+
+  const where = { supplierId: supplier.id };
+  const start = parseDateFilter(filters.from, 'from', false);
+  const end = parseDateFilter(filters.to, 'to', true);
+  if (start || end) {
+    where.paidAt = {};
+    if (start) where.paidAt.gte = start;
+    if (end) where.paidAt.lte = end;
+  }
+
+  const payments = await prisma.supplierPayment.findMany({
+    where,
+    include: { allocations: { include: { purchase: { select: { invoiceNo: true } } } } },
+    orderBy: { paidAt: 'desc' },
+  });
+  return payments.map((p) => ({
+    supplierPaymentId: p.id,
+    paidAt: p.paidAt,
+    amount: Number(p.amount),
+    mode: p.mode,
+    reference: p.reference,
+    notes: p.notes,
+    allocations: p.allocations.map((a) => ({
+      purchaseId: a.purchaseId,
+      invoiceNo: a.purchase?.invoiceNo ?? null,
+      amount: Number(a.amount),
+    })),
+  }));
+}
+
+/**
+ * Supplier statement for a period: opening balance, every purchase (credit), debit note
+ * and payment (debit) in date order with the running balance, and the closing balance —
+ * laid out like the supplier's own ledger of us so the two can be ticked off.
+ * Filters: from / to (YYYY-MM-DD). Returns null if the supplier does not exist.
+ */
+export async function getSupplierStatement(supplierId, filters = {}) {
+  const supplier = await prisma.supplier.findUnique({ where: { id: String(supplierId) } });
+  if (!supplier) return null;
+
+  const start = parseDateFilter(filters.from, 'from', false);
+  const end = parseDateFilter(filters.to, 'to', true);
+
+  const [purchases, debitNotes, payments] = await Promise.all([
+    prisma.purchase.findMany({ where: { supplierId: supplier.id } }),
+    prisma.purchaseReturn.findMany({
+      where: { supplierId: supplier.id },
+      include: { purchase: { select: { invoiceNo: true } } },
+    }),
+    prisma.supplierPayment.findMany({ where: { supplierId: supplier.id } }),
+  ]);
+
+  const entries = [
+    ...purchases.map((p) => ({
+      date: p.purchasedAt,
+      type: 'PURCHASE',
+      reference: p.invoiceNo,
+      documentId: p.id,
+      credit: Number(p.totalAmount),
+      debit: 0,
+    })),
+    ...debitNotes.map((r) => ({
+      date: r.returnedAt,
+      type: 'DEBIT_NOTE',
+      reference: r.debitNoteNumber,
+      against: r.purchase?.invoiceNo ?? null,
+      documentId: r.id,
+      credit: 0,
+      debit: Number(r.totalAmount),
+    })),
+    ...payments.map((p) => ({
+      date: p.paidAt,
+      type: 'PAYMENT',
+      reference: p.reference,
+      mode: p.mode,
+      documentId: p.id,
+      credit: 0,
+      debit: Number(p.amount),
+    })),
+  ].sort((a, b) => a.date - b.date);
+
+  let openingBalance = 0;
+  let balance = 0;
+  let totalCredit = 0;
+  let totalDebit = 0;
+  const rows = [];
+  for (const e of entries) {
+    if (end && e.date > end) continue;
+    if (start && e.date < start) {
+      openingBalance = round2(openingBalance + e.credit - e.debit);
+      continue;
+    }
+    if (rows.length === 0) balance = openingBalance;
+    balance = round2(balance + e.credit - e.debit);
+    totalCredit += e.credit;
+    totalDebit += e.debit;
+    rows.push({ ...e, balance });
+  }
+
+  return {
+    supplierId: supplier.id,
+    name: supplier.name,
+    code: supplier.code,
+    from: filters.from || null,
+    to: filters.to || null,
+    openingBalance,
+    totalCredit: round2(totalCredit),
+    totalDebit: round2(totalDebit),
+    closingBalance: round2(openingBalance + totalCredit - totalDebit),
+    entries: rows,
+  };
+}
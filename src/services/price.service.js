@@ -0,0 +1,156 @@
+/**
+ * Price history of product variants. Every change to mrp, default_selling_price or
+ * max_discount_percent is recorded with the moment it took effect, so sale checks and
+ * reports can find the prices in force on any date.
+ */
+
+import prisma from '../lib/prisma.js';
+
+function err(message, statusCode = 400) {
+  const e = new Error(message);
+  e.statusCode = statusCode;
+  return e;
+}
+
+export const PRICE_FIELDS = ['mrp', 'default_selling_price', 'max_discount_percent'];
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+function pickPrices(source) {
+  return Object.fromEntries(PRICE_FIELDS.map((f) => [f, source[f]]));
+}
+
+export function pricesChanged(before, after) {
+  return PRICE_FIELDS.some((f) => Number(before[f]) !== Number(after[f]));
+}
+
+/**
+ * Parse the effectiveFrom of a price change to a variant: now when not given, otherwise a
+ * date that is neither in the future nor before the variant's latest change (history
+ * cannot be rewritten).
+ */
+export async function resolveEffectiveFrom(client, productVariantId, value) {
+  const now = new Date();
+  if (value == null || value === '') return now;
+  const at = new Date(value);
+  if (Number.isNaN(at.getTime())) throw err('effectiveFrom must be a valid date');
+  if (at > now) throw err('effectiveFrom cannot be in the future');
+
+  const latest = await client.priceHistory.findFirst({
+    where: { productVariantId },
+    orderBy: { effectiveFrom: 'desc' },
+  });
+  if (latest && at < latest.effectiveFrom) {
+    throw err(`effectiveFrom cannot be before the variant's last price change (${latest.effectiveFrom.toISOString()})`);
+  }
+  return at;
+}
+
+/**
+ * Add a price history row for a variant. `before` holds the prices being replaced (null
+ * for a new variant); nothing is written when they equal `after`.
+ * Options: { effectiveFrom? (default now), source: CREATE | UPDATE | IMPORT | SYNC, reason? }
+ */
+export async function recordPriceChange(client, productVariantId, before, after, options = {}) {
+  if (before && !pricesChanged(before, after)) return null;
+  const { effectiveFrom = new Date(), source, reason = null } = options;
+  return client.priceHistory.create({
+    data: {
+      productVariantId,
+      ...pickPrices(after),
+      old_mrp: before?.mrp ?? null,
+      old_default_selling_price: before?.default_selling_price ?? null,
+      old_max_discount_percent: before?.max_discount_percent ?? null,
+      effectiveFrom,
+      source,
+      reason,
+    },
+  });
+}
+
+/**
+ * Prices of a variant at `at` from its variant row and its history (oldest first): the
+ * latest row in effect by then; before the first row, the prices that row replaced (or,
+ * for a variant created later, its first prices); with no history, the current prices.
+ */
+function priceAt(variant, rows, at) {
+  let current = null;
+  for (const row of rows) {
+    if (row.effectiveFrom > at) break;
+    current = row;
+  }
+  if (current) return { ...pickPrices(current), effectiveFrom: current.effectiveFrom };
+
+  const first = rows[0];
+  if (first && first.old_mrp != null) {
+    return {
+      mrp: first.old_mrp,
+      default_selling_price: first.old_default_selling_price,
+      max_discount_percent: first.old_max_discount_percent,
+      effectiveFrom: null,
+    };
+  }
+  return { ...pickPrices(first ?? variant), effectiveFrom: null };
+}
+
+/**
+ * Prices in force at `at` for the given variants.
+ * Returns a Map of variant id → { mrp, default_selling_price, max_discount_percent,
+ * effectiveFrom } (effectiveFrom null when no recorded change covers `at`); unknown ids
+ * are left out. Pass a transaction client to see changes made earlier in it.
+ */
+export async function pricesInForce(client, productVariantIds, at = new Date()) {
+  const ids = [...new Set(productVariantIds)];
+  if (ids.length === 0) return new Map();
+
+  const variants = await client.productVariant.findMany({
+    where: { id: { in: ids } },
+    select: { id: true, mrp: true, default_selling_price: true, max_discount_percent: true },
+  });
+  const rows = await client.priceHistory.findMany({
+    where: { productVariantId: { in: ids } },
+    orderBy: [{ effectiveFrom: 'asc' }, { createdAt: 'asc' }],
+  });
+  const rowsByVariant = {};
+  for (const row of rows) (rowsByVariant[row.productVariantId] ??= []).push(row);
+
+  return new Map(variants.map((v) => [v.id, priceAt(v, rowsByVariant[v.id] ?? [], at)]));
+}
+
+/**
+ * Parse the `at` of a price lookup: an ISO date-time, or YYYY-MM-DD for the end of that
+ * day (UTC), so changes made during the day count. Defaults to now.
+ */
+export function parsePriceDate(value, name = 'at') {
+  if (value == null || value === '') return new Date();
+  const str = String(value).trim();
+  const at = new Date(DATE_REGEX.test(str) ? `${str}T23:59:59.999Z` : str);
+  if (Number.isNaN(at.getTime())) throw err(`${name} must be a date (YYYY-MM-DD) or date-time`);
+  return at;
+}
+
+/**
+ * Price history of a variant, newest first, with the prices in force at `at` (see
+ * parsePriceDate). Returns null if the variant does not exist.
+ */
+export async function getPriceHistory(productVariantId, at) {
+  const when = parsePriceDate(at);
+  const variant = await prisma.productVariant.findUnique({
+    where: { id: String(productVariantId) },
+    include: { products: { select: { sku: true }, orderBy: { createdAt: 'asc' } } },
+  });
+  if (!variant) return null;
+
+  const rows = await prisma.priceHistory.findMany({
+    where: { productVariantId: variant.id },
+    orderBy: [{ effectiveFrom: 'asc' }, { createdAt: 'asc' }],
+  });
+  return {
+    productVariantId: variant.id,
+    skus: variant.products.map((p) => p.sku),
+    current: pickPrices(variant),
+    at: when,
+    priceInForce: priceAt(variant, rows, when),
+    history: rows.reverse(),
+  };
+}
@@ -1,5 +1,9 @@
 import { randomUUID } from 'crypto';
 import prisma from '../lib/prisma.js';
+import { normalizeGstSlabs } from './tax.service.js';
+import { createOpeningLot, parseOpeningUnitCost } from './lot.service.js';
+import { validateVariantAttributes } from './catalog.service.js';
+import { PRICE_FIELDS, pricesChanged, recordPriceChange, resolveEffectiveFrom } from './price.service.js';
 
 /**
  * Get product by SKU with variant and supplier.
@@ -44,11 +48,10 @@ function attributeShortCodes(attributesJson) {
 }
 
 /**
- * Get next per-category SKU counter.
- * NOTE: safe for dev; production hardening can be added later.
+ * Get next per-category SKU counter. Only stable inside generateSku's category lock.
  */
-async function nextCategoryCounter(categoryId) {
-  const products = await prisma.product.findMany({
+async function nextCategoryCounter(client, categoryId) {
+  const products = await client.product.findMany({
     where: { productVariant: { categoryId } },
     select: { sku: true },
   });
@@ -66,30 +69,60 @@ async function nextCategoryCounter(categoryId) {
 /**
  * Generate unique SKU: prefix-attrCodes-counter
  * Example: saree-red-ban-0001
+ * Pass a transaction client to see products created earlier in the same transaction;
+ * SKU generation for the category is then locked until it commits, so two transactions
+ * creating products in one category cannot draw the same counter.
  */
-export async function generateSku(categoryId, attributesJson) {
-  const category = await prisma.category.findUnique({
+export async function generateSku(categoryId, attributesJson, client = prisma) {
+  const category = await client.category.findUnique({
     where: { id: categoryId },
     select: { id: true, slug: true },
   });
 
   if (!category) return null;
 
+  await client.$executeRaw`SELECT pg_advisory_xact_lock(hashtext(${`sku:${category.id}`}))`;
+
   const prefix = skuPrefix(category);
   const attrPart = attributeShortCodes(attributesJson);
   const base = attrPart ? `${prefix}-${attrPart}` : prefix;
 
-  const counter = await nextCategoryCounter(categoryId);
+  const counter = await nextCategoryCounter(client, categoryId);
   const suffix = String(counter).padStart(4, '0');
 
   return `${base}-${suffix}`;
 }
 
 /**
- * Create ProductVariant + Product atomically.
- * Returns { productId, sku }
+ * Price rules shared by product creation and variant updates.
  */
-export async function createProduct(data) {
+function checkPrices({ mrp, default_selling_price, max_discount_percent }) {
+  if (![mrp, default_selling_price, max_discount_percent].every((n) => typeof n === 'number' && Number.isFinite(n))) {
+    const err = new Error('mrp, default_selling_price and max_discount_percent must be numbers');
+    err.statusCode = 400;
+    throw err;
+  }
+
+  if (default_selling_price > mrp) {
+    const err = new Error('default_selling_price must be <= mrp');
+    err.statusCode = 400;
+    throw err;
+  }
+
+  if (max_discount_percent > 100) {
+    const err = new Error('max_discount_percent must be <= 100');
+    err.statusCode = 400;
+    throw err;
+  }
+}
+
+/**
+ * Check a product payload with createProduct's rules and normalize it: required fields,
+ * prices, GST slabs and attributes_json against the category's attribute definitions
+ * (400 with per-field errors). Pass a transaction client to see changes made earlier in
+ * the same transaction.
+ */
+export async function prepareProduct(data, client = prisma) {
   const {
     categoryId,
     subcategoryId,
@@ -100,6 +133,10 @@ export async function createProduct(data) {
     supplierId,
     quantity,
     quantityInStock,
+    openingUnitCost,
+    hsnCode,
+    gstSlabs,
+    imageUrl,
   } = data;
   const qty = quantityInStock ?? quantity;
 
@@ -118,52 +155,153 @@ export async function createProduct(data) {
     throw err;
   }
 
-  const supplierIdStr = String(supplierId);
+  checkPrices({ mrp, default_selling_price, max_discount_percent });
 
-  if (default_selling_price > mrp) {
-    const err = new Error('default_selling_price must be <= mrp');
+  const stock = Number(qty ?? 0) || 0;
+  if (!Number.isInteger(stock) || stock < 0) {
+    const err = new Error('quantityInStock must be a non-negative integer');
     err.statusCode = 400;
     throw err;
   }
+  const unitCost = parseOpeningUnitCost(openingUnitCost, stock);
 
-  if (max_discount_percent > 100) {
-    const err = new Error('max_discount_percent must be <= 100');
-    err.statusCode = 400;
+  const category = await client.category.findUnique({ where: { id: String(categoryId) } });
+  if (!category) {
+    const err = new Error('Category not found');
+    err.statusCode = 404;
     throw err;
   }
 
-  const sku = await generateSku(categoryId, attributes_json);
-  if (!sku) {
-    const err = new Error('Category not found');
-    err.statusCode = 404;
+  return {
+    categoryId: category.id,
+    subcategoryId: subcategoryId ?? null,
+    attributes_json: await validateVariantAttributes(category.id, attributes_json, client),
+    mrp,
+    default_selling_price,
+    max_discount_percent,
+    hsnCode: hsnCode != null ? String(hsnCode).trim() || null : null,
+    gstSlabs: normalizeGstSlabs(gstSlabs),
+    imageUrl: imageUrl != null ? String(imageUrl).trim() || null : null,
+    supplierId: String(supplierId),
+    quantityInStock: stock,
+    openingUnitCost: unitCost,
+  };
+}
+
+/**
+ * Create a Product row, turning a clash on its SKU (taken by a concurrent request outside
+ * the SKU lock, e.g. a synced SKU) into a 409 the client can retry.
+ */
+export async function createProductRow(tx, data) {
+  try {
+    return await tx.product.create({ data });
+  } catch (e) {
+    if (e.code !== 'P2002') throw e;
+    const err = new Error(`SKU ${data.sku} was just taken by another request; try again`);
+    err.statusCode = 409;
     throw err;
   }
+}
 
+/**
+ * Save a product checked by prepareProduct: a new ProductVariant with its first price
+ * history row, its Product with a generated SKU and an opening lot for the initial stock
+ * at openingUnitCost.
+ * Returns { productId, productVariantId, sku }
+ */
+export async function insertProduct(tx, prepared) {
+  const { supplierId, quantityInStock, openingUnitCost, gstSlabs, ...variant } = prepared;
+  const sku = await generateSku(variant.categoryId, variant.attributes_json, tx);
   const variantId = randomUUID();
 
-  // ---- atomic save ----
-  const product = await prisma.$transaction(async (tx) => {
-    await tx.productVariant.create({
-      data: {
-        id: variantId,
-        categoryId,
-        subcategoryId: subcategoryId ?? null,
-        attributes_json,
-        mrp,
-        default_selling_price,
-        max_discount_percent,
-      },
-    });
+  await tx.productVariant.create({
+    data: { id: variantId, ...variant, ...(gstSlabs ? { gstSlabs } : {}) },
+  });
+  await recordPriceChange(tx, variantId, null, variant, { source: 'CREATE' });
+  const created = await createProductRow(tx, { sku, productVariantId: variantId, supplierId, quantityInStock });
+  // Initial stock has no purchase behind it: it becomes an opening lot at the given cost
+  await createOpeningLot(tx, created.id, created.quantityInStock, { unitCost: openingUnitCost ?? 0 });
+
+  return { productId: created.id, productVariantId: variantId, sku };
+}
 
-    return tx.product.create({
-      data: {
-        sku,
-        productVariantId: variantId,
-        supplierId: supplierIdStr,
-        quantityInStock: Number(qty) || 0,
-      },
+/**
+ * Create ProductVariant + Product atomically, with prepareProduct's checks.
+ * Returns { productId, sku }
+ */
+export async function createProduct(data) {
+  const prepared = await prepareProduct(data);
+  const { productId, sku } = await prisma.$transaction((tx) => insertProduct(tx, prepared));
+  return { productId, sku };
+}
+
+const VARIANT_UPDATE_FIELDS = [...PRICE_FIELDS, 'subcategoryId', 'imageUrl'];
+
+/**
+ * Update a variant's prices, subcategory or image.
+ * Input: { mrp?, default_selling_price?, max_discount_percent?, subcategoryId?, imageUrl?,
+ *          effectiveFrom?, reason? }
+ * Prices are checked with createProduct's rules after merging with the current ones; a
+ * change is added to the price history as of effectiveFrom (default now; see
+ * resolveEffectiveFrom). subcategoryId must belong to the variant's category, or be null.
+ * Returns the updated variant, or null if it does not exist.
+ */
+export async function updateVariant(productVariantId, payload) {
+  const body = payload ?? {};
+  const unknown = Object.keys(body).filter(
+    (k) => !VARIANT_UPDATE_FIELDS.includes(k) && k !== 'effectiveFrom' && k !== 'reason'
+  );
+  if (unknown.length) {
+    const err = new Error(`Cannot update ${unknown.join(', ')}; only ${VARIANT_UPDATE_FIELDS.join(', ')} can change`);
+    err.statusCode = 400;
+    throw err;
+  }
+  if (!VARIANT_UPDATE_FIELDS.some((f) => f in body)) {
+    const err = new Error(`Nothing to update: give at least one of ${VARIANT_UPDATE_FIELDS.join(', ')}`);
+    err.statusCode = 400;
+    throw err;
+  }
+
+  return prisma.$transaction(async (tx) => {
+    const variant = await tx.productVariant.findUnique({ where: { id: String(productVariantId) } });
+    if (!variant) return null;
+
+    const prices = Object.fromEntries(PRICE_FIELDS.map((f) => [f, f in body ? body[f] : variant[f]]));
+    checkPrices(prices);
+    const data = { ...prices };
+
+    if ('subcategoryId' in body) {
+      data.subcategoryId = body.subcategoryId ? String(body.subcategoryId) : null;
+      if (data.subcategoryId) {
+        const subcategory = await tx.subcategory.findUnique({ where: { id: data.subcategoryId } });
+        if (!subcategory) {
+          const err = new Error('Subcategory not found');
+          err.statusCode = 404;
+          throw err;
+        }
+        if (subcategory.categoryId !== variant.categoryId) {
+          const err = new Error("Subcategory does not belong to the variant's category");
+          err.statusCode = 400;
+          throw err;
+        }
+      }
+    }
+    if ('imageUrl' in body) {
+      data.imageUrl = body.imageUrl != null ? String(body.imageUrl).trim() || null : null;
+    }
+
+    if (pricesChanged(variant, prices)) {
+      await recordPriceChange(tx, variant.id, variant, prices, {
+        effectiveFrom: await resolveEffectiveFrom(tx, variant.id, body.effectiveFrom),
+        source: 'UPDATE',
+        reason: body.reason != null ? String(body.reason).trim() || null : null,
+      });
+    }
+
+    return tx.productVariant.update({
+      where: { id: variant.id },
+      data,
+      include: { category: true, subcategory: true },
     });
   });
-
-  return { productId: product.id, sku };
 }
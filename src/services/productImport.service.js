@@ -0,0 +1,342 @@
+/**
+ * Catalog spreadsheets: products exported as CSV and the same format imported back. A row
+ * without a SKU creates a variant and product with createProduct's rules and a generated
+ * SKU; a row with a SKU updates that product's variant, recording price changes in its
+ * price history.
+ *
+ * Columns: sku, category (slug or id), subcategory (slug or id), supplier (code or id),
+ * mrp, default_selling_price, max_discount_percent, hsnCode, imageUrl, quantityInStock
+ * (opening stock of new products; stock of existing ones only moves through purchases
+ * and sales), openingUnitCost (cost of that opening stock, required with it) and one
+ * attr.<key> column per attribute.
+ */
+
+import prisma from '../lib/prisma.js';
+import { parseCsv, parseCsvNumber, toCsv } from '../lib/csv.js';
+import { prepareProduct, insertProduct } from './product.service.js';
+import { recordPriceChange } from './price.service.js';
+
+function err(message, statusCode = 400) {
+  const e = new Error(message);
+  e.statusCode = statusCode;
+  return e;
+}
+
+function isTrue(value) {
+  return value === true || value === 'true';
+}
+
+const COLUMNS = [
+  'sku',
+  'category',
+  'subcategory',
+  'supplier',
+  'mrp',
+  'default_selling_price',
+  'max_discount_percent',
+  'hsnCode',
+  'imageUrl',
+  'quantityInStock',
+  'openingUnitCost',
+];
+const NUMBER_COLUMNS = ['mrp', 'default_selling_price', 'max_discount_percent', 'quantityInStock', 'openingUnitCost'];
+const ATTRIBUTE_PREFIX = 'attr.';
+const MAX_ROWS = 2000;
+// Every row of an import is written in one transaction; big catalogs need longer than the default 5s
+const IMPORT_TIMEOUT_MS = 120000;
+
+// Variant fields a row can change
+const VARIANT_FIELDS = [
+  'subcategoryId',
+  'attributes_json',
+  'mrp',
+  'default_selling_price',
+  'max_discount_percent',
+  'hsnCode',
+  'imageUrl',
+];
+
+function sameValue(a, b) {
+  if (a && b && typeof a === 'object' && typeof b === 'object') {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every((k) => a[k] === b[k]);
+  }
+  return a === b;
+}
+
+/**
+ * Products as CSV in the import format, by SKU.
+ * Filters: categoryId, supplierId.
+ */
+export async function exportProductsCsv(filters = {}) {
+  const where = {};
+  if (filters.categoryId) where.productVariant = { categoryId: String(filters.categoryId) };
+  if (filters.supplierId) where.supplierId = String(filters.supplierId);
+
+  const products = await prisma.product.findMany({
+    where,
+    include: {
+      productVariant: { include: { category: true, subcategory: true } },
+      supplier: true,
+    },
+    orderBy: { sku: 'asc' },
+  });
+
+  // Defined attributes in the categories' order, then any other keys found on variants
+  const categoryIds = [...new Set(products.map((p) => p.productVariant.categoryId))];
+  const definitions = await prisma.attributeDefinition.findMany({
+    where: { categoryId: { in: categoryIds } },
+    orderBy: { createdAt: 'asc' },
+  });
+  const keys = [...new Set(definitions.map((d) => d.key))];
+  const extraKeys = new Set();
+  for (const p of products) {
+    for (const key of Object.keys(p.productVariant.attributes_json ?? {})) {
+      if (!keys.includes(key)) extraKeys.add(key);
+    }
+  }
+  keys.push(...[...extraKeys].sort());
+
+  const rows = products.map((p) => {
+    const v = p.productVariant;
+    const attrs = v.attributes_json ?? {};
+    return [
+      p.sku,
+      v.category?.slug ?? v.categoryId,
+      v.subcategory ? v.subcategory.slug ?? v.subcategory.id : '',
+      p.supplier?.code ?? p.supplierId,
+      v.mrp,
+      v.default_selling_price,
+      v.max_discount_percent,
+      v.hsnCode ?? '',
+      v.imageUrl ?? '',
+      p.quantityInStock,
+      '',
+      ...keys.map((k) => (attrs[k] == null ? '' : String(attrs[k]))),
+    ];
+  });
+  return toCsv([[...COLUMNS, ...keys.map((k) => ATTRIBUTE_PREFIX + k)], ...rows]);
+}
+
+/**
+ * Read the header and rows of an import CSV, each row numbered by its row in the file.
+ */
+function readImportCsv(csv) {
+  if (csv == null || String(csv).trim() === '') throw err('csv is required');
+  const table = parseCsv(csv, { keepBlankLines: true });
+  const headerRow = table.findIndex((cells) => cells.length > 1 || cells[0].trim() !== '') + 1;
+  if (headerRow === 0) throw err('CSV has no header row');
+  const header = table[headerRow - 1];
+  const lines = table.slice(headerRow);
+
+  const columns = header.map((h) => h.trim());
+  for (const column of columns) {
+    if (!COLUMNS.includes(column) && !(column.startsWith(ATTRIBUTE_PREFIX) && column.length > ATTRIBUTE_PREFIX.length)) {
+      throw err(`Unknown column "${column}" (expected ${COLUMNS.join(', ')} or ${ATTRIBUTE_PREFIX}<key>)`);
+    }
+  }
+  const duplicate = columns.find((c, i) => columns.indexOf(c) !== i);
+  if (duplicate) throw err(`Column "${duplicate}" appears more than once`);
+
+  const rows = lines
+    .map((cells, i) => ({
+      row: headerRow + i + 1,
+      values: Object.fromEntries(columns.map((c, index) => [c, (cells[index] ?? '').trim()])),
+    }))
+    .filter((r) => Object.values(r.values).some((v) => v !== ''));
+  if (rows.length === 0) throw err('CSV has no product rows');
+  if (rows.length > MAX_ROWS) throw err(`At most ${MAX_ROWS} rows can be imported at once`);
+  return { columns, rows };
+}
+
+/**
+ * Categories, subcategories and suppliers by id and by slug / code (lowercased).
+ */
+async function loadLookups() {
+  const [categories, subcategories, suppliers] = await Promise.all([
+    prisma.category.findMany(),
+    prisma.subcategory.findMany(),
+    prisma.supplier.findMany(),
+  ]);
+  const index = (list, alt) => {
+    const map = new Map();
+    for (const item of list) {
+      map.set(item.id, item);
+      if (item[alt]) map.set(item[alt].toLowerCase(), item);
+    }
+    return map;
+  };
+  return {
+    categories: index(categories, 'slug'),
+    subcategories: index(subcategories, 'slug'),
+    suppliers: index(suppliers, 'code'),
+  };
+}
+
+function lookup(map, value) {
+  return map.get(value) ?? map.get(value.toLowerCase()) ?? null;
+}
+
+/**
+ * Apply one CSV row inside the import transaction. Returns the row's result; nothing is
+ * written for a row with errors.
+ */
+async function importRow(tx, { row, values }, ctx) {
+  const result = { row, sku: values.sku || null, action: null, errors: [], warnings: [] };
+  const has = (column) => ctx.columns.includes(column);
+  const fail = (message) => result.errors.push(`row ${row}: ${message}`);
+
+  const numbers = {};
+  for (const column of NUMBER_COLUMNS) {
+    if (!values[column]) continue;
+    numbers[column] = parseCsvNumber(values[column]);
+    if (Number.isNaN(numbers[column])) fail(`${column} must be a number`);
+  }
+
+  const category = values.category ? lookup(ctx.lookups.categories, values.category) : null;
+  if (values.category && !category) fail(`category ${values.category} not found`);
+  const subcategory = values.subcategory ? lookup(ctx.lookups.subcategories, values.subcategory) : null;
+  if (values.subcategory && !subcategory) fail(`subcategory ${values.subcategory} not found`);
+  const supplier = values.supplier ? lookup(ctx.lookups.suppliers, values.supplier) : null;
+  if (values.supplier && !supplier) fail(`supplier ${values.supplier} not found`);
+
+  const attributeColumns = ctx.columns.filter((c) => c.startsWith(ATTRIBUTE_PREFIX));
+  const attributes = {};
+  for (const column of attributeColumns) {
+    if (values[column] !== '') attributes[column.slice(ATTRIBUTE_PREFIX.length)] = values[column];
+  }
+
+  const existing = values.sku
+    ? await tx.product.findUnique({ where: { sku: values.sku }, include: { productVariant: true } })
+    : null;
+  if (values.sku) {
+    if (ctx.seenSkus.has(values.sku)) fail(`SKU ${values.sku} already appears on row ${ctx.seenSkus.get(values.sku)}`);
+    ctx.seenSkus.set(values.sku, row);
+    if (!existing) fail(`SKU ${values.sku} not found; leave sku empty to create a new product`);
+  }
+
+  const categoryId = category?.id ?? existing?.productVariant.categoryId;
+  if (subcategory && categoryId && subcategory.categoryId !== categoryId) {
+    fail(`subcategory ${values.subcategory} belongs to another category`);
+  }
+  if (existing) {
+    if (category && category.id !== existing.productVariant.categoryId) {
+      fail('category cannot change for an existing SKU');
+    }
+    if (supplier && supplier.id !== existing.supplierId) fail('supplier cannot change for an existing SKU');
+    if (numbers.quantityInStock != null && numbers.quantityInStock !== existing.quantityInStock) {
+      result.warnings.push(
+        `row ${row}: quantityInStock is ignored for existing SKUs; stock changes through purchases and sales`
+      );
+    }
+    if (numbers.openingUnitCost != null) {
+      result.warnings.push(`row ${row}: openingUnitCost is ignored for existing SKUs`);
+    }
+  }
+  if (result.errors.length > 0) return result;
+
+  let input;
+  if (existing) {
+    const variant = existing.productVariant;
+    const kept = Object.fromEntries(
+      Object.entries(variant.attributes_json ?? {}).filter(([k]) => !has(ATTRIBUTE_PREFIX + k))
+    );
+    input = {
+      categoryId: variant.categoryId,
+      supplierId: existing.supplierId,
+      subcategoryId: has('subcategory') ? subcategory?.id ?? null : variant.subcategoryId,
+      attributes_json: { ...kept, ...attributes },
+      mrp: numbers.mrp ?? variant.mrp,
+      default_selling_price: numbers.default_selling_price ?? variant.default_selling_price,
+      max_discount_percent: numbers.max_discount_percent ?? variant.max_discount_percent,
+      hsnCode: has('hsnCode') ? values.hsnCode : variant.hsnCode,
+      imageUrl: has('imageUrl') ? values.imageUrl : variant.imageUrl,
+      gstSlabs: variant.gstSlabs,
+    };
+  } else {
+    input = {
+      categoryId,
+      supplierId: supplier?.id,
+      subcategoryId: subcategory?.id ?? null,
+      attributes_json: attributes,
+      mrp: numbers.mrp,
+      default_selling_price: numbers.default_selling_price,
+      max_discount_percent: numbers.max_discount_percent,
+      hsnCode: values.hsnCode,
+      imageUrl: values.imageUrl,
+      quantityInStock: numbers.quantityInStock,
+      openingUnitCost: numbers.openingUnitCost,
+    };
+  }
+
+  let prepared;
+  try {
+    prepared = await prepareProduct(input, tx);
+  } catch (e) {
+    if (!e.statusCode) throw e;
+    fail(e.message);
+    return result;
+  }
+
+  if (!existing) {
+    const created = await insertProduct(tx, prepared);
+    return { ...result, action: 'create', sku: created.sku, productId: created.productId };
+  }
+
+  const variant = existing.productVariant;
+  const changes = VARIANT_FIELDS.filter((f) => !sameValue(prepared[f], variant[f]));
+  if (changes.length === 0) return { ...result, action: 'unchanged', productId: existing.id };
+
+  // Several SKUs can share a variant; two rows must not set it differently
+  const data = Object.fromEntries(VARIANT_FIELDS.map((f) => [f, prepared[f]]));
+  const earlier = ctx.seenVariants.get(variant.id);
+  if (earlier && !VARIANT_FIELDS.every((f) => sameValue(earlier.data[f], data[f]))) {
+    fail(`SKU ${existing.sku} shares its variant with row ${earlier.row}, which sets it differently`);
+    return result;
+  }
+  ctx.seenVariants.set(variant.id, { row, data });
+  await recordPriceChange(tx, variant.id, variant, prepared, { source: 'IMPORT' });
+  await tx.productVariant.update({ where: { id: variant.id }, data });
+  return { ...result, action: 'update', productId: existing.id, changes };
+}
+
+/**
+ * Import products from CSV. Input: { csv, dryRun? }
+ * Every row is checked (and, for new products, given its SKU) in one transaction; unless
+ * dryRun is set and only when no row has errors, the transaction is committed. The result
+ * lists each row's action (create | update | unchanged), SKU (for new products the one
+ * generated, or that would be), changed fields and errors.
+ */
+export async function importProductsCsv(payload) {
+  const dryRun = isTrue(payload?.dryRun);
+  const { columns, rows } = readImportCsv(payload?.csv);
+  const ctx = { columns, lookups: await loadLookups(), seenSkus: new Map(), seenVariants: new Map() };
+
+  const results = [];
+  const rollback = new Error('rollback');
+  try {
+    await prisma.$transaction(
+      async (tx) => {
+        for (const r of rows) results.push(await importRow(tx, r, ctx));
+        if (dryRun || results.some((r) => r.errors.length > 0)) throw rollback;
+      },
+      { timeout: IMPORT_TIMEOUT_MS }
+    );
+  } catch (e) {
+    if (e !== rollback) throw e;
+  }
+
+  const count = (action) => results.filter((r) => r.action === action).length;
+  const errorCount = results.reduce((n, r) => n + r.errors.length, 0);
+  return {
+    dryRun,
+    valid: errorCount === 0,
+    committed: !dryRun && errorCount === 0,
+    rowCount: results.length,
+    created: count('create'),
+    updated: count('update'),
+    unchanged: count('unchanged'),
+    errorCount,
+    rows: results,
+  };
+}
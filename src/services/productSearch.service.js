@@ -0,0 +1,219 @@
+/**
+ * Product search for the counter and back office: free text over SKU, category and
+ * attribute values, structured filters, and facet counts on the attributes whose
+ * definition has analyticsEnabled.
+ */
+
+import { Prisma } from '@prisma/client';
+import prisma from '../lib/prisma.js';
+
+function err(message, statusCode = 400) {
+  const e = new Error(message);
+  e.statusCode = statusCode;
+  return e;
+}
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const STOCK_FILTERS = ['in', 'out', 'low'];
+const LOW_STOCK_THRESHOLD = 3;
+
+const SORT_ORDER = {
+  sku: Prisma.sql`p."sku" ASC`,
+  price: Prisma.sql`v."default_selling_price" ASC, p."sku" ASC`,
+  '-price': Prisma.sql`v."default_selling_price" DESC, p."sku" ASC`,
+  stock: Prisma.sql`p."quantityInStock" DESC, p."sku" ASC`,
+  newest: Prisma.sql`p."createdAt" DESC, p."sku" ASC`,
+};
+const SEARCH_SORTS = Object.keys(SORT_ORDER);
+
+const FROM = Prisma.sql`FROM "Product" p
+  JOIN "ProductVariant" v ON v."id" = p."productVariantId"
+  JOIN "Category" c ON c."id" = v."categoryId"
+  LEFT JOIN "Subcategory" s ON s."id" = v."subcategoryId"`;
+
+// The variant's attributes as (key, value) rows; values that are objects, arrays or null
+// are not searchable
+const ATTRIBUTE_ROWS = Prisma.sql`jsonb_each(CASE WHEN jsonb_typeof(v."attributes_json") = 'object' THEN v."attributes_json" ELSE '{}'::jsonb END)`;
+const SCALAR_VALUE = Prisma.sql`jsonb_typeof(a.value) IN ('string', 'number', 'boolean')`;
+
+function optionalNumber(value, name) {
+  if (value == null || value === '') return null;
+  const n = Number(value);
+  if (!Number.isFinite(n) || n < 0) throw err(`${name} must be a non-negative number`);
+  return n;
+}
+
+function positiveInt(value, name, fallback) {
+  if (value == null || value === '') return fallback;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 1) throw err(`${name} must be a positive integer`);
+  return n;
+}
+
+function facetValue(value) {
+  return String(value).trim().toLowerCase();
+}
+
+/**
+ * Attribute filters from the query: { key: 'Blue' | 'Blue,Navy' | ['Blue', 'Navy'] }
+ * (attr[color]=Blue,Navy). Returns { key: Set of lowercased values }.
+ */
+function parseAttributeFilters(attr) {
+  if (attr == null || attr === '') return {};
+  if (typeof attr !== 'object' || Array.isArray(attr)) {
+    throw err('attribute filters must be given as attr[key]=value');
+  }
+  const filters = {};
+  for (const [key, raw] of Object.entries(attr)) {
+    const values = (Array.isArray(raw) ? raw : [raw])
+      .flatMap((v) => String(v).split(','))
+      .map(facetValue)
+      .filter(Boolean);
+    if (values.length) filters[key] = new Set(values);
+  }
+  return filters;
+}
+
+function likePattern(word) {
+  return `%${word.replace(/[\\%_]/g, (ch) => `\\${ch}`)}%`;
+}
+
+function whereClause(conditions) {
+  return conditions.length ? Prisma.sql`WHERE ${Prisma.join(conditions, ' AND ')}` : Prisma.empty;
+}
+
+function attributeCondition(key, values) {
+  return Prisma.sql`lower(btrim(v."attributes_json" ->> ${key})) = ANY(${[...values]}::text[])`;
+}
+
+/**
+ * Search products (SKUs) with their variants.
+ * Filters: q (every word must appear in the SKU, category or subcategory name or an
+ * attribute value), categoryId, subcategoryId, supplierId, minPrice / maxPrice (on the
+ * selling price), stock (in | out | low), attr[key]=value[,value…] (any of the values),
+ * sort (sku | price | -price | stock | newest), page, pageSize (max 100).
+ * Filtering, sorting and paging run in the database; only the page is loaded.
+ * Facets count the matching products per value of each analytics-enabled attribute,
+ * ignoring that attribute's own filter so other values stay selectable.
+ */
+export async function searchProducts(filters = {}) {
+  const { q, categoryId, subcategoryId, supplierId, stock } = filters;
+  const minPrice = optionalNumber(filters.minPrice, 'minPrice');
+  const maxPrice = optionalNumber(filters.maxPrice, 'maxPrice');
+  const page = positiveInt(filters.page, 'page', 1);
+  const pageSize = Math.min(positiveInt(filters.pageSize, 'pageSize', DEFAULT_PAGE_SIZE), MAX_PAGE_SIZE);
+  const sort = filters.sort || 'sku';
+  if (!SEARCH_SORTS.includes(sort)) throw err(`sort must be one of ${SEARCH_SORTS.join(', ')}`);
+  if (stock && !STOCK_FILTERS.includes(stock)) throw err(`stock must be one of ${STOCK_FILTERS.join(', ')}`);
+  const attributeFilters = parseAttributeFilters(filters.attr);
+
+  // Everything but the attribute filters, which facets apply selectively
+  const base = [];
+  if (categoryId) base.push(Prisma.sql`v."categoryId" = ${String(categoryId)}`);
+  if (subcategoryId) base.push(Prisma.sql`v."subcategoryId" = ${String(subcategoryId)}`);
+  if (supplierId) base.push(Prisma.sql`p."supplierId" = ${String(supplierId)}`);
+  if (minPrice != null) base.push(Prisma.sql`v."default_selling_price" >= ${minPrice}`);
+  if (maxPrice != null) base.push(Prisma.sql`v."default_selling_price" <= ${maxPrice}`);
+  if (stock === 'in') base.push(Prisma.sql`p."quantityInStock" > 0`);
+  if (stock === 'out') base.push(Prisma.sql`p."quantityInStock" <= 0`);
+  if (stock === 'low') base.push(Prisma.sql`p."quantityInStock" > 0 AND p."quantityInStock" <= ${LOW_STOCK_THRESHOLD}`);
+  const words = String(q ?? '').toLowerCase().split(/\s+/).filter(Boolean);
+  for (const word of words) {
+    const pattern = likePattern(word);
+    base.push(Prisma.sql`(p."sku" ILIKE ${pattern} OR c."name" ILIKE ${pattern} OR s."name" ILIKE ${pattern}
+      OR EXISTS (SELECT 1 FROM ${ATTRIBUTE_ROWS} a WHERE ${SCALAR_VALUE} AND a.value #>> '{}' ILIKE ${pattern}))`);
+  }
+  const filterKeys = Object.keys(attributeFilters);
+  const matching = whereClause([
+    ...base,
+    ...filterKeys.map((key) => attributeCondition(key, attributeFilters[key])),
+  ]);
+
+  const [{ total }] = await prisma.$queryRaw`SELECT COUNT(*)::int AS "total" ${FROM} ${matching}`;
+  const pageRows = await prisma.$queryRaw`
+    SELECT p."id" ${FROM} ${matching}
+    ORDER BY ${SORT_ORDER[sort]}
+    LIMIT ${pageSize} OFFSET ${(page - 1) * pageSize}`;
+  const pageIds = pageRows.map((r) => r.id);
+  const products = pageIds.length
+    ? await prisma.product.findMany({
+      where: { id: { in: pageIds } },
+      include: {
+        productVariant: {
+          include: {
+            category: { select: { id: true, name: true } },
+            subcategory: { select: { id: true, name: true } },
+          },
+        },
+        supplier: { select: { id: true, name: true } },
+      },
+    })
+    : [];
+  const byId = Object.fromEntries(products.map((p) => [p.id, p]));
+
+  // Facets: analytics-enabled attributes of the categories in play
+  const categoryRows = await prisma.$queryRaw`SELECT DISTINCT v."categoryId" ${FROM} ${whereClause(base)}`;
+  const definitions = categoryRows.length
+    ? await prisma.attributeDefinition.findMany({
+      where: { categoryId: { in: categoryRows.map((r) => r.categoryId) }, analyticsEnabled: true },
+      orderBy: { createdAt: 'asc' },
+    })
+    : [];
+  const facetNames = new Map();
+  for (const d of definitions) if (!facetNames.has(d.key)) facetNames.set(d.key, d.name);
+
+  const facetKeys = [...facetNames.keys()];
+  const facetRows = facetKeys.length
+    ? await prisma.$queryRaw`
+      SELECT a.key AS "key", lower(btrim(a.value #>> '{}')) AS "normalized",
+        MIN(btrim(a.value #>> '{}')) AS "value", COUNT(*)::int AS "count"
+      ${FROM} CROSS JOIN LATERAL ${ATTRIBUTE_ROWS} a
+      ${whereClause([
+        Prisma.sql`a.key = ANY(${facetKeys}::text[])`,
+        SCALAR_VALUE,
+        Prisma.sql`btrim(a.value #>> '{}') <> ''`,
+        ...base,
+        ...filterKeys.map((key) => Prisma.sql`(a.key = ${key} OR ${attributeCondition(key, attributeFilters[key])})`),
+      ])}
+      GROUP BY 1, 2`
+    : [];
+
+  const facets = [...facetNames].map(([key, name]) => {
+    const values = facetRows
+      .filter((r) => r.key === key)
+      .map((r) => ({ value: r.value, count: r.count, selected: attributeFilters[key]?.has(r.normalized) ?? false }))
+      .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+    return { key, name, values };
+  });
+
+  const items = pageIds.filter((id) => byId[id]).map((id) => {
+    const p = byId[id];
+    return {
+      productId: p.id,
+      sku: p.sku,
+      productVariantId: p.productVariantId,
+      categoryId: p.productVariant.categoryId,
+      categoryName: p.productVariant.category?.name ?? null,
+      subcategoryId: p.productVariant.subcategoryId,
+      subcategoryName: p.productVariant.subcategory?.name ?? null,
+      supplierId: p.supplierId,
+      supplierName: p.supplier?.name ?? null,
+      attributes: p.productVariant.attributes_json ?? {},
+      mrp: p.productVariant.mrp,
+      sellingPrice: p.productVariant.default_selling_price,
+      maxDiscountPercent: p.productVariant.max_discount_percent,
+      imageUrl: p.productVariant.imageUrl,
+      quantityInStock: p.quantityInStock,
+    };
+  });
+
+  return {
+    total,
+    page,
+    pageSize,
+    pageCount: Math.ceil(total / pageSize),
+    items,
+    facets,
+  };
+}
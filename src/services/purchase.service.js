@@ -1,4 +1,13 @@
 import prisma from '../lib/prisma.js';
+import { nextDocumentNumber } from './sequence.service.js';
+import { generateSku, createProductRow } from './product.service.js';
+import {
+  createPurchaseLots,
+  consumePurchaseReturnLots,
+  findPurchaseLots,
+  removePurchaseLots,
+  replacePurchaseLots,
+} from './lot.service.js';
 
 function err(message, statusCode = 400) {
   const e = new Error(message);
@@ -6,22 +15,80 @@ function err(message, statusCode = 400) {
   return e;
 }
 
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+// How a purchase's charges are spread over its lines: by quantity, by line value
+// (quantity × unitCost) or by amounts given per line.
+export const CHARGE_ALLOCATION_METHODS = ['QUANTITY', 'VALUE', 'MANUAL'];
+
 /**
- * Create a purchase with items. Allocate extraCharges proportionally by quantity.
- * Increment Product.quantityInStock for each item (product matched by productVariantId + supplierId).
- * All in one Prisma transaction. Returns { purchaseId }.
+ * Normalize the charge lines of a purchase: charges: [{ name, amount }], or the older
+ * single extraCharges amount, which becomes one line.
  */
-export async function createPurchase(payload) {
+function normalizeCharges(charges, extraCharges) {
+  if (charges == null) {
+    const extraNum = Number(extraCharges ?? 0);
+    if (!Number.isFinite(extraNum) || extraNum < 0) {
+      throw err('extraCharges must be a non-negative number');
+    }
+    return extraNum > 0 ? [{ name: 'Extra charges', amount: round2(extraNum) }] : [];
+  }
+  if (extraCharges != null && extraCharges !== '' && Number(extraCharges) !== 0) {
+    throw err('Pass either charges or extraCharges, not both');
+  }
+  if (!Array.isArray(charges)) throw err('charges must be an array of { name, amount }');
+
+  return charges.map((c, i) => {
+    const name = c?.name != null ? String(c.name).trim() : '';
+    if (!name) throw err(`charges[${i}]: name is required`);
+    const amount = Number(c.amount);
+    if (!Number.isFinite(amount) || amount < 0) {
+      throw err(`charges[${i}]: amount must be a non-negative number`);
+    }
+    return { name, amount: round2(amount) };
+  });
+}
+
+/**
+ * Check one purchase line (`label` names it in errors, e.g. items[0]).
+ */
+export function validatePurchaseItem(it, label, allocationMethod = 'QUANTITY') {
+  if (!it?.productVariantId) throw err(`${label}: productVariantId is required`);
+  const qty = Number(it.quantity);
+  const cost = Number(it.unitCost);
+  if (!Number.isInteger(qty) || qty < 1) throw err(`${label}: quantity must be a positive integer`);
+  if (!Number.isFinite(cost) || cost < 0) throw err(`${label}: unitCost must be a non-negative number`);
+  if (allocationMethod === 'MANUAL') {
+    const share = Number(it.allocatedCharge ?? 0);
+    if (!Number.isFinite(share) || share < 0) {
+      throw err(`${label}: allocatedCharge must be a non-negative number`);
+    }
+  } else if (it.allocatedCharge != null) {
+    throw err(`${label}: allocatedCharge is only used with allocationMethod MANUAL`);
+  }
+}
+
+/**
+ * Validate a purchase payload (create or full edit) and normalize its fields.
+ */
+function validatePurchaseInput(payload) {
   const {
     supplierId,
     purchasedAt,
     invoiceNo,
     notes,
-    extraCharges = 0,
+    dueDate,
+    extraCharges,
+    charges,
+    allocationMethod,
+    autoCreateProducts = false,
     items = [],
   } = payload ?? {};
 
-  // ---- Input validation ----
   if (!supplierId || typeof supplierId !== 'string' || !supplierId.trim()) {
     throw err('supplierId is required');
   }
@@ -29,94 +96,813 @@ export async function createPurchase(payload) {
     throw err('items must be a non-empty array');
   }
 
-  const extraNum = Number(extraCharges);
-  if (!Number.isFinite(extraNum) || extraNum < 0) {
-    throw err('extraCharges must be a non-negative number');
+  const chargeLines = normalizeCharges(charges, extraCharges);
+  const totalCharges = round2(chargeLines.reduce((sum, c) => sum + c.amount, 0));
+  const method = allocationMethod != null && allocationMethod !== ''
+    ? String(allocationMethod).trim().toUpperCase()
+    : 'QUANTITY';
+  if (!CHARGE_ALLOCATION_METHODS.includes(method)) {
+    throw err(`allocationMethod must be one of ${CHARGE_ALLOCATION_METHODS.join(', ')}`);
   }
 
-  for (let i = 0; i < items.length; i++) {
-    const it = items[i];
-    if (!it?.productVariantId) throw err(`items[${i}]: productVariantId is required`);
-    const qty = Number(it.quantity);
-    const cost = Number(it.unitCost);
-    if (!Number.isInteger(qty) || qty < 1) throw err(`items[${i}]: quantity must be a positive integer`);
-    if (!Number.isFinite(cost) || cost < 0) throw err(`items[${i}]: unitCost must be a non-negative number`);
+  items.forEach((it, i) => validatePurchaseItem(it, `items[${i}]`, method));
+  if (method === 'MANUAL') {
+    const allocated = round2(items.reduce((sum, it) => sum + Number(it.allocatedCharge ?? 0), 0));
+    if (allocated !== totalCharges) {
+      throw err(`Allocated charges (${allocated}) do not add up to the purchase charges (${totalCharges})`);
+    }
   }
 
   const totalQty = items.reduce((sum, i) => sum + Number(i.quantity), 0);
   if (totalQty <= 0) throw err('Total quantity must be positive');
 
-  return prisma.$transaction(async (tx) => {
-    // Validate supplier exists
-    const supplier = await tx.supplier.findUnique({
-      where: { id: supplierId.trim() },
+  const purchasedAtDate = purchasedAt ? new Date(purchasedAt) : new Date();
+  if (Number.isNaN(purchasedAtDate.getTime())) throw err('purchasedAt must be a valid date');
+  const dueDateValue = dueDate ? new Date(dueDate) : null;
+  if (dueDateValue && Number.isNaN(dueDateValue.getTime())) throw err('dueDate must be a valid date');
+  if (dueDateValue && dueDateValue < purchasedAtDate) throw err('dueDate cannot be before purchasedAt');
+
+  return {
+    supplierId: supplierId.trim(),
+    purchasedAt: purchasedAtDate,
+    invoiceNo: invoiceNo != null ? String(invoiceNo).trim() || null : null,
+    notes: notes != null ? String(notes).trim() || null : null,
+    dueDate: dueDateValue,
+    charges: chargeLines,
+    extraCharges: totalCharges,
+    allocationMethod: method,
+    autoCreateProducts: autoCreateProducts === true,
+    items: items.map((it) => ({
+      productVariantId: String(it.productVariantId).trim(),
+      quantity: Number(it.quantity),
+      unitCost: Number(it.unitCost),
+      ...(method === 'MANUAL' && { allocatedCharge: round2(Number(it.allocatedCharge ?? 0)) }),
+    })),
+  };
+}
+
+/**
+ * Check the supplier and every variant of the purchase exist.
+ */
+async function assertPurchaseRefs(tx, input) {
+  const supplier = await tx.supplier.findUnique({
+    where: { id: input.supplierId },
+  });
+  if (!supplier) throw err('Supplier not found', 404);
+
+  const variantIds = [...new Set(input.items.map((i) => i.productVariantId))];
+  const variants = await tx.productVariant.findMany({
+    where: { id: { in: variantIds } },
+  });
+  const variantSet = new Set(variants.map((v) => v.id));
+  for (const id of variantIds) {
+    if (!variantSet.has(id)) throw err(`ProductVariant not found: ${id}`, 404);
+  }
+  return supplier;
+}
+
+/**
+ * What we owe the supplier for a purchase and when: items at unitCost plus extraCharges,
+ * due on dueDate, else after the supplier's paymentTermsDays, else on the purchase date.
+ */
+function payableTerms(input, supplier) {
+  const itemsValue = input.items.reduce((sum, i) => sum + i.quantity * i.unitCost, 0);
+  let dueDate = input.dueDate;
+  if (!dueDate && supplier.paymentTermsDays != null) {
+    dueDate = new Date(input.purchasedAt.getTime() + supplier.paymentTermsDays * 24 * 60 * 60 * 1000);
+  }
+  return { totalAmount: round2(itemsValue + input.extraCharges), dueDate };
+}
+
+/**
+ * Spread a purchase's charges over its lines by its allocationMethod and work out each
+ * line's effectiveUnitCost (unit cost plus its share of the charges per unit, rounded to
+ * paise). Shares are rounded to paise with the remainder on the last line, so they add up
+ * to the charges exactly. VALUE falls back to quantity when every line is free.
+ */
+function allocateExtraCharges(input) {
+  const { items, extraCharges, allocationMethod } = input;
+  let shares;
+  if (allocationMethod === 'MANUAL') {
+    shares = items.map((it) => it.allocatedCharge);
+  } else {
+    let weights = items.map((it) => (allocationMethod === 'VALUE' ? it.quantity * it.unitCost : it.quantity));
+    if (weights.every((w) => w === 0)) weights = items.map((it) => it.quantity);
+    const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+    let remaining = extraCharges;
+    shares = weights.map((w, i) => {
+      const share = i === weights.length - 1
+        ? round2(remaining)
+        : Math.min(round2((w / totalWeight) * extraCharges), round2(remaining));
+      remaining -= share;
+      return share;
     });
-    if (!supplier) throw err('Supplier not found', 404);
+  }
 
-    const variantIds = [...new Set(items.map((i) => i.productVariantId?.trim()).filter(Boolean))];
-    const variants = await tx.productVariant.findMany({
-      where: { id: { in: variantIds } },
+  return items.map((it, i) => {
+    const allocatedCharge = shares[i];
+    const effectiveUnitCost = (it.unitCost * it.quantity + allocatedCharge) / it.quantity;
+    return { ...it, allocatedCharge, effectiveUnitCost: round2(effectiveUnitCost) };
+  });
+}
+
+/**
+ * Create the missing Product (SKU) for every variant of the purchase that the supplier
+ * has no product for yet, with no stock (the purchase adds it).
+ * Returns [{ productId, sku, productVariantId }] for the products created.
+ */
+async function createMissingSupplierProducts(tx, supplierId, items) {
+  const variantIds = [...new Set(items.map((i) => i.productVariantId))];
+  const existing = await tx.product.findMany({
+    where: { supplierId, productVariantId: { in: variantIds } },
+    select: { productVariantId: true },
+  });
+  const linked = new Set(existing.map((p) => p.productVariantId));
+
+  const created = [];
+  for (const productVariantId of variantIds) {
+    if (linked.has(productVariantId)) continue;
+    const variant = await tx.productVariant.findUnique({ where: { id: productVariantId } });
+    const sku = await generateSku(variant.categoryId, variant.attributes_json, tx);
+    const product = await createProductRow(tx, { sku, productVariantId, supplierId, quantityInStock: 0 });
+    created.push({ productId: product.id, sku, productVariantId });
+  }
+  return created;
+}
+
+/**
+ * Change Product.quantityInStock for the product of a variant from a supplier: the oldest
+ * one when there are several, the same one createPurchaseLots puts the lots on.
+ * A decrease only applies while that much stock is left; otherwise the goods have been
+ * sold and the change is refused (409).
+ */
+async function adjustSupplierStock(tx, supplierId, productVariantId, delta) {
+  if (delta === 0) return;
+  const product = await tx.product.findFirst({
+    where: { productVariantId, supplierId },
+    orderBy: { createdAt: 'asc' },
+  });
+  if (!product && delta > 0) {
+    throw err(
+      `No product found for variant ${productVariantId} from supplier ${supplierId}. Create a product (SKU) for this variant and supplier first, or pass autoCreateProducts: true.`,
+      400
+    );
+  }
+
+  if (product) {
+    const where = { id: product.id };
+    if (delta < 0) where.quantityInStock = { gte: -delta };
+    const updated = await tx.product.updateMany({
+      where,
+      data: {
+        quantityInStock: { increment: delta },
+      },
     });
-    const variantSet = new Set(variants.map((v) => v.id));
-    for (const id of variantIds) {
-      if (!variantSet.has(id)) throw err(`ProductVariant not found: ${id}`, 404);
+    if (updated.count > 0) return;
+  }
+
+  const current = product && (await tx.product.findUnique({ where: { id: product.id } }));
+  throw err(
+    `Cannot take ${-delta} of variant ${productVariantId} out of stock: only ${current?.quantityInStock ?? 0} left, the rest has been sold`,
+    409
+  );
+}
+
+function quantitiesByStockKey(supplierId, items) {
+  const map = new Map();
+  for (const it of items) {
+    const key = `${supplierId}|${it.productVariantId}`;
+    map.set(key, (map.get(key) ?? 0) + it.quantity);
+  }
+  return map;
+}
+
+/**
+ * Apply the stock difference between two versions of a purchase (either may be empty).
+ */
+async function reconcileStock(tx, before, after) {
+  const oldQty = quantitiesByStockKey(before.supplierId, before.items);
+  const newQty = quantitiesByStockKey(after.supplierId, after.items);
+  const keys = new Set([...oldQty.keys(), ...newQty.keys()]);
+
+  // Decreases first, so a failing one is reported before anything is added
+  const deltas = [...keys]
+    .map((key) => ({ key, delta: (newQty.get(key) ?? 0) - (oldQty.get(key) ?? 0) }))
+    .sort((a, b) => a.delta - b.delta);
+  for (const { key, delta } of deltas) {
+    const [supplierId, productVariantId] = key.split('|');
+    await adjustSupplierStock(tx, supplierId, productVariantId, delta);
+  }
+}
+
+/**
+ * Warn about variants of a purchase that have been sold since it was received: editing
+ * or deleting the purchase changes the cost those sales are reported against.
+ */
+async function soldSinceWarnings(tx, purchase, variantIds) {
+  const warnings = [];
+  for (const productVariantId of variantIds) {
+    const sold = await tx.saleItem.aggregate({
+      where: {
+        product: { productVariantId, supplierId: purchase.supplierId },
+        sale: { status: { not: 'VOIDED' }, soldAt: { gte: purchase.purchasedAt } },
+      },
+      _sum: { quantity: true },
+    });
+    const quantity = sold._sum.quantity ?? 0;
+    if (quantity > 0) {
+      warnings.push(
+        `${quantity} unit(s) of variant ${productVariantId} have been sold since this purchase; their cost in reports changes with it`
+      );
     }
+  }
+  return warnings;
+}
 
-    const purchasedAtDate = purchasedAt ? new Date(purchasedAt) : new Date();
-    if (Number.isNaN(purchasedAtDate.getTime())) throw err('purchasedAt must be a valid date');
+async function createPurchaseItems(tx, purchaseId, rows) {
+  const created = [];
+  for (const row of rows) {
+    const item = await tx.purchaseItem.create({
+      data: {
+        purchaseId,
+        productVariantId: row.productVariantId,
+        quantity: row.quantity,
+        unitCost: row.unitCost,
+        allocatedCharge: row.allocatedCharge,
+        effectiveUnitCost: row.effectiveUnitCost,
+        purchaseOrderItemId: row.purchaseOrderItemId ?? null,
+      },
+    });
+    created.push(item);
+  }
+  return created;
+}
+
+/**
+ * Check a createPurchase payload without saving anything and work out what it would
+ * store: each line's charge share and effective cost, the amount owed and due date, and
+ * the variants the supplier has no product (SKU) for yet. Throws like createPurchase.
+ */
+export async function previewPurchase(payload) {
+  const input = validatePurchaseInput(payload);
+  const supplier = await assertPurchaseRefs(prisma, input);
+  if (!supplier.active) throw err(`Supplier ${supplier.name} is inactive`, 409);
+
+  const linked = await prisma.product.findMany({
+    where: { supplierId: supplier.id, productVariantId: { in: input.items.map((i) => i.productVariantId) } },
+    select: { productVariantId: true },
+  });
+  const linkedIds = new Set(linked.map((p) => p.productVariantId));
+  const missing = [...new Set(input.items.map((i) => i.productVariantId))].filter((id) => !linkedIds.has(id));
+  if (missing.length > 0 && !input.autoCreateProducts) {
+    throw err(
+      `No product found for variant(s) ${missing.join(', ')} from supplier ${supplier.id}. Create products (SKUs) for them first, or pass autoCreateProducts: true.`
+    );
+  }
+
+  return {
+    supplierId: supplier.id,
+    supplierName: supplier.name,
+    invoiceNo: input.invoiceNo,
+    purchasedAt: input.purchasedAt,
+    allocationMethod: input.allocationMethod,
+    charges: input.charges,
+    extraCharges: input.extraCharges,
+    ...payableTerms(input, supplier),
+    newProductVariantIds: missing,
+    items: allocateExtraCharges(input),
+  };
+}
+
+/**
+ * Create a purchase with items and charge lines. Input: { supplierId, items: [{ productVariantId,
+ * quantity, unitCost, allocatedCharge? }], charges?: [{ name, amount }] (or extraCharges),
+ * allocationMethod?: QUANTITY (default) | VALUE | MANUAL, autoCreateProducts?, ... }. With
+ * MANUAL each item's allocatedCharge is its share and the shares must add up to the charges.
+ * Increment Product.quantityInStock for each item (product matched by productVariantId + supplierId).
+ * With autoCreateProducts: true a variant the supplier has no product for gets a new SKU
+ * instead of failing the purchase.
+ * dueDate (optional) is when the supplier's bill must be paid.
+ * All in one Prisma transaction. Returns { purchaseId, createdProducts: [{ productId, sku,
+ * productVariantId }] }.
+ */
+export async function createPurchase(payload) {
+  return prisma.$transaction((tx) => createPurchaseInTx(tx, payload));
+}
+
+/**
+ * createPurchase inside a caller-owned transaction (goods receipt against a purchase order).
+ * Options: { purchaseOrderId?, orderItemIds? } — orderItemIds[i] is the PO line that
+ * payload.items[i] was received against.
+ */
+export async function createPurchaseInTx(tx, payload, options = {}) {
+  const { purchaseOrderId = null, orderItemIds = [] } = options;
+  const input = validatePurchaseInput(payload);
+  const supplier = await assertPurchaseRefs(tx, input);
+  // Goods ordered before the supplier was deactivated can still be received
+  if (!supplier.active && !purchaseOrderId) throw err(`Supplier ${supplier.name} is inactive`, 409);
 
-    // Create Purchase
-    const purchase = await tx.purchase.create({
+  const purchase = await tx.purchase.create({
+    data: {
+      supplierId: supplier.id,
+      purchasedAt: input.purchasedAt,
+      invoiceNo: input.invoiceNo,
+      notes: input.notes,
+      extraCharges: input.extraCharges || null,
+      allocationMethod: input.allocationMethod,
+      charges: { create: input.charges },
+      ...payableTerms(input, supplier),
+      purchaseOrderId,
+    },
+  });
+
+  const rows = allocateExtraCharges(input).map((row, i) => ({
+    ...row,
+    purchaseOrderItemId: orderItemIds[i] ?? null,
+  }));
+  const items = await createPurchaseItems(tx, purchase.id, rows);
+  const createdProducts = input.autoCreateProducts
+    ? await createMissingSupplierProducts(tx, supplier.id, input.items)
+    : [];
+  await reconcileStock(tx, { supplierId: supplier.id, items: [] }, input);
+  await createPurchaseLots(tx, purchase, items);
+
+  return { purchaseId: purchase.id, createdProducts };
+}
+
+/**
+ * Load a purchase for edit or delete. Purchases with returns are locked: their debit
+ * notes were priced from these lines.
+ */
+async function findEditablePurchase(tx, purchaseId) {
+  // Lock the purchase (queueing behind returns) and its supplier (queueing behind payments)
+  // before reading the returns and payments the edit or delete is checked against
+  await tx.$queryRaw`
+    SELECT p."id" FROM "Purchase" p JOIN "Supplier" s ON s."id" = p."supplierId"
+    WHERE p."id" = ${String(purchaseId)} FOR UPDATE`;
+  const purchase = await tx.purchase.findUnique({
+    where: { id: String(purchaseId) },
+    include: {
+      items: true,
+      returns: { select: { debitNoteNumber: true } },
+      paymentAllocations: { select: { amount: true } },
+    },
+  });
+  if (!purchase) throw err('Purchase not found', 404);
+  if (purchase.returns.length > 0) {
+    const notes = purchase.returns.map((r) => r.debitNoteNumber).join(', ');
+    throw err(`Purchase has returns (${notes}) and cannot be changed`, 409);
+  }
+  return purchase;
+}
+
+/**
+ * Replace a purchase (same payload as createPurchase). Effective costs are recomputed and
+ * stock moves by the difference between the old and new quantities; the edit is refused
+ * (409) if that would take out stock that has already been sold. Inventory lots that
+ * sales have taken from move to the matching new line, and those sales' recorded cost
+ * follows its new effective cost. Returns { purchaseId, warnings, createdProducts }.
+ */
+export async function updatePurchase(purchaseId, payload) {
+  const input = validatePurchaseInput(payload);
+
+  return prisma.$transaction(async (tx) => {
+    const existing = await findEditablePurchase(tx, purchaseId);
+    if (existing.purchaseOrderId) {
+      throw err('Purchase was received against a purchase order; delete it and receive the goods again', 409);
+    }
+    const supplier = await assertPurchaseRefs(tx, input);
+    const terms = payableTerms(input, supplier);
+
+    const paid = round2(existing.paymentAllocations.reduce((sum, a) => sum + Number(a.amount), 0));
+    if (paid > 0 && supplier.id !== existing.supplierId) {
+      throw err('Purchase has supplier payments against it; its supplier cannot change', 409);
+    }
+    if (paid > terms.totalAmount) {
+      throw err(
+        `Purchase total (${terms.totalAmount}) would be less than what has been paid against it (${paid})`,
+        409
+      );
+    }
+
+    const createdProducts = input.autoCreateProducts
+      ? await createMissingSupplierProducts(tx, supplier.id, input.items)
+      : [];
+    await reconcileStock(tx, existing, input);
+
+    const lots = await findPurchaseLots(tx, existing);
+    await tx.purchaseItem.deleteMany({ where: { purchaseId: existing.id } });
+    const items = await createPurchaseItems(tx, existing.id, allocateExtraCharges(input));
+    await replacePurchaseLots(
+      tx,
+      lots,
+      existing.supplierId,
+      { supplierId: supplier.id, purchasedAt: input.purchasedAt },
+      items
+    );
+
+    await tx.purchase.update({
+      where: { id: existing.id },
       data: {
         supplierId: supplier.id,
-        purchasedAt: purchasedAtDate,
-        invoiceNo: invoiceNo != null ? String(invoiceNo).trim() || null : null,
-        notes: notes != null ? String(notes).trim() || null : null,
-        extraCharges: extraNum || null,
+        purchasedAt: input.purchasedAt,
+        invoiceNo: input.invoiceNo,
+        notes: input.notes,
+        extraCharges: input.extraCharges || null,
+        allocationMethod: input.allocationMethod,
+        charges: { deleteMany: {}, create: input.charges },
+        ...terms,
       },
     });
 
-    const extraChargesVal = extraNum || 0;
+    const variantIds = [...new Set(existing.items.map((i) => i.productVariantId))];
+    const warnings = await soldSinceWarnings(tx, existing, variantIds);
+    return { purchaseId: existing.id, warnings, createdProducts };
+  });
+}
 
-    for (const it of items) {
-      const productVariantId = it.productVariantId.trim();
-      const quantity = Number(it.quantity);
-      const unitCost = Number(it.unitCost);
+/**
+ * Undo a goods receipt on its purchase order: the received quantities go back to pending
+ * and the order's status follows. An order closed by hand stays closed.
+ */
+async function releaseOrderReceipt(tx, purchase) {
+  // Queue behind receipts and status changes of the order, like they queue on each other
+  await tx.$queryRaw`SELECT "id" FROM "PurchaseOrder" WHERE "id" = ${purchase.purchaseOrderId} FOR UPDATE`;
+  for (const item of purchase.items) {
+    if (!item.purchaseOrderItemId) continue;
+    await tx.purchaseOrderItem.update({
+      where: { id: item.purchaseOrderItemId },
+      data: { receivedQuantity: { decrement: item.quantity } },
+    });
+  }
 
-      const allocatedCharge = totalQty > 0 ? (quantity / totalQty) * extraChargesVal : 0;
-      const effectiveUnitCost = quantity > 0
-        ? (unitCost * quantity + allocatedCharge) / quantity
-        : unitCost;
-      const effectiveRounded = Math.round(effectiveUnitCost * 100) / 100;
+  const order = await tx.purchaseOrder.findUnique({
+    where: { id: purchase.purchaseOrderId },
+    include: { items: true },
+  });
+  if (order.closeReason) return;
+  const anyReceived = order.items.some((i) => i.receivedQuantity > 0);
+  const allReceived = order.items.every((i) => i.receivedQuantity >= i.quantity);
+  await tx.purchaseOrder.update({
+    where: { id: order.id },
+    data: allReceived
+      ? { status: 'CLOSED' }
+      : { status: anyReceived ? 'PARTIALLY_RECEIVED' : 'SENT', closedAt: null },
+  });
+}
 
-      await tx.purchaseItem.create({
-        data: {
-          purchaseId: purchase.id,
-          productVariantId,
-          quantity,
-          unitCost,
-          effectiveUnitCost: effectiveRounded,
-        },
-      });
+/**
+ * Delete a purchase and take its quantities back out of stock. Refused (409) once any of
+ * its inventory lots has been sold from. A receipt against a purchase order reopens the
+ * quantities on the order. Returns { purchaseId, warnings }.
+ */
+export async function deletePurchase(purchaseId) {
+  return prisma.$transaction(async (tx) => {
+    const existing = await findEditablePurchase(tx, purchaseId);
+    if (existing.paymentAllocations.length > 0) {
+      throw err('Purchase has supplier payments against it and cannot be deleted', 409);
+    }
 
-      // Increment Product.quantityInStock for product(s) with this variant and this supplier
-      const updated = await tx.product.updateMany({
-        where: {
-          productVariantId,
-          supplierId: supplier.id,
-        },
-        data: {
-          quantityInStock: { increment: quantity },
+    await reconcileStock(tx, existing, { supplierId: existing.supplierId, items: [] });
+    await removePurchaseLots(tx, existing);
+    if (existing.purchaseOrderId) await releaseOrderReceipt(tx, existing);
+
+    const variantIds = [...new Set(existing.items.map((i) => i.productVariantId))];
+    const warnings = await soldSinceWarnings(tx, existing, variantIds);
+
+    await tx.purchase.delete({ where: { id: existing.id } });
+    return { purchaseId: existing.id, warnings };
+  });
+}
+
+function toPurchaseSummary(p) {
+  const itemsValue = p.items.reduce((sum, i) => sum + i.quantity * Number(i.unitCost), 0);
+  const extraCharges = p.extraCharges != null ? Number(p.extraCharges) : 0;
+  return {
+    purchaseId: p.id,
+    supplierId: p.supplierId,
+    supplierName: p.supplier?.name ?? null,
+    invoiceNo: p.invoiceNo,
+    purchaseOrderId: p.purchaseOrderId,
+    purchasedAt: p.purchasedAt,
+    notes: p.notes,
+    totalQuantity: p.items.reduce((q, i) => q + i.quantity, 0),
+    itemsValue: round2(itemsValue),
+    extraCharges,
+    allocationMethod: p.allocationMethod,
+    totalCost: round2(itemsValue + extraCharges),
+    totalAmount: Number(p.totalAmount),
+    dueDate: p.dueDate,
+  };
+}
+
+function parseDateFilter(value, name, endOfDay) {
+  if (value == null || value === '') return null;
+  const str = String(value).trim();
+  if (!DATE_REGEX.test(str)) throw err(`Invalid ${name}: must be YYYY-MM-DD`);
+  return new Date(str + (endOfDay ? 'T23:59:59.999Z' : 'T00:00:00.000Z'));
+}
+
+/**
+ * List purchases, newest first.
+ * Filters: supplierId, from / to (YYYY-MM-DD on purchasedAt), invoiceNo (contains).
+ */
+export async function listPurchases(filters = {}) {
+  const { supplierId, from, to, invoiceNo } = filters;
+  const where = {};
+  if (supplierId) where.supplierId = String(supplierId).trim();
+  if (invoiceNo) where.invoiceNo = { contains: String(invoiceNo).trim(), mode: 'insensitive' };
+
+  const start = parseDateFilter(from, 'from', false);
+  const end = parseDateFilter(to, 'to', true);
+  if (start || end) {
+    where.purchasedAt = {};
+    if (start) where.purchasedAt.gte = start;
+    if (end) where.purchasedAt.lte = end;
+  }
+
+  const purchases = await prisma.purchase.findMany({
+    where,
+    include: {
+      supplier: { select: { name: true } },
+      items: { select: { quantity: true, unitCost: true } },
+    },
+    orderBy: { purchasedAt: 'desc' },
+  });
+  return purchases.map(toPurchaseSummary);
+}
+
+/**
+ * Get a purchase with its lines (variant, category, attributes and the supplier's SKU).
+ * Returns null if not found.
+ */
+export async function getPurchase(purchaseId) {
+  if (!purchaseId || typeof purchaseId !== 'string') return null;
+  const purchase = await prisma.purchase.findUnique({
+    where: { id: purchaseId },
+    include: {
+      supplier: { select: { name: true, code: true } },
+      items: {
+        include: {
+          productVariant: {
+            include: {
+              category: true,
+              products: { select: { sku: true, supplierId: true } },
+            },
+          },
+          returnItems: { select: { quantity: true } },
         },
-      });
-      if (updated.count === 0) {
+        orderBy: { createdAt: 'asc' },
+      },
+      charges: true,
+      returns: { orderBy: { returnedAt: 'asc' } },
+      paymentAllocations: { include: { supplierPayment: true } },
+    },
+  });
+  if (!purchase) return null;
+
+  const returnedAmount = purchase.returns.reduce((sum, r) => sum + Number(r.totalAmount), 0);
+  const paidAmount = purchase.paymentAllocations.reduce((sum, a) => sum + Number(a.amount), 0);
+
+  return {
+    ...toPurchaseSummary(purchase),
+    supplierCode: purchase.supplier?.code ?? null,
+    createdAt: purchase.createdAt,
+    items: purchase.items.map((i) => {
+      const variant = i.productVariant;
+      const product = variant?.products.find((p) => p.supplierId === purchase.supplierId);
+      return {
+        purchaseItemId: i.id,
+        productVariantId: i.productVariantId,
+        sku: product?.sku ?? null,
+        categoryName: variant?.category?.name ?? null,
+        attributes: variant?.attributes_json ?? {},
+        quantity: i.quantity,
+        unitCost: Number(i.unitCost),
+        allocatedCharge: Number(i.allocatedCharge),
+        effectiveUnitCost: Number(i.effectiveUnitCost),
+        lineCost: round2(i.quantity * Number(i.effectiveUnitCost)),
+        returnedQuantity: i.returnItems.reduce((q, r) => q + r.quantity, 0),
+      };
+    }),
+    charges: purchase.charges.map((c) => ({ purchaseChargeId: c.id, name: c.name, amount: Number(c.amount) })),
+    returns: purchase.returns.map((r) => ({
+      purchaseReturnId: r.id,
+      debitNoteNumber: r.debitNoteNumber,
+      returnedAt: r.returnedAt,
+      totalAmount: Number(r.totalAmount),
+      reason: r.reason,
+    })),
+    payments: purchase.paymentAllocations.map((a) => ({
+      supplierPaymentId: a.supplierPaymentId,
+      paidAt: a.supplierPayment.paidAt,
+      mode: a.supplierPayment.mode,
+      reference: a.supplierPayment.reference,
+      amount: Number(a.amount),
+    })),
+    returnedAmount: round2(returnedAmount),
+    paidAmount: round2(paidAmount),
+    balanceDue: round2(Number(purchase.totalAmount) - returnedAmount - paidAmount),
+  };
+}
+
+/**
+ * Resolve the PurchaseItem a return line refers to: by purchaseItemId, or by variant when
+ * the purchase has exactly one line for it.
+ */
+function resolvePurchaseReturnLine(purchase, it, index) {
+  if (it?.purchaseItemId) {
+    const line = purchase.items.find((i) => i.id === it.purchaseItemId);
+    if (!line) throw err(`items[${index}]: purchase item ${it.purchaseItemId} is not part of this purchase`);
+    return line;
+  }
+  if (it?.productVariantId) {
+    const lines = purchase.items.filter((i) => i.productVariantId === it.productVariantId);
+    if (lines.length === 0) throw err(`items[${index}]: variant ${it.productVariantId} is not part of this purchase`);
+    if (lines.length > 1) {
+      throw err(`items[${index}]: variant ${it.productVariantId} appears on several lines, pass purchaseItemId`);
+    }
+    return lines[0];
+  }
+  throw err(`items[${index}]: purchaseItemId or productVariantId is required`);
+}
+
+/**
+ * Send goods back to the supplier against a purchase and issue a debit note.
+ * Input: { purchaseId, items: [{ purchaseItemId? | productVariantId?, quantity }], reason?, returnedAt? }
+ * Each line is valued at the purchase line's effectiveUnitCost and can be returned up to
+ * what is left of its quantity. Stock of the supplier's product is reduced; the return is
+ * refused (409) when that stock has already been sold.
+ */
+export async function createPurchaseReturn(payload) {
+  const { purchaseId, items = [], reason, returnedAt } = payload ?? {};
+  if (!purchaseId) throw err('purchaseId is required');
+  if (!Array.isArray(items) || items.length === 0) {
+    throw err('items must be a non-empty array');
+  }
+  const returnedAtDate = returnedAt ? new Date(returnedAt) : new Date();
+  if (Number.isNaN(returnedAtDate.getTime())) throw err('returnedAt must be a valid date');
+
+  return prisma.$transaction(async (tx) => {
+    // One return, edit or delete of a purchase at a time: lines and their returns are read
+    // after the lock, so two debit notes cannot both take the same open quantity
+    await tx.$queryRaw`SELECT "id" FROM "Purchase" WHERE "id" = ${String(purchaseId)} FOR UPDATE`;
+    const purchase = await tx.purchase.findUnique({
+      where: { id: String(purchaseId) },
+      include: { items: { include: { returnItems: true } } },
+    });
+    if (!purchase) throw err('Purchase not found', 404);
+    if (returnedAtDate < purchase.purchasedAt) throw err('returnedAt cannot be before the purchase date');
+
+    // Merge repeated lines so the per-line limit is checked against the combined quantity
+    const requested = new Map();
+    items.forEach((it, index) => {
+      const line = resolvePurchaseReturnLine(purchase, it, index);
+      const quantity = Number(it.quantity);
+      if (!Number.isInteger(quantity) || quantity < 1) {
+        throw err(`items[${index}]: quantity must be a positive integer`);
+      }
+      requested.set(line.id, (requested.get(line.id) ?? 0) + quantity);
+    });
+
+    const returnLines = [];
+    let totalAmount = 0;
+    for (const line of purchase.items) {
+      const quantity = requested.get(line.id);
+      if (!quantity) continue;
+
+      const returnedQty = line.returnItems.reduce((q, r) => q + r.quantity, 0);
+      if (quantity > line.quantity - returnedQty) {
         throw err(
-          `No product found for variant ${productVariantId} from supplier ${supplier.id}. Create a product (SKU) for this variant and supplier first.`,
-          400
+          `Cannot return ${quantity} of variant ${line.productVariantId}: purchased ${line.quantity}, already returned ${returnedQty}`
         );
       }
+      const unitCost = Number(line.effectiveUnitCost);
+      const lineTotal = round2(unitCost * quantity);
+      returnLines.push({ line, quantity, unitCost, lineTotal });
+      totalAmount += lineTotal;
     }
+    totalAmount = round2(totalAmount);
+
+    const debitNoteNumber = await nextDocumentNumber(tx, 'DEBIT_NOTE', { date: returnedAtDate });
+    const purchaseReturn = await tx.purchaseReturn.create({
+      data: {
+        debitNoteNumber,
+        purchaseId: purchase.id,
+        supplierId: purchase.supplierId,
+        totalAmount,
+        reason: reason != null ? String(reason).trim() || null : null,
+        returnedAt: returnedAtDate,
+      },
+    });
+
+    for (const row of returnLines) {
+      const returnItem = await tx.purchaseReturnItem.create({
+        data: {
+          purchaseReturnId: purchaseReturn.id,
+          purchaseItemId: row.line.id,
+          productVariantId: row.line.productVariantId,
+          quantity: row.quantity,
+          unitCost: row.unitCost,
+          lineTotal: row.lineTotal,
+        },
+      });
+      await adjustSupplierStock(tx, purchase.supplierId, row.line.productVariantId, -row.quantity);
+      await consumePurchaseReturnLots(tx, row.line, purchase.supplierId, row.quantity, returnItem.id);
+    }
+
+    return {
+      purchaseReturnId: purchaseReturn.id,
+      debitNoteNumber,
+      purchaseId: purchase.id,
+      supplierId: purchase.supplierId,
+      totalAmount,
+      returnedAt: purchaseReturn.returnedAt,
+    };
+  });
+}
+
+/**
+ * List debit notes, newest first. Filters: supplierId, purchaseId, from / to (YYYY-MM-DD).
+ */
+export async function listPurchaseReturns(filters = {}) {
+  const { supplierId, purchaseId, from, to } = filters;
+  const where = {};
+  if (supplierId) where.supplierId = String(supplierId).trim();
+  if (purchaseId) where.purchaseId = String(purchaseId).trim();
 
-    return { purchaseId: purchase.id };
+  const start = parseDateFilter(from, 'from', false);
+  const end = parseDateFilter(to, 'to', true);
+  if (start || end) {
+    where.returnedAt = {};
+    if (start) where.returnedAt.gte = start;
+    if (end) where.returnedAt.lte = end;
+  }
+
+  const returns = await prisma.purchaseReturn.findMany({
+    where,
+    include: {
+      supplier: { select: { name: true } },
+      purchase: { select: { invoiceNo: true } },
+      items: { select: { quantity: true } },
+    },
+    orderBy: { returnedAt: 'desc' },
   });
+  return returns.map((r) => ({
+    purchaseReturnId: r.id,
+    debitNoteNumber: r.debitNoteNumber,
+    purchaseId: r.purchaseId,
+    invoiceNo: r.purchase?.invoiceNo ?? null,
+    supplierId: r.supplierId,
+    supplierName: r.supplier?.name ?? null,
+    returnedAt: r.returnedAt,
+    totalQuantity: r.items.reduce((q, i) => q + i.quantity, 0),
+    totalAmount: Number(r.totalAmount),
+    reason: r.reason,
+  }));
+}
+
+/**
+ * Get a debit note with its lines. Returns null if not found.
+ */
+export async function getPurchaseReturn(purchaseReturnId) {
+  if (!purchaseReturnId || typeof purchaseReturnId !== 'string') return null;
+  const r = await prisma.purchaseReturn.findUnique({
+    where: { id: purchaseReturnId },
+    include: {
+      supplier: { select: { name: true, code: true } },
+      purchase: { select: { invoiceNo: true, purchasedAt: true } },
+      items: {
+        include: { purchaseItem: { include: { productVariant: { include: { category: true } } } } },
+        orderBy: { createdAt: 'asc' },
+      },
+    },
+  });
+  if (!r) return null;
+
+  return {
+    purchaseReturnId: r.id,
+    debitNoteNumber: r.debitNoteNumber,
+    purchaseId: r.purchaseId,
+    invoiceNo: r.purchase?.invoiceNo ?? null,
+    purchasedAt: r.purchase?.purchasedAt ?? null,
+    supplierId: r.supplierId,
+    supplierName: r.supplier?.name ?? null,
+    supplierCode: r.supplier?.code ?? null,
+    returnedAt: r.returnedAt,
+    reason: r.reason,
+    totalAmount: Number(r.totalAmount),
+    items: r.items.map((i) => {
+      const variant = i.purchaseItem?.productVariant;
+      return {
+        purchaseItemId: i.purchaseItemId,
+        productVariantId: i.productVariantId,
+        categoryName: variant?.category?.name ?? null,
+        attributes: variant?.attributes_json ?? {},
+        quantity: i.quantity,
+        unitCost: Number(i.unitCost),
+        lineTotal: Number(i.lineTotal),
+      };
+    }),
+  };
 }
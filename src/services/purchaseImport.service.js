@@ -0,0 +1,280 @@
+/**
+ * Supplier invoices uploaded as CSV. A template per supplier says which column holds each
+ * purchase field; every row is checked with createPurchase's rules and the whole invoice
+ * becomes one purchase.
+ */
+
+import prisma from '../lib/prisma.js';
+import { parseCsv, parseCsvNumber } from '../lib/csv.js';
+import { createPurchase, previewPurchase, validatePurchaseItem } from './purchase.service.js';
+
+// Purchase line fields a CSV column can be mapped to
+export const IMPORT_FIELDS = ['sku', 'productVariantId', 'quantity', 'unitCost', 'allocatedCharge'];
+
+function err(message, statusCode = 400) {
+  const e = new Error(message);
+  e.statusCode = statusCode;
+  return e;
+}
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+function isTrue(value) {
+  return value === true || value === 'true';
+}
+
+/**
+ * Validate a template: { columns: { field: header }, delimiter?, headerRow? }.
+ */
+function normalizeTemplate(payload) {
+  const { columns, delimiter = ',', headerRow = 1 } = payload ?? {};
+  if (!columns || typeof columns !== 'object' || Array.isArray(columns)) {
+    throw err('columns must be an object mapping fields to column headers');
+  }
+
+  const mapped = {};
+  for (const [field, header] of Object.entries(columns)) {
+    if (!IMPORT_FIELDS.includes(field)) {
+      throw err(`columns: unknown field ${field} (expected ${IMPORT_FIELDS.join(', ')})`);
+    }
+    const name = header != null ? String(header).trim() : '';
+    if (!name) throw err(`columns.${field}: column header is required`);
+    mapped[field] = name;
+  }
+  if (!mapped.sku && !mapped.productVariantId) {
+    throw err('columns must map sku or productVariantId');
+  }
+  if (!mapped.quantity || !mapped.unitCost) {
+    throw err('columns must map quantity and unitCost');
+  }
+
+  const delim = String(delimiter);
+  if (delim.length !== 1 || delim === '"') throw err('delimiter must be a single character other than "');
+  const row = Number(headerRow);
+  if (!Number.isInteger(row) || row < 1) throw err('headerRow must be a positive integer');
+
+  return { columns: mapped, delimiter: delim, headerRow: row };
+}
+
+function toTemplate(t) {
+  return {
+    supplierId: t.supplierId,
+    columns: t.columns,
+    delimiter: t.delimiter,
+    headerRow: t.headerRow,
+    updatedAt: t.updatedAt,
+  };
+}
+
+/**
+ * The saved import template of a supplier. Returns null if there is none.
+ */
+export async function getImportTemplate(supplierId) {
+  const template = await prisma.importTemplate.findUnique({ where: { supplierId: String(supplierId) } });
+  return template ? toTemplate(template) : null;
+}
+
+/**
+ * Save (create or replace) a supplier's import template.
+ * Input: { columns: { sku?, productVariantId?, quantity, unitCost, allocatedCharge? },
+ *          delimiter? (default ','), headerRow? (row of the header in the file, default 1) }
+ */
+export async function saveImportTemplate(supplierId, payload) {
+  const supplier = await prisma.supplier.findUnique({ where: { id: String(supplierId) } });
+  if (!supplier) throw err('Supplier not found', 404);
+  const data = normalizeTemplate(payload);
+
+  const template = await prisma.importTemplate.upsert({
+    where: { supplierId: supplier.id },
+    create: { supplierId: supplier.id, ...data },
+    update: data,
+  });
+  return toTemplate(template);
+}
+
+/**
+ * Read the invoice lines out of the CSV with the template: locate the mapped columns in
+ * the header row and turn each following non-empty row into raw field values, numbered
+ * by their row in the file.
+ */
+function readCsvLines(csv, template) {
+  if (csv == null || String(csv).trim() === '') throw err('csv is required');
+  const table = parseCsv(csv, { delimiter: template.delimiter, keepBlankLines: true });
+  const header = table[template.headerRow - 1];
+  if (!header) throw err(`CSV has no header on row ${template.headerRow}`);
+
+  const headerIndex = new Map(header.map((h, i) => [h.trim().toLowerCase(), i]));
+  const indexes = {};
+  for (const [field, name] of Object.entries(template.columns)) {
+    const index = headerIndex.get(name.toLowerCase());
+    if (index == null) throw err(`Column "${name}" (${field}) not found in the CSV header`);
+    indexes[field] = index;
+  }
+
+  return table
+    .slice(template.headerRow)
+    .map((cells, i) => {
+      const values = {};
+      for (const [field, index] of Object.entries(indexes)) {
+        values[field] = (cells[index] ?? '').trim();
+      }
+      return { row: template.headerRow + i + 1, values };
+    })
+    .filter((line) => Object.values(line.values).some((v) => v !== ''));
+}
+
+/**
+ * Import a supplier invoice from CSV.
+ * Input: { supplierId, csv, dryRun?, columns? / delimiter? / headerRow? (instead of the
+ *          saved template), invoiceNo?, purchasedAt?, dueDate?, notes?, charges? |
+ *          extraCharges?, allocationMethod?, autoCreateProducts? }
+ * Each row is matched to a variant by SKU or productVariantId and checked like a
+ * createPurchase line; the result lists every row with its errors, charge share and
+ * effective cost. Unless dryRun is set and only when every row is valid, the invoice is
+ * saved as one purchase (purchaseId, createdProducts in the result).
+ */
+export async function importPurchaseCsv(payload) {
+  const { supplierId, csv, columns } = payload ?? {};
+  if (!supplierId || typeof supplierId !== 'string' || !supplierId.trim()) {
+    throw err('supplierId is required');
+  }
+  const supplier = await prisma.supplier.findUnique({ where: { id: supplierId.trim() } });
+  if (!supplier) throw err('Supplier not found', 404);
+
+  let template;
+  if (columns) {
+    template = normalizeTemplate(payload);
+  } else {
+    template = await prisma.importTemplate.findUnique({ where: { supplierId: supplier.id } });
+    if (!template) throw err('No import template saved for this supplier; pass columns');
+  }
+
+  const dryRun = isTrue(payload.dryRun);
+  const autoCreateProducts = isTrue(payload.autoCreateProducts);
+  const allocationMethod = payload.allocationMethod != null && payload.allocationMethod !== ''
+    ? String(payload.allocationMethod).trim().toUpperCase()
+    : 'QUANTITY';
+  const lines = readCsvLines(csv, template);
+  if (lines.length === 0) throw err('CSV has no invoice rows');
+
+  // Resolve SKUs and variant ids in two queries
+  const skus = [...new Set(lines.map((l) => l.values.sku).filter(Boolean))];
+  const variantIds = [...new Set(lines.map((l) => l.values.productVariantId).filter(Boolean))];
+  const [skuProducts, variants] = await Promise.all([
+    skus.length ? prisma.product.findMany({ where: { sku: { in: skus } } }) : [],
+    variantIds.length ? prisma.productVariant.findMany({ where: { id: { in: variantIds } } }) : [],
+  ]);
+  const variantBySku = Object.fromEntries(skuProducts.map((p) => [p.sku, p.productVariantId]));
+  const knownVariants = new Set(variants.map((v) => v.id));
+
+  const rows = lines.map(({ row, values }) => {
+    const errors = [];
+    let productVariantId = null;
+    if (values.productVariantId) {
+      if (knownVariants.has(values.productVariantId)) productVariantId = values.productVariantId;
+      else errors.push(`row ${row}: variant ${values.productVariantId} not found`);
+    } else if (values.sku) {
+      productVariantId = variantBySku[values.sku] ?? null;
+      if (!productVariantId) errors.push(`row ${row}: SKU ${values.sku} not found`);
+    } else {
+      errors.push(`row ${row}: SKU or productVariantId is required`);
+    }
+
+    const item = {
+      productVariantId,
+      quantity: parseCsvNumber(values.quantity),
+      unitCost: parseCsvNumber(values.unitCost),
+      ...(values.allocatedCharge != null && values.allocatedCharge !== '' && {
+        allocatedCharge: parseCsvNumber(values.allocatedCharge),
+      }),
+    };
+    if (productVariantId) {
+      try {
+        validatePurchaseItem(item, `row ${row}`, allocationMethod);
+      } catch (e) {
+        if (!e.statusCode) throw e;
+        errors.push(e.message);
+      }
+    }
+    return { row, sku: values.sku || null, item, errors };
+  });
+
+  // Variants this supplier has no product (SKU) for yet
+  const resolvedIds = [...new Set(rows.map((r) => r.item.productVariantId).filter(Boolean))];
+  const linked = await prisma.product.findMany({
+    where: { supplierId: supplier.id, productVariantId: { in: resolvedIds } },
+    select: { productVariantId: true },
+  });
+  const linkedIds = new Set(linked.map((p) => p.productVariantId));
+  for (const r of rows) {
+    r.newProduct = Boolean(r.item.productVariantId) && !linkedIds.has(r.item.productVariantId);
+    if (r.newProduct && !autoCreateProducts) {
+      r.errors.push(`row ${r.row}: supplier has no product for this variant; pass autoCreateProducts: true to create one`);
+    }
+  }
+
+  const purchasePayload = {
+    supplierId: supplier.id,
+    invoiceNo: payload.invoiceNo,
+    purchasedAt: payload.purchasedAt,
+    dueDate: payload.dueDate,
+    notes: payload.notes,
+    charges: payload.charges,
+    extraCharges: payload.extraCharges,
+    allocationMethod,
+    autoCreateProducts,
+    items: rows.map((r) => r.item),
+  };
+
+  // Invoice-level checks (charges, dates, manual allocation totals) once the rows are clean
+  const errors = [];
+  let preview = null;
+  if (rows.every((r) => r.errors.length === 0)) {
+    try {
+      preview = await previewPurchase(purchasePayload);
+    } catch (e) {
+      if (!e.statusCode) throw e;
+      errors.push(e.message);
+    }
+  }
+
+  const result = {
+    dryRun,
+    valid: preview != null,
+    supplierId: supplier.id,
+    supplierName: supplier.name,
+    rowCount: rows.length,
+    errorCount: errors.length + rows.reduce((n, r) => n + r.errors.length, 0),
+    errors,
+    rows: rows.map((r, i) => {
+      const line = preview?.items[i];
+      return {
+        row: r.row,
+        sku: r.sku,
+        productVariantId: r.item.productVariantId,
+        quantity: r.item.quantity,
+        unitCost: r.item.unitCost,
+        lineTotal: Number.isFinite(r.item.quantity * r.item.unitCost)
+          ? round2(r.item.quantity * r.item.unitCost)
+          : null,
+        allocatedCharge: line?.allocatedCharge ?? null,
+        effectiveUnitCost: line?.effectiveUnitCost ?? null,
+        newProduct: r.newProduct,
+        errors: r.errors,
+      };
+    }),
+    totals: preview && {
+      quantity: preview.items.reduce((q, i) => q + i.quantity, 0),
+      extraCharges: preview.extraCharges,
+      totalAmount: preview.totalAmount,
+      dueDate: preview.dueDate,
+    },
+  };
+
+  if (dryRun || !result.valid) return result;
+
+  const { purchaseId, createdProducts } = await createPurchase(purchasePayload);
+  return { ...result, purchaseId, createdProducts };
+}
@@ -0,0 +1,392 @@
+import prisma from '../lib/prisma.js';
+import { nextDocumentNumber } from './sequence.service.js';
+import { createPurchaseInTx } from './purchase.service.js';
+
+function err(message, statusCode = 400) {
+  const e = new Error(message);
+  e.statusCode = statusCode;
+  return e;
+}
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+export const PO_STATUSES = ['DRAFT', 'SENT', 'PARTIALLY_RECEIVED', 'CLOSED'];
+
+function statusLabel(status) {
+  return status.toLowerCase().replace('_', ' ');
+}
+
+function optionalDate(value, field) {
+  if (value == null || value === '') return null;
+  const d = new Date(value);
+  if (Number.isNaN(d.getTime())) throw err(`${field} must be a valid date`);
+  return d;
+}
+
+/**
+ * Validate PO lines: [{ productVariantId, quantity, unitCost }].
+ */
+function normalizeOrderItems(items) {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw err('items must be a non-empty array');
+  }
+  return items.map((it, i) => {
+    if (!it?.productVariantId) throw err(`items[${i}]: productVariantId is required`);
+    const quantity = Number(it.quantity);
+    const unitCost = Number(it.unitCost);
+    if (!Number.isInteger(quantity) || quantity < 1) throw err(`items[${i}]: quantity must be a positive integer`);
+    if (!Number.isFinite(unitCost) || unitCost < 0) throw err(`items[${i}]: unitCost must be a non-negative number`);
+    return { productVariantId: String(it.productVariantId).trim(), quantity, unitCost };
+  });
+}
+
+async function assertOrderRefs(tx, supplierId, items) {
+  const supplier = await tx.supplier.findUnique({ where: { id: supplierId } });
+  if (!supplier) throw err('Supplier not found', 404);
+
+  const variantIds = [...new Set(items.map((i) => i.productVariantId))];
+  const variants = await tx.productVariant.findMany({ where: { id: { in: variantIds } } });
+  const variantSet = new Set(variants.map((v) => v.id));
+  for (const id of variantIds) {
+    if (!variantSet.has(id)) throw err(`ProductVariant not found: ${id}`, 404);
+  }
+  return supplier;
+}
+
+const ORDER_DETAIL_INCLUDE = {
+  supplier: { select: { name: true, code: true } },
+  items: {
+    include: { productVariant: { include: { category: true } } },
+    orderBy: { createdAt: 'asc' },
+  },
+  purchases: {
+    select: { id: true, invoiceNo: true, purchasedAt: true },
+    orderBy: { purchasedAt: 'asc' },
+  },
+};
+
+function toOrderDetail(order) {
+  const items = order.items.map((i) => ({
+    purchaseOrderItemId: i.id,
+    productVariantId: i.productVariantId,
+    categoryName: i.productVariant?.category?.name ?? null,
+    attributes: i.productVariant?.attributes_json ?? {},
+    quantity: i.quantity,
+    receivedQuantity: i.receivedQuantity,
+    pendingQuantity: order.status === 'CLOSED' ? 0 : Math.max(0, i.quantity - i.receivedQuantity),
+    unitCost: Number(i.unitCost),
+    lineTotal: round2(i.quantity * Number(i.unitCost)),
+  }));
+  return {
+    purchaseOrderId: order.id,
+    poNumber: order.poNumber,
+    supplierId: order.supplierId,
+    supplierName: order.supplier?.name ?? null,
+    supplierCode: order.supplier?.code ?? null,
+    status: order.status,
+    expectedAt: order.expectedAt,
+    notes: order.notes,
+    sentAt: order.sentAt,
+    closedAt: order.closedAt,
+    closeReason: order.closeReason,
+    totalAmount: round2(items.reduce((sum, i) => sum + i.lineTotal, 0)),
+    items,
+    receipts: order.purchases.map((p) => ({
+      purchaseId: p.id,
+      invoiceNo: p.invoiceNo,
+      purchasedAt: p.purchasedAt,
+    })),
+    createdAt: order.createdAt,
+    updatedAt: order.updatedAt,
+  };
+}
+
+// Edits, status changes and receipts of an order queue on its row, so each reads the
+// lines and status the previous one committed
+async function lockOrder(tx, purchaseOrderId) {
+  await tx.$queryRaw`SELECT "id" FROM "PurchaseOrder" WHERE "id" = ${String(purchaseOrderId)} FOR UPDATE`;
+}
+
+async function findOrder(tx, purchaseOrderId) {
+  const order = await tx.purchaseOrder.findUnique({
+    where: { id: String(purchaseOrderId) },
+    include: { items: true },
+  });
+  if (!order) throw err('Purchase order not found', 404);
+  return order;
+}
+
+/**
+ * Raise a purchase order (status DRAFT).
+ * Input: { supplierId, expectedAt?, notes?, items: [{ productVariantId, quantity, unitCost }] }
+ */
+export async function createPurchaseOrder(payload) {
+  const { supplierId, expectedAt, notes, items } = payload ?? {};
+  if (!supplierId || typeof supplierId !== 'string' || !supplierId.trim()) {
+    throw err('supplierId is required');
+  }
+  const orderItems = normalizeOrderItems(items);
+  const expectedAtDate = optionalDate(expectedAt, 'expectedAt');
+
+  return prisma.$transaction(async (tx) => {
+    const supplier = await assertOrderRefs(tx, supplierId.trim(), orderItems);
+    if (!supplier.active) throw err(`Supplier ${supplier.name} is inactive`, 409);
+    const poNumber = await nextDocumentNumber(tx, 'PURCHASE_ORDER', { date: new Date() });
+
+    const order = await tx.purchaseOrder.create({
+      data: {
+        poNumber,
+        supplierId: supplier.id,
+        expectedAt: expectedAtDate,
+        notes: notes != null ? String(notes).trim() || null : null,
+        items: { create: orderItems },
+      },
+      include: ORDER_DETAIL_INCLUDE,
+    });
+    return toOrderDetail(order);
+  });
+}
+
+/**
+ * Change a purchase order that has not received anything yet (DRAFT or SENT).
+ * Input: { expectedAt?, notes?, items? } — items, when given, replace all lines.
+ */
+export async function updatePurchaseOrder(purchaseOrderId, payload) {
+  const { expectedAt, notes, items } = payload ?? {};
+
+  return prisma.$transaction(async (tx) => {
+    await lockOrder(tx, purchaseOrderId);
+    const order = await findOrder(tx, purchaseOrderId);
+    if (order.status !== 'DRAFT' && order.status !== 'SENT') {
+      throw err(`Purchase order is ${statusLabel(order.status)} and cannot be changed`, 409);
+    }
+
+    const data = {};
+    if (expectedAt !== undefined) data.expectedAt = optionalDate(expectedAt, 'expectedAt');
+    if (notes !== undefined) data.notes = notes != null ? String(notes).trim() || null : null;
+    if (items !== undefined) {
+      const orderItems = normalizeOrderItems(items);
+      await assertOrderRefs(tx, order.supplierId, orderItems);
+      await tx.purchaseOrderItem.deleteMany({ where: { purchaseOrderId: order.id } });
+      data.items = { create: orderItems };
+    }
+
+    const updated = await tx.purchaseOrder.update({
+      where: { id: order.id },
+      data,
+      include: ORDER_DETAIL_INCLUDE,
+    });
+    return toOrderDetail(updated);
+  });
+}
+
+/**
+ * Mark a DRAFT purchase order as sent to the supplier.
+ */
+export async function sendPurchaseOrder(purchaseOrderId) {
+  return prisma.$transaction(async (tx) => {
+    await lockOrder(tx, purchaseOrderId);
+    const order = await findOrder(tx, purchaseOrderId);
+    if (order.status !== 'DRAFT') {
+      throw err(`Purchase order is already ${statusLabel(order.status)}`, 409);
+    }
+
+    const updated = await tx.purchaseOrder.update({
+      where: { id: order.id },
+      data: { status: 'SENT', sentAt: new Date() },
+      include: ORDER_DETAIL_INCLUDE,
+    });
+    return toOrderDetail(updated);
+  });
+}
+
+/**
+ * Close a purchase order by hand, e.g. when the supplier cannot deliver the rest.
+ * Input: { reason }
+ */
+export async function closePurchaseOrder(purchaseOrderId, payload) {
+  const reason = payload?.reason != null ? String(payload.reason).trim() : '';
+  if (!reason) throw err('reason is required');
+
+  return prisma.$transaction(async (tx) => {
+    await lockOrder(tx, purchaseOrderId);
+    const order = await findOrder(tx, purchaseOrderId);
+    if (order.status === 'CLOSED') throw err('Purchase order is already closed', 409);
+
+    const updated = await tx.purchaseOrder.update({
+      where: { id: order.id },
+      data: { status: 'CLOSED', closedAt: new Date(), closeReason: reason },
+      include: ORDER_DETAIL_INCLUDE,
+    });
+    return toOrderDetail(updated);
+  });
+}
+
+/**
+ * Resolve the PO line a receipt line refers to: by purchaseOrderItemId, or by variant
+ * when the order has exactly one line for it.
+ */
+function resolveOrderLine(order, it, index) {
+  if (it?.purchaseOrderItemId) {
+    const line = order.items.find((i) => i.id === it.purchaseOrderItemId);
+    if (!line) throw err(`items[${index}]: line ${it.purchaseOrderItemId} is not part of ${order.poNumber}`);
+    return line;
+  }
+  if (it?.productVariantId) {
+    const lines = order.items.filter((i) => i.productVariantId === it.productVariantId);
+    if (lines.length === 0) throw err(`items[${index}]: variant ${it.productVariantId} is not part of ${order.poNumber}`);
+    if (lines.length > 1) {
+      throw err(`items[${index}]: variant ${it.productVariantId} appears on several lines, pass purchaseOrderItemId`);
+    }
+    return lines[0];
+  }
+  throw err(`items[${index}]: purchaseOrderItemId or productVariantId is required`);
+}
+
+/**
+ * Record a goods receipt against a SENT or PARTIALLY_RECEIVED order. The received lines
+ * become a Purchase (stock goes up as with createPurchase); unitCost defaults to the
+ * PO's cost. Receiving more than is pending on a line is refused. The order moves to
+ * PARTIALLY_RECEIVED, or CLOSED once every line is complete.
+ * Input: { items: [{ purchaseOrderItemId? | productVariantId?, quantity, unitCost?,
+ *          allocatedCharge? }], invoiceNo?, purchasedAt?, dueDate?, charges? | extraCharges?,
+ *          allocationMethod?, autoCreateProducts?, notes? }
+ * Returns { purchaseOrderId, poNumber, status, purchaseId, createdProducts }.
+ */
+export async function receivePurchaseOrder(purchaseOrderId, payload) {
+  const {
+    items,
+    invoiceNo,
+    purchasedAt,
+    dueDate,
+    charges,
+    extraCharges,
+    allocationMethod,
+    autoCreateProducts,
+    notes,
+  } = payload ?? {};
+  if (!Array.isArray(items) || items.length === 0) {
+    throw err('items must be a non-empty array');
+  }
+
+  return prisma.$transaction(async (tx) => {
+    // One receipt per order at a time, so pending quantities are read after any other
+    // receipt has committed and a line cannot be received twice over
+    await lockOrder(tx, purchaseOrderId);
+    const order = await findOrder(tx, purchaseOrderId);
+    if (order.status !== 'SENT' && order.status !== 'PARTIALLY_RECEIVED') {
+      throw err(`Cannot receive against a ${statusLabel(order.status)} purchase order`, 409);
+    }
+
+    const requested = new Map();
+    const purchaseItems = [];
+    const orderItemIds = [];
+    items.forEach((it, index) => {
+      const line = resolveOrderLine(order, it, index);
+      const quantity = Number(it.quantity);
+      if (!Number.isInteger(quantity) || quantity < 1) {
+        throw err(`items[${index}]: quantity must be a positive integer`);
+      }
+      requested.set(line.id, (requested.get(line.id) ?? 0) + quantity);
+      purchaseItems.push({
+        productVariantId: line.productVariantId,
+        quantity,
+        unitCost: it.unitCost != null ? it.unitCost : Number(line.unitCost),
+        allocatedCharge: it.allocatedCharge,
+      });
+      orderItemIds.push(line.id);
+    });
+
+    for (const line of order.items) {
+      const quantity = requested.get(line.id);
+      if (!quantity) continue;
+      const pending = line.quantity - line.receivedQuantity;
+      if (quantity > pending) {
+        throw err(
+          `Cannot receive ${quantity} of variant ${line.productVariantId}: ordered ${line.quantity}, already received ${line.receivedQuantity}`
+        );
+      }
+      await tx.purchaseOrderItem.update({
+        where: { id: line.id },
+        data: { receivedQuantity: { increment: quantity } },
+      });
+    }
+
+    const { purchaseId, createdProducts } = await createPurchaseInTx(
+      tx,
+      {
+        supplierId: order.supplierId,
+        purchasedAt,
+        dueDate,
+        invoiceNo,
+        notes,
+        charges,
+        extraCharges,
+        allocationMethod,
+        autoCreateProducts,
+        items: purchaseItems,
+      },
+      { purchaseOrderId: order.id, orderItemIds }
+    );
+
+    const complete = order.items.every(
+      (line) => line.receivedQuantity + (requested.get(line.id) ?? 0) >= line.quantity
+    );
+    const updated = await tx.purchaseOrder.update({
+      where: { id: order.id },
+      data: complete
+        ? { status: 'CLOSED', closedAt: new Date() }
+        : { status: 'PARTIALLY_RECEIVED' },
+    });
+
+    return {
+      purchaseOrderId: updated.id,
+      poNumber: updated.poNumber,
+      status: updated.status,
+      purchaseId,
+      createdProducts,
+    };
+  });
+}
+
+/**
+ * List purchase orders, newest first. Filters: supplierId, status.
+ */
+export async function listPurchaseOrders(filters = {}) {
+  const { supplierId, status } = filters;
+  const where = {};
+  if (supplierId) where.supplierId = String(supplierId).trim();
+  if (status) {
+    const normalized = String(status).trim().toUpperCase();
+    if (!PO_STATUSES.includes(normalized)) throw err(`status must be one of ${PO_STATUSES.join(', ')}`);
+    where.status = normalized;
+  }
+
+  const orders = await prisma.purchaseOrder.findMany({
+    where,
+    include: ORDER_DETAIL_INCLUDE,
+    orderBy: { createdAt: 'desc' },
+  });
+  return orders.map((o) => {
+    const { items, ...summary } = toOrderDetail(o);
+    return {
+      ...summary,
+      orderedQuantity: items.reduce((q, i) => q + i.quantity, 0),
+      receivedQuantity: items.reduce((q, i) => q + i.receivedQuantity, 0),
+    };
+  });
+}
+
+/**
+ * Get a purchase order with lines and receipts. Returns null if not found.
+ */
+export async function getPurchaseOrder(purchaseOrderId) {
+  if (!purchaseOrderId || typeof purchaseOrderId !== 'string') return null;
+  const order = await prisma.purchaseOrder.findUnique({
+    where: { id: purchaseOrderId },
+    include: ORDER_DETAIL_INCLUDE,
+  });
+  return order ? toOrderDetail(order) : null;
+}
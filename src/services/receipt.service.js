@@ -0,0 +1,270 @@
+/**
+ * Receipt rendering for a bill returned by getSaleById / getSaleByBillNumber.
+ * HTML for screens and browser printing, plain text for 58mm/80mm thermal printers.
+ */
+
+// Characters per line in the printer's default font (Font A)
+const THERMAL_COLUMNS = { 58: 32, 80: 48 };
+
+const ESC_POS = {
+  init: '\x1B\x40',
+  alignLeft: '\x1B\x61\x00',
+  alignCenter: '\x1B\x61\x01',
+  boldOn: '\x1B\x45\x01',
+  boldOff: '\x1B\x45\x00',
+  feedAndCut: '\x1D\x56\x42\x03',
+};
+
+function money(n) {
+  return Number(n).toFixed(2);
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function formatDateTime(d) {
+  const date = new Date(d);
+  const dd = String(date.getDate()).padStart(2, '0');
+  const mm = String(date.getMonth() + 1).padStart(2, '0');
+  const hh = String(date.getHours()).padStart(2, '0');
+  const min = String(date.getMinutes()).padStart(2, '0');
+  return `${dd}-${mm}-${date.getFullYear()} ${hh}:${min}`;
+}
+
+/**
+ * Human-readable line description: category name followed by attribute values.
+ */
+function itemDescription(item) {
+  const values = Object.entries(item.attributes ?? {})
+    .filter(([, v]) => v != null && v !== '')
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([, v]) => String(v));
+  return [item.categoryName, ...values].filter(Boolean).join(' ') || item.sku;
+}
+
+function paymentLabel(p) {
+  return p.provider ? `${p.mode} (${p.provider})` : p.mode;
+}
+
+/**
+ * Amount printed against a line: quantity × rate. Bill-level discounts are printed as
+ * their own rows below the subtotal so the receipt adds up.
+ */
+function grossAmount(item) {
+  return item.quantity * item.unitPrice;
+}
+
+/**
+ * Subtotal, discount, coupon and round-off rows; only non-zero adjustments are shown.
+ */
+function adjustmentRows(bill) {
+  const rows = [];
+  const hasAdjustments = bill.discountAmount || bill.couponDiscount || bill.roundOff;
+  if (!hasAdjustments) return rows;
+
+  rows.push(['Subtotal', money(bill.subtotal)]);
+  if (bill.discountAmount) {
+    const label = bill.discountType === 'PERCENT' ? `Discount (${bill.discountValue}%)` : 'Discount';
+    rows.push([label, `-${money(bill.discountAmount)}`]);
+  }
+  if (bill.couponDiscount) rows.push([`Coupon ${bill.couponCode}`, `-${money(bill.couponDiscount)}`]);
+  if (bill.roundOff) rows.push(['Round off', `${bill.roundOff > 0 ? '+' : ''}${money(bill.roundOff)}`]);
+  return rows;
+}
+
+/**
+ * GST included in the total (prices are tax-inclusive); empty when the bill carries no tax.
+ */
+function taxRows(bill) {
+  const tax = bill.tax;
+  if (!tax || !(tax.cgstAmount || tax.sgstAmount || tax.igstAmount)) return [];
+  const rows = [['Taxable value', money(tax.taxableValue)]];
+  if (tax.igstAmount) rows.push(['IGST (incl.)', money(tax.igstAmount)]);
+  if (tax.cgstAmount) rows.push(['CGST (incl.)', money(tax.cgstAmount)]);
+  if (tax.sgstAmount) rows.push(['SGST (incl.)', money(tax.sgstAmount)]);
+  return rows;
+}
+
+/**
+ * Render a standalone HTML receipt (inline styles, narrow layout for printing).
+ */
+export function renderReceiptHtml(bill, store) {
+  const rows = bill.items
+    .map(
+      (i) => `
+      <tr>
+        <td>${escapeHtml(itemDescription(i))}<br><small>${escapeHtml(i.sku)}</small></td>
+        <td class="num">${i.quantity}</td>
+        <td class="num">${money(i.unitPrice)}</td>
+        <td class="num">${money(grossAmount(i))}</td>
+      </tr>`
+    )
+    .join('');
+
+  const adjustments = adjustmentRows(bill)
+    .map(
+      ([label, amount]) => `
+      <tr><td colspan="3">${escapeHtml(label)}</td><td class="num">${amount}</td></tr>`
+    )
+    .join('');
+
+  const taxes = taxRows(bill)
+    .map(
+      ([label, amount]) => `
+      <tr><td colspan="3"><small>${escapeHtml(label)}</small></td><td class="num"><small>${amount}</small></td></tr>`
+    )
+    .join('');
+
+  const payments = bill.payments
+    .filter((p) => p.type === 'SALE')
+    .map(
+      (p) => `
+      <tr><td colspan="3">${escapeHtml(paymentLabel(p))}</td><td class="num">${money(p.amount)}</td></tr>`
+    )
+    .join('');
+
+  const voidBanner = bill.status === 'VOIDED'
+    ? `<p class="void">VOIDED${bill.voidReason ? ` — ${escapeHtml(bill.voidReason)}` : ''}</p>`
+    : '';
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(bill.billNumber)}</title>
+<style>
+  body { font-family: monospace; max-width: 80mm; margin: 0 auto; font-size: 12px; }
+  h1 { font-size: 16px; text-align: center; margin: 4px 0; }
+  .center { text-align: center; margin: 2px 0; }
+  .void { text-align: center; font-weight: bold; border: 1px solid #000; padding: 2px; }
+  table { width: 100%; border-collapse: collapse; }
+  th, td { padding: 2px 0; vertical-align: top; }
+  th { border-bottom: 1px dashed #000; text-align: left; }
+  .num { text-align: right; }
+  .total td { border-top: 1px dashed #000; font-weight: bold; }
+</style>
+</head>
+<body>
+  <h1>${escapeHtml(store.name)}</h1>
+  ${store.address ? `<p class="center">${escapeHtml(store.address)}</p>` : ''}
+  ${store.phone ? `<p class="center">Ph: ${escapeHtml(store.phone)}</p>` : ''}
+  ${store.gstin ? `<p class="center">GSTIN: ${escapeHtml(store.gstin)}</p>` : ''}
+  ${voidBanner}
+  <p>Bill: ${escapeHtml(bill.billNumber)}<br>Date: ${formatDateTime(bill.soldAt)}</p>
+  <table>
+    <thead>
+      <tr><th>Item</th><th class="num">Qty</th><th class="num">Rate</th><th class="num">Amount</th></tr>
+    </thead>
+    <tbody>${rows}${adjustments}
+      <tr class="total"><td colspan="3">Total</td><td class="num">${money(bill.totalAmount)}</td></tr>${taxes}${payments}
+    </tbody>
+  </table>
+  <p class="center">${escapeHtml(store.receiptFooter)}</p>
+</body>
+</html>
+`;
+}
+
+function padLine(left, right, columns) {
+  const space = columns - left.length - right.length;
+  if (space >= 1) return left + ' '.repeat(space) + right;
+  return `${left}\n${' '.repeat(Math.max(columns - right.length, 0))}${right}`;
+}
+
+function center(text, columns) {
+  if (text.length >= columns) return text;
+  return ' '.repeat(Math.floor((columns - text.length) / 2)) + text;
+}
+
+/**
+ * Break text into lines of at most `columns` characters, preferring word boundaries.
+ */
+function wrap(text, columns) {
+  const lines = [];
+  let line = '';
+  for (const word of String(text).split(/\s+/).filter(Boolean)) {
+    if (word.length > columns) {
+      if (line) lines.push(line);
+      for (let i = 0; i < word.length; i += columns) lines.push(word.slice(i, i + columns));
+      line = '';
+    } else if (!line) {
+      line = word;
+    } else if (line.length + 1 + word.length <= columns) {
+      line += ` ${word}`;
+    } else {
+      lines.push(line);
+      line = word;
+    }
+  }
+  if (line) lines.push(line);
+  return lines;
+}
+
+/**
+ * Render a plain-text receipt for a 58mm or 80mm thermal printer.
+ * Output is ASCII only; with escpos: true it is wrapped in ESC/POS init, bold header,
+ * alignment and paper-cut commands so it can be sent to the printer as-is.
+ */
+export function renderReceiptText(bill, store, { width = 80, escpos = false } = {}) {
+  const columns = THERMAL_COLUMNS[width];
+  if (!columns) throw new Error(`Unsupported paper width: ${width}`);
+
+  const rule = '-'.repeat(columns);
+  const ascii = (s) => String(s ?? '').replace(/[^\x20-\x7E]/g, '');
+  const header = [];
+  const body = [];
+
+  for (const l of wrap(ascii(store.name), columns)) header.push(center(l, columns));
+  for (const l of wrap(ascii(store.address), columns)) header.push(center(l, columns));
+  if (store.phone) header.push(center(`Ph: ${ascii(store.phone)}`, columns));
+  if (store.gstin) header.push(center(`GSTIN: ${ascii(store.gstin)}`, columns));
+  if (bill.status === 'VOIDED') header.push(center('*** VOIDED ***', columns));
+
+  body.push(rule);
+  body.push(`Bill: ${bill.billNumber}`);
+  body.push(`Date: ${formatDateTime(bill.soldAt)}`);
+  body.push(rule);
+  for (const item of bill.items) {
+    for (const l of wrap(ascii(itemDescription(item)), columns)) body.push(l);
+    body.push(padLine(`  ${item.quantity} x ${money(item.unitPrice)}`, money(grossAmount(item)), columns));
+  }
+  body.push(rule);
+  for (const [label, amount] of adjustmentRows(bill)) {
+    body.push(padLine(ascii(label), amount, columns));
+  }
+  body.push(padLine('TOTAL', `Rs. ${money(bill.totalAmount)}`, columns));
+  for (const [label, amount] of taxRows(bill)) {
+    body.push(padLine(label, amount, columns));
+  }
+  for (const p of bill.payments.filter((p) => p.type === 'SALE')) {
+    body.push(padLine(ascii(paymentLabel(p)), money(p.amount), columns));
+  }
+  body.push(rule);
+  const footer = wrap(ascii(store.receiptFooter), columns).map((l) => center(l, columns));
+
+  if (!escpos) {
+    return [...header, ...body, ...footer, ''].join('\n');
+  }
+
+  return [
+    ESC_POS.init,
+    ESC_POS.alignCenter,
+    ESC_POS.boldOn,
+    header.map((l) => l.trim()).join('\n'),
+    ESC_POS.boldOff,
+    '\n',
+    ESC_POS.alignLeft,
+    body.join('\n'),
+    '\n',
+    ESC_POS.alignCenter,
+    footer.map((l) => l.trim()).join('\n'),
+    '\n\n\n',
+    ESC_POS.feedAndCut,
+  ].join('');
+}
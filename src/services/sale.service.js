@@ -1,6 +1,20 @@
 import prisma from '../lib/prisma.js';
+import { resolveCoupon, redeemCoupon, releaseCoupon } from './coupon.service.js';
+import { computeLineTax, getStoreStateCode } from './tax.service.js';
+import { nextDocumentNumber, normalizeCounterId } from './sequence.service.js';
+import {
+  CREDIT_MODE,
+  isCreditMode,
+  findOrCreateCustomer,
+  chargeCustomerCredit,
+  creditCustomerReturn,
+  reverseSaleCredit,
+} from './customer.service.js';
+import { consumeLots, restoreSaleLots } from './lot.service.js';
+import { pricesInForce } from './price.service.js';
 
-const PAYMENT_SUM_TOLERANCE = 1; // allow 1 cent rounding
+const PAYMENT_SUM_TOLERANCE = 1; // allow ₹1 rounding on sale payments
+const REFUND_SUM_TOLERANCE = 0.01; // refunds must match to the paisa
 
 function err(message, statusCode = 400) {
   const e = new Error(message);
@@ -8,11 +22,115 @@ function err(message, statusCode = 400) {
   return e;
 }
 
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+/**
+ * Validate payment rows and check they add up to the expected total.
+ * `label` names the document in the mismatch error ("sale", "refund"); `tolerance` is
+ * how far the rows may be off the total.
+ * CREDIT rows count towards the total; the caller puts them on the customer's ledger.
+ */
+function normalizePayments(payments, expectedTotal, label, tolerance = PAYMENT_SUM_TOLERANCE) {
+  let paymentSum = 0;
+  const normalizedPayments = [];
+  for (const p of payments) {
+    const mode = p?.mode;
+    const amount = Number(p?.amount);
+    if (!mode || typeof mode !== 'string') throw err('Each payment must have mode');
+    if (!Number.isFinite(amount) || amount < 0) throw err('Each payment must have a valid amount');
+    paymentSum += amount;
+    normalizedPayments.push({
+      mode: isCreditMode(mode) ? CREDIT_MODE : String(mode).trim(),
+      provider: p?.provider != null ? String(p.provider).trim() : null,
+      amount,
+    });
+  }
+  paymentSum = round2(paymentSum);
+  if (round2(Math.abs(paymentSum - expectedTotal)) > tolerance) {
+    throw err(
+      `Payment total (${paymentSum}) does not match ${label} total (${expectedTotal})`
+    );
+  }
+  return normalizedPayments;
+}
+
+/**
+ * Spread a bill-level discount over lines in proportion to their value without pushing
+ * any line below its max_discount_percent floor; lines that reach their floor pass the
+ * rest on to lines that still have headroom. Returns allocations in line order, rounded
+ * to paise, or throws when the bill cannot absorb the discount.
+ */
+function allocateBillDiscount(lines, discount) {
+  const allocations = lines.map(() => 0);
+  if (discount <= 0) return allocations;
+
+  const totalHeadroom = round2(lines.reduce((sum, l) => sum + l.headroom, 0));
+  if (discount > totalHeadroom) {
+    throw err(
+      `Bill discount (${discount}) exceeds what the items' max discount limits allow (${totalHeadroom})`
+    );
+  }
+
+  let remaining = discount;
+  let open = lines.map((_, i) => i).filter((i) => lines[i].headroom > 0);
+  while (remaining > 0.005 && open.length > 0) {
+    const base = open.reduce((sum, i) => sum + lines[i].lineTotal, 0);
+    const next = [];
+    let distributed = 0;
+    for (const i of open) {
+      const share = base > 0 ? (remaining * lines[i].lineTotal) / base : remaining / open.length;
+      const give = Math.min(share, lines[i].headroom - allocations[i]);
+      allocations[i] += give;
+      distributed += give;
+      if (lines[i].headroom - allocations[i] > 1e-9) next.push(i);
+    }
+    remaining -= distributed;
+    open = next;
+  }
+
+  // Rounding to paise can leave a paisa over or under; settle it on the roomiest line
+  const rounded = allocations.map(round2);
+  const diff = round2(discount - rounded.reduce((sum, a) => sum + a, 0));
+  if (diff !== 0) {
+    let best = 0;
+    for (let i = 1; i < lines.length; i++) {
+      if (lines[i].headroom - rounded[i] > lines[best].headroom - rounded[best]) best = i;
+    }
+    rounded[best] = round2(rounded[best] + diff);
+  }
+  return rounded;
+}
+
 /**
- * Validate items and payments, resolve products by SKU, check stock and discount rules.
- * Returns { productsBySku, lineTotals, totalAmount } or throws.
+ * Work out the manual bill discount ({ type: FLAT | PERCENT, value }) on the subtotal.
  */
-async function validateAndCompute(tx, items, payments) {
+function computeBillDiscount(discount, subtotal) {
+  if (discount == null) return { discountType: null, discountValue: null, discountAmount: 0 };
+
+  const type = String(discount.type ?? '').trim().toUpperCase();
+  const value = Number(discount.value);
+  if (type !== 'FLAT' && type !== 'PERCENT') throw err('discount.type must be FLAT or PERCENT');
+  if (!Number.isFinite(value) || value < 0) throw err('discount.value must be a non-negative number');
+  if (type === 'PERCENT' && value > 100) throw err('discount.value must be <= 100 for PERCENT');
+  if (type === 'FLAT' && value > subtotal) throw err(`Bill discount (${value}) exceeds subtotal (${subtotal})`);
+
+  const discountAmount = type === 'FLAT' ? round2(value) : round2((subtotal * value) / 100);
+  return { discountType: type, discountValue: value, discountAmount };
+}
+
+/**
+ * Validate items and payments, resolve products by SKU, check stock and discount rules
+ * (against the prices in force at `at`, the sale time).
+ * Adjustments: { discount?: { type, value }, couponCode?, roundOff?, placeOfSupply? } —
+ * the bill discount applies to the subtotal, the coupon to what is left, and both are
+ * spread over the lines; roundOff: true rounds the payable amount to the nearest rupee.
+ * GST is back-calculated per line from its net amount; a placeOfSupply state code other
+ * than the store's makes the bill inter-state (IGST).
+ * Returns { lineTotals, normalizedPayments, totalAmount, subtotal, ... } or throws.
+ */
+async function validateAndCompute(tx, items, payments, adjustments = {}, at = new Date()) {
   if (!Array.isArray(items) || items.length === 0) {
     throw err('items must be a non-empty array');
   }
@@ -23,9 +141,11 @@ async function validateAndCompute(tx, items, payments) {
   const skus = [...new Set(items.map((i) => i?.sku).filter(Boolean))];
   const products = await tx.product.findMany({
     where: { sku: { in: skus } },
-    include: { productVariant: true },
+    include: { productVariant: { include: { category: true } } },
   });
   const productsBySku = Object.fromEntries(products.map((p) => [p.sku, p]));
+  // Backdated (synced) bills are checked against the prices in force when they were sold
+  const prices = await pricesInForce(tx, products.map((p) => p.productVariantId), at);
 
   // 1. Validate all SKUs exist
   for (const it of items) {
@@ -59,8 +179,9 @@ async function validateAndCompute(tx, items, payments) {
     }
 
     // 3. Validate discount rules (sellingPrice <= mrp, discount % <= max_discount_percent)
-    const mrp = product.productVariant?.mrp;
-    const maxDiscountPercent = product.productVariant?.max_discount_percent ?? 0;
+    const price = prices.get(product.productVariantId);
+    const mrp = price?.mrp;
+    const maxDiscountPercent = price?.max_discount_percent ?? 0;
 
     if (mrp != null && Number.isFinite(mrp)) {
       if (sellingPrice > mrp) {
@@ -78,115 +199,368 @@ async function validateAndCompute(tx, items, payments) {
       }
     }
 
-    // 4 & 5. Calculate lineTotal and accumulate totalAmount
+    // 4 & 5. Calculate lineTotal and accumulate the subtotal
     const lineTotal = Math.round(quantity * sellingPrice * 100) / 100;
+    const floorPrice = mrp != null && Number.isFinite(mrp) && Number.isFinite(maxDiscountPercent)
+      ? mrp * (1 - maxDiscountPercent / 100)
+      : 0;
     lineTotals.push({
       product,
       quantity,
       unitPrice: sellingPrice,
       lineTotal,
+      headroom: Math.max(0, round2(lineTotal - floorPrice * quantity)),
     });
     totalAmount += lineTotal;
   }
-  totalAmount = Math.round(totalAmount * 100) / 100;
+  const subtotal = Math.round(totalAmount * 100) / 100;
 
-  // 6. Validate sum(payments.amount) === totalAmount
-  let paymentSum = 0;
-  const normalizedPayments = [];
-  for (const p of payments) {
-    const mode = p?.mode;
-    const amount = Number(p?.amount);
-    if (!mode || typeof mode !== 'string') throw err('Each payment must have mode');
-    if (!Number.isFinite(amount) || amount < 0) throw err('Each payment must have a valid amount');
-    paymentSum += amount;
-    normalizedPayments.push({
-      mode: String(mode).trim(),
-      provider: p?.provider != null ? String(p.provider).trim() : null,
-      amount,
-    });
+  // 6. Bill-level discount and coupon, spread across lines within their discount caps
+  const { discountType, discountValue, discountAmount } = computeBillDiscount(
+    adjustments.discount,
+    subtotal
+  );
+  let coupon = null;
+  let couponDiscount = 0;
+  if (adjustments.couponCode) {
+    ({ coupon, amount: couponDiscount } = await resolveCoupon(
+      tx,
+      adjustments.couponCode,
+      round2(subtotal - discountAmount),
+      at
+    ));
   }
-  paymentSum = Math.round(paymentSum * 100) / 100;
-  if (Math.abs(paymentSum - totalAmount) > PAYMENT_SUM_TOLERANCE) {
-    throw err(
-      `Payment total (${paymentSum}) does not match sale total (${totalAmount})`
-    );
+  const allocations = allocateBillDiscount(lineTotals, round2(discountAmount + couponDiscount));
+  lineTotals.forEach((row, i) => {
+    row.billDiscount = allocations[i];
+    row.lineTotal = round2(row.lineTotal - allocations[i]);
+    delete row.headroom;
+  });
+  totalAmount = round2(subtotal - discountAmount - couponDiscount);
+
+  // 7. GST per line on the net (tax-inclusive) amount
+  const storeState = getStoreStateCode();
+  const placeOfSupply = adjustments.placeOfSupply != null
+    ? String(adjustments.placeOfSupply).trim().padStart(2, '0')
+    : storeState;
+  if (placeOfSupply != null && !/^\d{2}$/.test(placeOfSupply)) {
+    throw err('placeOfSupply must be a two-digit state code');
+  }
+  const interState = Boolean(placeOfSupply && storeState && placeOfSupply !== storeState);
+  for (const row of lineTotals) {
+    Object.assign(row, computeLineTax(row.product.productVariant, row.quantity, row.lineTotal, interState));
   }
 
-  return { lineTotals, normalizedPayments, totalAmount };
+  // 8. Optional round-off to the nearest rupee
+  let roundOff = 0;
+  if (adjustments.roundOff) {
+    roundOff = round2(Math.round(totalAmount) - totalAmount);
+    totalAmount = round2(totalAmount + roundOff);
+  }
+
+  // 9. Validate sum(payments.amount) === totalAmount
+  const normalizedPayments = normalizePayments(payments, totalAmount, 'sale');
+
+  return {
+    lineTotals,
+    placeOfSupply,
+    normalizedPayments,
+    totalAmount,
+    subtotal,
+    discountType,
+    discountValue,
+    discountAmount,
+    coupon,
+    couponDiscount,
+    roundOff,
+  };
+}
+
+function creditTotal(payments) {
+  return round2(payments.filter((p) => p.mode === CREDIT_MODE).reduce((sum, p) => sum + p.amount, 0));
 }
 
 /**
  * Create a sale with items and payments.
- * Input: { items: [{ sku, quantity, sellingPrice }], payments: [{ mode, provider?, amount }] }
+ * Input: { items: [{ sku, quantity, sellingPrice }], payments: [{ mode, provider?, amount }],
+ *          discount?: { type: FLAT | PERCENT, value }, couponCode?, roundOff?, placeOfSupply?,
+ *          customer?: { phone, name?, email? }, counterId? }
+ * counterId picks the counter's own bill series (see sequence.service).
+ * Options (used by offline sync): { soldAt?, clientRef? } — soldAt backdates the bill,
+ * clientRef is the client-generated id that makes a replayed sale idempotent.
+ * A payment with mode CREDIT sells on credit: it needs a customer and is added to their
+ * outstanding balance (within creditLimit, if one is set).
  * All steps run inside a Prisma transaction.
  */
-export async function createSale(payload) {
-  const { items = [], payments = [] } = payload ?? {};
+export async function createSale(payload, options = {}) {
+  return prisma.$transaction((tx) => createSaleInTx(tx, payload, options));
+}
+
+/**
+ * createSale inside a caller-owned transaction (draft finalization, sync).
+ */
+export async function createSaleInTx(tx, payload, options = {}) {
+  const {
+    items = [],
+    payments = [],
+    discount,
+    couponCode,
+    roundOff,
+    placeOfSupply,
+    customer: customerInput,
+    counterId: counterInput,
+  } = payload ?? {};
+  const { clientRef = null } = options;
+  const counterId = normalizeCounterId(counterInput);
+
+  const now = options.soldAt ? new Date(options.soldAt) : new Date();
+  if (Number.isNaN(now.getTime())) throw err('soldAt must be a valid date');
+
+  const computed = await validateAndCompute(
+    tx,
+    items,
+    payments,
+    { discount, couponCode, roundOff, placeOfSupply },
+    now
+  );
+  const { lineTotals, normalizedPayments, totalAmount, coupon } = computed;
+
+  const creditAmount = creditTotal(normalizedPayments);
+  if (creditAmount > 0 && !customerInput) {
+    throw err('A customer is required for CREDIT payments');
+  }
+
+  const customer = customerInput ? await findOrCreateCustomer(tx, customerInput) : null;
+
+  // 10. Take the next bill number of the counter's series for the sale date and create Sale
+  const billNumber = await nextDocumentNumber(tx, 'BILL', { date: now, counterId });
+
+  const sale = await tx.sale.create({
+    data: {
+      billNumber,
+      clientRef,
+      subtotal: computed.subtotal,
+      discountType: computed.discountType,
+      discountValue: computed.discountValue,
+      discountAmount: computed.discountAmount,
+      couponId: coupon?.id ?? null,
+      couponCode: coupon?.code ?? null,
+      couponDiscount: computed.couponDiscount,
+      roundOff: computed.roundOff,
+      placeOfSupply: computed.placeOfSupply,
+      customerId: customer?.id ?? null,
+      counterId,
+      totalAmount,
+      soldAt: now,
+    },
+  });
+
+  if (coupon) await redeemCoupon(tx, coupon.id);
+
+  // 11. Create SaleItem records
+  const saleItems = [];
+  for (const row of lineTotals) {
+    const saleItem = await tx.saleItem.create({
+      data: {
+        saleId: sale.id,
+        productId: row.product.id,
+        quantity: row.quantity,
+        unitPrice: row.unitPrice,
+        billDiscount: row.billDiscount,
+        lineTotal: row.lineTotal,
+        hsnCode: row.hsnCode,
+        gstRate: row.gstRate,
+        taxableValue: row.taxableValue,
+        cgstAmount: row.cgstAmount,
+        sgstAmount: row.sgstAmount,
+        igstAmount: row.igstAmount,
+      },
+    });
+    saleItems.push(saleItem);
+  }
+
+  // 12. Reduce Product.quantityInStock for each item and take the units out of its
+  // inventory lots (oldest first), recording their cost on the line
+  for (const saleItem of saleItems) {
+    await tx.product.update({
+      where: { id: saleItem.productId },
+      data: {
+        quantityInStock: { decrement: saleItem.quantity },
+      },
+    });
+    const costAmount = await consumeLots(tx, saleItem.productId, saleItem.quantity, {
+      saleItemId: saleItem.id,
+    });
+    await tx.saleItem.update({ where: { id: saleItem.id }, data: { costAmount } });
+  }
+
+  // 13. Create Payment records
+  for (const p of normalizedPayments) {
+    await tx.payment.create({
+      data: {
+        saleId: sale.id,
+        mode: p.mode,
+        provider: p.provider,
+        amount: p.amount,
+      },
+    });
+  }
+
+  // 14. Put the credit part of the bill on the customer's ledger
+  if (creditAmount > 0) {
+    await chargeCustomerCredit(tx, customer, creditAmount, { saleId: sale.id, entryAt: now });
+  }
+
+  return {
+    saleId: sale.id,
+    billNumber: sale.billNumber ?? null,
+    totalAmount,
+    soldAt: sale.soldAt,
+  };
+}
+
+/**
+ * Resolve the SaleItem a return line refers to: by saleItemId, or by SKU when the
+ * bill has exactly one line for it.
+ */
+function resolveReturnLine(sale, it, index) {
+  if (it?.saleItemId) {
+    const line = sale.items.find((i) => i.id === it.saleItemId);
+    if (!line) throw err(`items[${index}]: sale item ${it.saleItemId} is not part of bill ${sale.billNumber}`);
+    return line;
+  }
+  if (it?.sku) {
+    const lines = sale.items.filter((i) => i.product?.sku === it.sku);
+    if (lines.length === 0) throw err(`items[${index}]: SKU ${it.sku} is not part of bill ${sale.billNumber}`);
+    if (lines.length > 1) throw err(`items[${index}]: SKU ${it.sku} appears on several lines, pass saleItemId`);
+    return lines[0];
+  }
+  throw err(`items[${index}]: saleItemId or sku is required`);
+}
+
+/**
+ * Return goods against an existing sale (by saleId or billNumber).
+ * Input: { saleId? | billNumber?, items: [{ saleItemId? | sku?, quantity }], payments: [{ mode, provider?, amount }], reason?, counterId? }
+ * Partial returns are allowed per SaleItem, never beyond what is left of the sold quantity.
+ * The refund per unit is the line's net price (lineTotal / quantity); returning the last
+ * units of a line refunds whatever is left of its lineTotal so rounding never over-refunds.
+ * Stock is put back (into the inventory lots it came from) and refund Payments (type
+ * REFUND) are recorded in one transaction.
+ * A refund in CREDIT mode is taken off the customer's outstanding balance instead of paid out.
+ */
+export async function createSaleReturn(payload) {
+  const { saleId, billNumber, items = [], payments = [], reason } = payload ?? {};
+  const counterId = normalizeCounterId(payload?.counterId);
+
+  if (!saleId && !billNumber) throw err('saleId or billNumber is required');
+  if (!Array.isArray(items) || items.length === 0) {
+    throw err('items must be a non-empty array');
+  }
+  if (!Array.isArray(payments)) throw err('payments must be an array');
 
   return prisma.$transaction(async (tx) => {
-    const { lineTotals, normalizedPayments, totalAmount } = await validateAndCompute(
-      tx,
-      items,
-      payments
-    );
+    const found = await tx.sale.findUnique({
+      where: saleId ? { id: String(saleId) } : { billNumber: String(billNumber).trim() },
+      select: { id: true },
+    });
+    if (!found) throw err('Sale not found', 404);
 
-    // 7. Generate next bill number for today (BILL-YYYYMMDD-NNNN) and create Sale
-    const now = new Date();
-    const yyyy = now.getFullYear();
-    const mm = String(now.getMonth() + 1).padStart(2, '0');
-    const dd = String(now.getDate()).padStart(2, '0');
-    const prefix = `BILL-${yyyy}${mm}${dd}-`;
-
-    const lastSale = await tx.sale.findFirst({
-      where: { billNumber: { startsWith: prefix } },
-      orderBy: { billNumber: 'desc' },
-      select: { billNumber: true },
+    // One return or void of a bill at a time: lines are read after the lock, so two
+    // returns cannot both take the same remaining quantity
+    await tx.$queryRaw`SELECT "id" FROM "Sale" WHERE "id" = ${found.id} FOR UPDATE`;
+    const sale = await tx.sale.findUnique({
+      where: { id: found.id },
+      include: {
+        items: { include: { product: true, returnItems: true } },
+      },
+    });
+    if (sale.status === 'VOIDED') throw err(`Bill ${sale.billNumber} is voided`, 409);
+
+    // Merge repeated lines so the per-line limit is checked against the combined quantity
+    const requested = new Map();
+    items.forEach((it, index) => {
+      const line = resolveReturnLine(sale, it, index);
+      const quantity = Number(it.quantity);
+      if (!Number.isInteger(quantity) || quantity < 1) {
+        throw err(`items[${index}]: quantity must be a positive integer`);
+      }
+      requested.set(line.id, (requested.get(line.id) ?? 0) + quantity);
     });
 
-    let seq = 1;
-    if (lastSale?.billNumber) {
-      const numPart = lastSale.billNumber.slice(prefix.length);
-      const n = parseInt(numPart, 10);
-      if (Number.isFinite(n) && n >= 0) seq = n + 1;
+    const returnLines = [];
+    let refundAmount = 0;
+    for (const line of sale.items) {
+      const quantity = requested.get(line.id);
+      if (!quantity) continue;
+
+      const returnedQty = line.returnItems.reduce((q, r) => q + r.quantity, 0);
+      const returnedTotal = line.returnItems.reduce((t, r) => t + Number(r.lineTotal), 0);
+      const remainingQty = line.quantity - returnedQty;
+      if (quantity > remainingQty) {
+        throw err(
+          `Cannot return ${quantity} of SKU ${line.product.sku}: sold ${line.quantity}, already returned ${returnedQty}`
+        );
+      }
+
+      const unitPrice = round2(Number(line.lineTotal) / line.quantity);
+      const lineTotal = quantity === remainingQty
+        ? round2(Number(line.lineTotal) - returnedTotal)
+        : round2(unitPrice * quantity);
+
+      returnLines.push({ line, quantity, unitPrice, lineTotal });
+      refundAmount += lineTotal;
     }
-    const billNumber = prefix + String(seq).padStart(4, '0');
+    refundAmount = round2(refundAmount);
 
-    const sale = await tx.sale.create({
+    const normalizedPayments = normalizePayments(payments, refundAmount, 'refund', REFUND_SUM_TOLERANCE);
+    const creditRefund = creditTotal(normalizedPayments);
+    if (creditRefund > 0 && !sale.customerId) {
+      throw err(`Bill ${sale.billNumber} has no customer to refund on CREDIT`);
+    }
+
+    const returnedAt = new Date();
+    const returnNumber = await nextDocumentNumber(tx, 'SALE_RETURN', { date: returnedAt, counterId });
+
+    const saleReturn = await tx.saleReturn.create({
       data: {
-        billNumber,
-        totalAmount,
-        soldAt: now,
+        returnNumber,
+        saleId: sale.id,
+        refundAmount,
+        reason: reason != null ? String(reason).trim() || null : null,
+        returnedAt,
       },
     });
 
-    // 8. Create SaleItem records
-    for (const row of lineTotals) {
-      await tx.saleItem.create({
+    for (const row of returnLines) {
+      const returnItem = await tx.saleReturnItem.create({
         data: {
-          saleId: sale.id,
-          productId: row.product.id,
+          saleReturnId: saleReturn.id,
+          saleItemId: row.line.id,
+          productId: row.line.productId,
           quantity: row.quantity,
           unitPrice: row.unitPrice,
           lineTotal: row.lineTotal,
         },
       });
-    }
 
-    // 9. Reduce Product.quantityInStock for each item
-    for (const row of lineTotals) {
       await tx.product.update({
-        where: { id: row.product.id },
+        where: { id: row.line.productId },
         data: {
-          quantityInStock: { decrement: row.quantity },
+          quantityInStock: { increment: row.quantity },
         },
       });
+      const costAmount = await restoreSaleLots(tx, row.line, row.quantity, 'SALE_RETURN', {
+        saleReturnItemId: returnItem.id,
+      });
+      await tx.saleReturnItem.update({ where: { id: returnItem.id }, data: { costAmount } });
     }
 
-    // 10. Create Payment records
     for (const p of normalizedPayments) {
       await tx.payment.create({
         data: {
           saleId: sale.id,
+          saleReturnId: saleReturn.id,
+          type: 'REFUND',
           mode: p.mode,
           provider: p.provider,
           amount: p.amount,
@@ -194,11 +568,211 @@ export async function createSale(payload) {
       });
     }
 
+    if (creditRefund > 0) {
+      await creditCustomerReturn(tx, sale.customerId, creditRefund, {
+        saleId: sale.id,
+        saleReturnId: saleReturn.id,
+        entryAt: returnedAt,
+      });
+    }
+
     return {
+      saleReturnId: saleReturn.id,
+      returnNumber: saleReturn.returnNumber,
       saleId: sale.id,
-      billNumber: sale.billNumber ?? null,
-      totalAmount,
-      soldAt: sale.soldAt,
+      billNumber: sale.billNumber,
+      refundAmount,
+      returnedAt: saleReturn.returnedAt,
+    };
+  });
+}
+
+function isSameLocalDay(a, b) {
+  return (
+    a.getFullYear() === b.getFullYear() &&
+    a.getMonth() === b.getMonth() &&
+    a.getDate() === b.getDate()
+  );
+}
+
+/**
+ * Void a bill made today. The Sale row stays (status VOIDED) so the bill sequence has
+ * no gaps; stock is put back, the coupon use (if any) is released, every SALE
+ * payment gets a matching VOID reversal and any credit is taken off the customer's
+ * ledger, all in one transaction. Bills with returns, or from an earlier day, must go
+ * through the returns flow instead.
+ */
+export async function voidSale(saleId, payload) {
+  const reason = payload?.reason != null ? String(payload.reason).trim() : '';
+  if (!reason) throw err('reason is required');
+
+  return prisma.$transaction(async (tx) => {
+    const sale = await tx.sale.findUnique({
+      where: { id: String(saleId) },
+      include: {
+        items: true,
+        payments: { where: { type: 'SALE' } },
+      },
+    });
+    if (!sale) throw err('Sale not found', 404);
+    if (sale.status === 'VOIDED') throw err(`Bill ${sale.billNumber} is already voided`, 409);
+
+    const now = new Date();
+    if (!isSameLocalDay(sale.soldAt, now)) {
+      throw err(`Bill ${sale.billNumber} is not from today; use a return instead`);
+    }
+
+    // Claim the bill: of two concurrent voids only one moves it out of COMPLETED
+    const claimed = await tx.sale.updateMany({
+      where: { id: sale.id, status: 'COMPLETED' },
+      data: { status: 'VOIDED', voidedAt: now, voidReason: reason },
+    });
+    if (claimed.count === 0) throw err(`Bill ${sale.billNumber} is already voided`, 409);
+
+    // Counted after the claim, which waits for a return holding the bill to commit
+    if ((await tx.saleReturn.count({ where: { saleId: sale.id } })) > 0) {
+      throw err(`Bill ${sale.billNumber} has returns and cannot be voided`, 409);
+    }
+
+    for (const item of sale.items) {
+      await tx.product.update({
+        where: { id: item.productId },
+        data: {
+          quantityInStock: { increment: item.quantity },
+        },
+      });
+      await restoreSaleLots(tx, item, item.quantity, 'SALE_VOID');
+    }
+
+    if (sale.couponId) await releaseCoupon(tx, sale.couponId);
+    await reverseSaleCredit(tx, sale.id, now);
+
+    for (const p of sale.payments) {
+      await tx.payment.create({
+        data: {
+          saleId: sale.id,
+          type: 'VOID',
+          mode: p.mode,
+          provider: p.provider,
+          amount: p.amount,
+          reference: p.id,
+        },
+      });
+    }
+
+    return {
+      saleId: sale.id,
+      billNumber: sale.billNumber,
+      status: 'VOIDED',
+      voidedAt: now,
+      voidReason: reason,
     };
   });
 }
+
+const SALE_DETAIL_INCLUDE = {
+  items: {
+    include: {
+      product: {
+        include: { productVariant: { include: { category: true } } },
+      },
+      returnItems: true,
+    },
+  },
+  payments: { orderBy: { createdAt: 'asc' } },
+  returns: { orderBy: { returnedAt: 'asc' } },
+  customer: { select: { id: true, name: true, phone: true } },
+};
+
+function sumTax(items) {
+  const totals = { taxableValue: 0, cgstAmount: 0, sgstAmount: 0, igstAmount: 0 };
+  for (const i of items) {
+    for (const key of Object.keys(totals)) totals[key] += Number(i[key]);
+  }
+  for (const key of Object.keys(totals)) totals[key] = round2(totals[key]);
+  return totals;
+}
+
+function toSaleDetail(sale) {
+  return {
+    saleId: sale.id,
+    billNumber: sale.billNumber,
+    status: sale.status,
+    counterId: sale.counterId,
+    soldAt: sale.soldAt,
+    voidedAt: sale.voidedAt,
+    voidReason: sale.voidReason,
+    subtotal: Number(sale.subtotal),
+    discountType: sale.discountType,
+    discountValue: sale.discountValue != null ? Number(sale.discountValue) : null,
+    discountAmount: Number(sale.discountAmount),
+    couponCode: sale.couponCode,
+    couponDiscount: Number(sale.couponDiscount),
+    roundOff: Number(sale.roundOff),
+    placeOfSupply: sale.placeOfSupply,
+    customer: sale.customer,
+    totalAmount: Number(sale.totalAmount),
+    tax: sumTax(sale.items),
+    items: sale.items.map((i) => {
+      const variant = i.product?.productVariant;
+      return {
+        saleItemId: i.id,
+        sku: i.product?.sku ?? null,
+        productVariantId: variant?.id ?? null,
+        categoryName: variant?.category?.name ?? null,
+        attributes: variant?.attributes_json ?? {},
+        mrp: variant?.mrp ?? null,
+        quantity: i.quantity,
+        unitPrice: Number(i.unitPrice),
+        billDiscount: Number(i.billDiscount),
+        lineTotal: Number(i.lineTotal),
+        hsnCode: i.hsnCode,
+        gstRate: Number(i.gstRate),
+        taxableValue: Number(i.taxableValue),
+        cgstAmount: Number(i.cgstAmount),
+        sgstAmount: Number(i.sgstAmount),
+        igstAmount: Number(i.igstAmount),
+        returnedQuantity: i.returnItems.reduce((q, r) => q + r.quantity, 0),
+      };
+    }),
+    payments: sale.payments.map((p) => ({
+      type: p.type,
+      mode: p.mode,
+      provider: p.provider,
+      amount: Number(p.amount),
+      reference: p.reference,
+    })),
+    returns: sale.returns.map((r) => ({
+      saleReturnId: r.id,
+      returnNumber: r.returnNumber,
+      returnedAt: r.returnedAt,
+      refundAmount: Number(r.refundAmount),
+      reason: r.reason,
+    })),
+  };
+}
+
+/**
+ * Get a bill with items (SKU, category, attributes), payments and returns.
+ * Returns null if not found.
+ */
+export async function getSaleById(saleId) {
+  if (!saleId || typeof saleId !== 'string') return null;
+  const sale = await prisma.sale.findUnique({
+    where: { id: saleId },
+    include: SALE_DETAIL_INCLUDE,
+  });
+  return sale ? toSaleDetail(sale) : null;
+}
+
+/**
+ * Same as getSaleById, looked up by bill number.
+ */
+export async function getSaleByBillNumber(billNumber) {
+  if (!billNumber || typeof billNumber !== 'string') return null;
+  const sale = await prisma.sale.findUnique({
+    where: { billNumber: billNumber.trim() },
+    include: SALE_DETAIL_INCLUDE,
+  });
+  return sale ? toSaleDetail(sale) : null;
+}
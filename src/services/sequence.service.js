@@ -0,0 +1,160 @@
+/**
+ * Document numbers (bills, return notes, debit notes, purchase orders) from counters kept
+ * in the DocumentSequence table.
+ *
+ * The counter row is incremented inside the caller's transaction, so two counters billing
+ * at the same moment queue on the row instead of racing for the same number, and a
+ * transaction that rolls back (failed sale, client retry) gives its number back.
+ *
+ * Per document type, configured through the environment (<ENV> is BILL_NUMBER,
+ * RETURN_NUMBER, DEBIT_NOTE_NUMBER or PO_NUMBER):
+ *   <ENV>_PREFIX  text for {prefix} (defaults to BILL / RET / DN / PO)
+ *   <ENV>_RESET   DAILY, FY (financial year, see FINANCIAL_YEAR_START_MONTH) or NEVER;
+ *                 defaults to FY for debit notes and purchase orders, DAILY otherwise
+ *   <ENV>_FORMAT  template; defaults to a format matching the reset
+ * Template tokens: {prefix} {series} {yyyy} {yy} {mm} {dd} {fy} {seq} {seq:N} (N = zero
+ * padding). An empty {series} is dropped together with the separator in front of it.
+ */
+
+const DOCUMENT_TYPES = {
+  BILL: { env: 'BILL_NUMBER', prefix: 'BILL', model: 'sale', field: 'billNumber' },
+  SALE_RETURN: { env: 'RETURN_NUMBER', prefix: 'RET', model: 'saleReturn', field: 'returnNumber' },
+  DEBIT_NOTE: { env: 'DEBIT_NOTE_NUMBER', prefix: 'DN', reset: 'FY', model: 'purchaseReturn', field: 'debitNoteNumber' },
+  PURCHASE_ORDER: { env: 'PO_NUMBER', prefix: 'PO', reset: 'FY', model: 'purchaseOrder', field: 'poNumber' },
+};
+
+const DEFAULT_FORMATS = {
+  DAILY: '{prefix}-{series}-{yyyy}{mm}{dd}-{seq:4}',
+  FY: '{prefix}-{series}-{fy}-{seq:5}',
+  NEVER: '{prefix}-{series}-{seq:6}',
+};
+
+const TOKEN_REGEX = /\{(\w+)(?::(\d+))?\}/g;
+const SEQ_REGEX = /\{seq(?::(\d+))?\}/;
+const SERIES_REGEX = /^[A-Za-z0-9_]{1,20}$/;
+
+function err(message, statusCode = 400) {
+  const e = new Error(message);
+  e.statusCode = statusCode;
+  return e;
+}
+
+/**
+ * Validate a counter id given with a bill. Returns null when none was given.
+ */
+export function normalizeCounterId(value) {
+  if (value == null || value === '') return null;
+  const counterId = String(value).trim().toUpperCase();
+  if (!SERIES_REGEX.test(counterId)) {
+    throw err('counterId must be 1-20 letters, digits or underscores');
+  }
+  return counterId;
+}
+
+/**
+ * Series a number belongs to: STORE_CODE and the counter, when set.
+ */
+function seriesFor(counterId) {
+  const storeCode = process.env.STORE_CODE?.trim().toUpperCase() || null;
+  return [storeCode, counterId].filter(Boolean).join('-');
+}
+
+function financialYearStart(date) {
+  const startMonth = Number(process.env.FINANCIAL_YEAR_START_MONTH);
+  const month = Number.isInteger(startMonth) && startMonth >= 1 && startMonth <= 12 ? startMonth : 4;
+  return date.getMonth() + 1 >= month ? date.getFullYear() : date.getFullYear() - 1;
+}
+
+function numberingConfig(docType) {
+  const spec = DOCUMENT_TYPES[docType];
+  if (!spec) throw err(`Unknown document type: ${docType}`, 500);
+
+  const prefix = process.env[`${spec.env}_PREFIX`]?.trim() || spec.prefix;
+  const reset = (process.env[`${spec.env}_RESET`]?.trim() || spec.reset || 'DAILY').toUpperCase();
+  if (!DEFAULT_FORMATS[reset]) throw err(`${spec.env}_RESET must be DAILY, FY or NEVER`, 500);
+  const format = process.env[`${spec.env}_FORMAT`]?.trim() || DEFAULT_FORMATS[reset];
+
+  // The format has to change whenever the counter resets, or numbers would repeat
+  if (!SEQ_REGEX.test(format)) throw err(`${spec.env}_FORMAT must contain {seq}`, 500);
+  if (reset === 'DAILY' && !(/\{dd\}/.test(format) && /\{mm\}/.test(format) && /\{yy(yy)?\}/.test(format))) {
+    throw err(`${spec.env}_FORMAT must contain {dd}, {mm} and {yyyy} or {yy} for a daily reset`, 500);
+  }
+  if (reset === 'FY' && !/\{fy\}/.test(format)) {
+    throw err(`${spec.env}_FORMAT must contain {fy} for a financial-year reset`, 500);
+  }
+  return { ...spec, prefix, reset, format };
+}
+
+function renderTokens(template, values, envName) {
+  return template.replace(TOKEN_REGEX, (token, name) => {
+    if (!(name in values)) throw err(`${envName}_FORMAT has an unknown token ${token}`, 500);
+    return values[name];
+  });
+}
+
+/**
+ * Highest sequence already used under `head` by numbers issued before the counter row
+ * existed (e.g. by the old findFirst-based generator), so a new counter continues from it.
+ */
+async function legacyMax(tx, config, head) {
+  const last = await tx[config.model].findFirst({
+    where: { [config.field]: { startsWith: head } },
+    orderBy: { [config.field]: 'desc' },
+    select: { [config.field]: true },
+  });
+  const rest = last?.[config.field]?.slice(head.length);
+  return rest && /^\d+$/.test(rest) ? parseInt(rest, 10) : 0;
+}
+
+/**
+ * Next number of a document type for a date and counter. Must run inside the
+ * transaction that stores the document.
+ */
+export async function nextDocumentNumber(tx, docType, { date = new Date(), counterId = null } = {}) {
+  const config = numberingConfig(docType);
+  const series = seriesFor(counterId);
+
+  const yyyy = String(date.getFullYear());
+  const fyStart = financialYearStart(date);
+  const values = {
+    prefix: config.prefix,
+    series,
+    yyyy,
+    yy: yyyy.slice(2),
+    mm: String(date.getMonth() + 1).padStart(2, '0'),
+    dd: String(date.getDate()).padStart(2, '0'),
+    fy: `${String(fyStart).slice(2)}${String(fyStart + 1).slice(2)}`,
+  };
+
+  let format = config.format;
+  if (!series) format = format.replace(/[-/_.]?\{series\}/g, '');
+  else if (!/\{series\}/.test(format)) {
+    throw err(`${config.env}_FORMAT must contain {series} when STORE_CODE or counterId is used`, 500);
+  }
+
+  const seq = format.match(SEQ_REGEX);
+  const width = seq[1] ? Number(seq[1]) : 4;
+  const head = renderTokens(format.slice(0, seq.index), values, config.env);
+  const tail = renderTokens(format.slice(seq.index + seq[0].length), values, config.env);
+
+  const period = config.reset === 'DAILY'
+    ? `${values.yyyy}${values.mm}${values.dd}`
+    : config.reset === 'FY' ? `FY${fyStart}` : 'ALL';
+  const key = `${docType}|${period}|${head}{seq}${tail}`;
+
+  const existing = await tx.documentSequence.findUnique({ where: { key } });
+  if (!existing) {
+    const seed = tail ? 0 : await legacyMax(tx, config, head);
+    await tx.$executeRaw`
+      INSERT INTO "DocumentSequence" ("key", "lastValue", "updatedAt")
+      VALUES (${key}, ${seed}, NOW())
+      ON CONFLICT ("key") DO NOTHING`;
+  }
+
+  const [row] = await tx.$queryRaw`
+    UPDATE "DocumentSequence"
+    SET "lastValue" = "lastValue" + 1, "updatedAt" = NOW()
+    WHERE "key" = ${key}
+    RETURNING "lastValue"`;
+  return head + String(row.lastValue).padStart(width, '0') + tail;
+}
@@ -0,0 +1,125 @@
+import prisma from '../lib/prisma.js';
+
+function err(message, statusCode = 400) {
+  const e = new Error(message);
+  e.statusCode = statusCode;
+  return e;
+}
+
+function optionalText(value) {
+  return value != null ? String(value).trim() || null : null;
+}
+
+const GSTIN_REGEX = /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Validate and normalize the editable fields present in a supplier payload.
+ */
+function supplierData(payload) {
+  const data = {};
+  if (payload?.name !== undefined) {
+    const name = optionalText(payload.name);
+    if (!name) throw err('name is required');
+    data.name = name;
+  }
+  if (payload?.code !== undefined) {
+    data.code = optionalText(payload.code)?.toUpperCase() ?? null;
+  }
+  for (const field of ['contactName', 'phone', 'address']) {
+    if (payload?.[field] !== undefined) data[field] = optionalText(payload[field]);
+  }
+  if (payload?.email !== undefined) {
+    const email = optionalText(payload.email);
+    if (email && !EMAIL_REGEX.test(email)) throw err('email is not a valid email address');
+    data.email = email;
+  }
+  if (payload?.gstin !== undefined) {
+    const gstin = optionalText(payload.gstin)?.toUpperCase() ?? null;
+    if (gstin && !GSTIN_REGEX.test(gstin)) throw err('gstin must be a valid 15-character GSTIN');
+    data.gstin = gstin;
+  }
+  if (payload?.paymentTermsDays !== undefined) {
+    const days = payload.paymentTermsDays;
+    if (days == null || days === '') {
+      data.paymentTermsDays = null;
+    } else {
+      const n = Number(days);
+      if (!Number.isInteger(n) || n < 0) throw err('paymentTermsDays must be a non-negative integer');
+      data.paymentTermsDays = n;
+    }
+  }
+  if (payload?.active !== undefined) {
+    if (typeof payload.active !== 'boolean') throw err('active must be true or false');
+    data.active = payload.active;
+  }
+  return data;
+}
+
+async function assertCodeFree(code, supplierId = null) {
+  if (!code) return;
+  const clash = await prisma.supplier.findUnique({ where: { code } });
+  if (clash && clash.id !== supplierId) throw err(`A supplier with code ${code} already exists`, 409);
+}
+
+/**
+ * Find suppliers, ordered by name. Filters: q (name, code or GSTIN contains),
+ * includeInactive (default false).
+ */
+export async function listSuppliers(filters = {}) {
+  const { q, includeInactive } = filters;
+  const where = {};
+  if (includeInactive !== true && includeInactive !== 'true') where.active = true;
+  if (q) {
+    const term = String(q).trim();
+    where.OR = [
+      { name: { contains: term, mode: 'insensitive' } },
+      { code: { contains: term, mode: 'insensitive' } },
+      { gstin: { contains: term.toUpperCase() } },
+    ];
+  }
+  return prisma.supplier.findMany({ where, orderBy: { name: 'asc' } });
+}
+
+/**
+ * Get a supplier by id. Returns null if not found.
+ */
+export async function getSupplier(supplierId) {
+  if (!supplierId || typeof supplierId !== 'string') return null;
+  return prisma.supplier.findUnique({ where: { id: supplierId } });
+}
+
+/**
+ * Create a supplier. Input: { name, code?, contactName?, phone?, email?, address?,
+ * gstin?, paymentTermsDays? }
+ */
+export async function createSupplier(payload) {
+  const data = supplierData({ ...payload, name: payload?.name ?? null });
+  delete data.active;
+  await assertCodeFree(data.code);
+  return prisma.supplier.create({ data });
+}
+
+/**
+ * Update a supplier. Only the fields present in the payload change; active: true
+ * reactivates a deactivated supplier.
+ */
+export async function updateSupplier(supplierId, payload) {
+  const existing = await prisma.supplier.findUnique({ where: { id: String(supplierId) } });
+  if (!existing) throw err('Supplier not found', 404);
+
+  const data = supplierData(payload);
+  await assertCodeFree(data.code, existing.id);
+  return prisma.supplier.update({ where: { id: existing.id }, data });
+}
+
+/**
+ * Deactivate a supplier: it drops out of supplier pick lists and takes no new purchases
+ * or purchase orders. History, open orders and payables are untouched.
+ */
+export async function deactivateSupplier(supplierId) {
+  const existing = await prisma.supplier.findUnique({ where: { id: String(supplierId) } });
+  if (!existing) throw err('Supplier not found', 404);
+  if (!existing.active) return existing;
+  return prisma.supplier.update({ where: { id: existing.id }, data: { active: false } });
+}
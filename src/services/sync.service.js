@@ -0,0 +1,271 @@
+import prisma from '../lib/prisma.js';
+import { createSale } from './sale.service.js';
+import { createOpeningLot, parseOpeningUnitCost } from './lot.service.js';
+import { validateVariantAttributes } from './catalog.service.js';
+import { pricesChanged, recordPriceChange, resolveEffectiveFrom } from './price.service.js';
+
+const SYNC_STATUSES = ['created', 'updated', 'unchanged', 'conflict', 'rejected'];
+
+function err(message, statusCode = 400) {
+  const e = new Error(message);
+  e.statusCode = statusCode;
+  return e;
+}
+
+/**
+ * Throw a 409 when the server copy changed after the client's last known version.
+ * Records without updatedAt are applied last-write-wins.
+ */
+function assertNotStale(existing, record) {
+  if (record?.updatedAt == null) return;
+  const clientUpdatedAt = new Date(record.updatedAt);
+  if (Number.isNaN(clientUpdatedAt.getTime())) throw err('updatedAt must be a valid date');
+  if (existing.updatedAt > clientUpdatedAt) {
+    throw err(`Server copy was modified at ${existing.updatedAt.toISOString()}`, 409);
+  }
+}
+
+/**
+ * Run one record and turn its outcome into a per-record result.
+ * 409s and unique-constraint races become conflicts, other 4xx and references to rows
+ * that do not exist (P2003 foreign key, P2025 record not found) become rejections, so one
+ * bad record cannot block the till's sync; anything else is unexpected and aborts the
+ * sync (every step is idempotent, so the client can resend the whole payload).
+ */
+async function runRecord(index, key, fn) {
+  try {
+    const outcome = await fn();
+    return { index, key, ...outcome };
+  } catch (e) {
+    if (e.statusCode === 409 || e.code === 'P2002') {
+      return { index, key, status: 'conflict', reason: e.message, ...(e.details ?? {}) };
+    }
+    if ((e.statusCode >= 400 && e.statusCode < 500) || e.code === 'P2003' || e.code === 'P2025') {
+      return { index, key, status: 'rejected', reason: e.message, ...(e.details ?? {}) };
+    }
+    throw e;
+  }
+}
+
+/**
+ * Upsert a supplier keyed by code (or id when no code is given).
+ */
+async function syncSupplier(record) {
+  const code = record?.code != null ? String(record.code).trim() || null : null;
+  const id = record?.id != null ? String(record.id).trim() || null : null;
+  const name = record?.name != null ? String(record.name).trim() : '';
+
+  if (!code && !id) throw err('Supplier must have code or id');
+  if (!name) throw err('Supplier name is required');
+
+  const existing = code
+    ? await prisma.supplier.findUnique({ where: { code } })
+    : await prisma.supplier.findUnique({ where: { id } });
+
+  if (!existing) {
+    const supplier = await prisma.supplier.create({
+      data: { ...(id ? { id } : {}), code, name },
+    });
+    return { status: 'created', id: supplier.id };
+  }
+
+  assertNotStale(existing, record);
+  const supplier = await prisma.supplier.update({
+    where: { id: existing.id },
+    data: { name, ...(code ? { code } : {}) },
+  });
+  return { status: 'updated', id: supplier.id };
+}
+
+/**
+ * Upsert a product variant keyed by its (client-generated) id.
+ * Applies the same pricing and attribute rules as createProduct. Price changes go into
+ * the price history as of the record's effectiveFrom (when the till changed them) or now,
+ * so offline bills sold after the change are checked against the new prices.
+ */
+async function syncVariant(record) {
+  const id = record?.id != null ? String(record.id).trim() : '';
+  const {
+    categoryId,
+    subcategoryId,
+    attributes_json,
+    mrp,
+    default_selling_price,
+    max_discount_percent,
+    imageUrl,
+  } = record ?? {};
+
+  const missing = [];
+  if (!id) missing.push('id');
+  if (!categoryId) missing.push('categoryId');
+  if (mrp == null) missing.push('mrp');
+  if (default_selling_price == null) missing.push('default_selling_price');
+  if (max_discount_percent == null) missing.push('max_discount_percent');
+  if (!attributes_json || typeof attributes_json !== 'object') missing.push('attributes_json');
+  if (missing.length) throw err(`Missing required fields: ${missing.join(', ')}`);
+
+  const mrpNum = Number(mrp);
+  const priceNum = Number(default_selling_price);
+  const maxDiscountNum = Number(max_discount_percent);
+  if (![mrpNum, priceNum, maxDiscountNum].every(Number.isFinite)) {
+    throw err('mrp, default_selling_price and max_discount_percent must be numbers');
+  }
+  if (priceNum > mrpNum) throw err('default_selling_price must be <= mrp');
+  if (maxDiscountNum > 100) throw err('max_discount_percent must be <= 100');
+
+  const category = await prisma.category.findUnique({ where: { id: categoryId } });
+  if (!category) throw err(`Category not found: ${categoryId}`, 404);
+  if (subcategoryId) {
+    const subcategory = await prisma.subcategory.findUnique({ where: { id: String(subcategoryId) } });
+    if (!subcategory) throw err(`Subcategory not found: ${subcategoryId}`);
+    if (subcategory.categoryId !== categoryId) {
+      throw err(`Subcategory ${subcategoryId} does not belong to category ${categoryId}`);
+    }
+  }
+
+  const data = {
+    categoryId,
+    subcategoryId: subcategoryId ?? null,
+    attributes_json: await validateVariantAttributes(categoryId, attributes_json),
+    mrp: mrpNum,
+    default_selling_price: priceNum,
+    max_discount_percent: maxDiscountNum,
+    imageUrl: imageUrl ?? null,
+  };
+
+  const existing = await prisma.productVariant.findUnique({ where: { id } });
+  if (!existing) {
+    await prisma.$transaction(async (tx) => {
+      await tx.productVariant.create({ data: { id, ...data } });
+      await recordPriceChange(tx, id, null, data, { source: 'CREATE' });
+    });
+    return { status: 'created', id };
+  }
+
+  assertNotStale(existing, record);
+  await prisma.$transaction(async (tx) => {
+    if (pricesChanged(existing, data)) {
+      await recordPriceChange(tx, id, existing, data, {
+        effectiveFrom: await resolveEffectiveFrom(tx, id, record.effectiveFrom),
+        source: 'SYNC',
+      });
+    }
+    await tx.productVariant.update({ where: { id }, data });
+  });
+  return { status: 'updated', id };
+}
+
+/**
+ * Create a product keyed by SKU. Stock is only taken from the payload when the product
+ * is new, valued at its openingUnitCost (required with stock); afterwards it moves exclusively through sales and purchases, so a known SKU
+ * (same variant and supplier) is reported as unchanged.
+ */
+async function syncProduct(record) {
+  const sku = record?.sku != null ? String(record.sku).trim() : '';
+  const productVariantId = record?.productVariantId != null ? String(record.productVariantId).trim() : '';
+  const supplierId = record?.supplierId != null ? String(record.supplierId).trim() : '';
+
+  const missing = [];
+  if (!sku) missing.push('sku');
+  if (!productVariantId) missing.push('productVariantId');
+  if (!supplierId) missing.push('supplierId');
+  if (missing.length) throw err(`Missing required fields: ${missing.join(', ')}`);
+
+  const existing = await prisma.product.findUnique({ where: { sku } });
+  if (existing) {
+    if (existing.productVariantId !== productVariantId || existing.supplierId !== supplierId) {
+      throw err(`SKU ${sku} already belongs to a different variant or supplier`, 409);
+    }
+    assertNotStale(existing, record);
+    return { status: 'unchanged', id: existing.id };
+  }
+
+  const [variant, supplier] = await Promise.all([
+    prisma.productVariant.findUnique({ where: { id: productVariantId } }),
+    prisma.supplier.findUnique({ where: { id: supplierId } }),
+  ]);
+  if (!variant) throw err(`ProductVariant not found: ${productVariantId}`, 404);
+  if (!supplier) throw err(`Supplier not found: ${supplierId}`, 404);
+
+  const qty = Number(record.quantityInStock ?? 0);
+  if (!Number.isInteger(qty) || qty < 0) throw err('quantityInStock must be a non-negative integer');
+  const unitCost = parseOpeningUnitCost(record.openingUnitCost, qty);
+
+  const product = await prisma.$transaction(async (tx) => {
+    const created = await tx.product.create({
+      data: { sku, productVariantId, supplierId, quantityInStock: qty },
+    });
+    await createOpeningLot(tx, created.id, qty, { unitCost: unitCost ?? 0 });
+    return created;
+  });
+  return { status: 'created', id: product.id };
+}
+
+/**
+ * Replay an offline sale through createSale. clientRef makes the replay idempotent:
+ * a sale that was already synced is reported as a conflict pointing at the existing bill.
+ */
+async function syncSale(record) {
+  const clientRef = record?.clientRef != null ? String(record.clientRef).trim() : '';
+  if (!clientRef) throw err('Sale must have clientRef');
+
+  const existing = await prisma.sale.findUnique({
+    where: { clientRef },
+    select: { id: true, billNumber: true },
+  });
+  if (existing) {
+    const e = err(`Sale already synced as ${existing.billNumber}`, 409);
+    e.details = { saleId: existing.id, billNumber: existing.billNumber };
+    throw e;
+  }
+
+  const sale = await createSale(
+    {
+      items: record.items,
+      payments: record.payments,
+      discount: record.discount,
+      couponCode: record.couponCode,
+      roundOff: record.roundOff,
+      placeOfSupply: record.placeOfSupply,
+      customer: record.customer,
+      counterId: record.counterId,
+    },
+    { soldAt: record.soldAt, clientRef }
+  );
+  return { status: 'created', id: sale.saleId, billNumber: sale.billNumber };
+}
+
+function summarize(results) {
+  const summary = Object.fromEntries(SYNC_STATUSES.map((s) => [s, 0]));
+  for (const r of results) summary[r.status] += 1;
+  return summary;
+}
+
+/**
+ * Persist an offline payload: suppliers, then variants, then products, then sales,
+ * so later records can reference earlier ones. Each record is applied on its own,
+ * so one bad record does not block the rest.
+ * Returns per-record results ({ index, key, status, id?, reason? }) and a summary per key.
+ */
+export async function syncOfflinePayload(payload) {
+  const { suppliers = [], variants = [], products = [], sales = [] } = payload ?? {};
+  const results = { suppliers: [], variants: [], products: [], sales: [] };
+
+  for (const [i, r] of suppliers.entries()) {
+    results.suppliers.push(await runRecord(i, r?.code ?? r?.id ?? null, () => syncSupplier(r)));
+  }
+  for (const [i, r] of variants.entries()) {
+    results.variants.push(await runRecord(i, r?.id ?? null, () => syncVariant(r)));
+  }
+  for (const [i, r] of products.entries()) {
+    results.products.push(await runRecord(i, r?.sku ?? null, () => syncProduct(r)));
+  }
+  for (const [i, r] of sales.entries()) {
+    results.sales.push(await runRecord(i, r?.clientRef ?? null, () => syncSale(r)));
+  }
+
+  const summary = Object.fromEntries(
+    Object.entries(results).map(([key, list]) => [key, summarize(list)])
+  );
+  return { ...results, summary };
+}
@@ -0,0 +1,107 @@
+/**
+ * GST helpers. Selling prices and MRP are tax-inclusive, so tax is always
+ * back-calculated from the amount the customer pays.
+ *
+ * Slabs are stored on Category (default) or ProductVariant (override) as
+ * [{ maxPrice?, rate }], checked in order of maxPrice: the first slab whose maxPrice
+ * is at least the per-unit taxable value applies, a slab without maxPrice catches the
+ * rest. A flat rate is a single slab: [{ rate: 5 }].
+ */
+
+export const GST_RATES = [0, 0.25, 3, 5, 12, 18, 28, 40];
+
+function err(message, statusCode = 400) {
+  const e = new Error(message);
+  e.statusCode = statusCode;
+  return e;
+}
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+/**
+ * Two-digit state code of the store: STORE_STATE_CODE, else the first two digits of STORE_GSTIN.
+ */
+export function getStoreStateCode() {
+  const explicit = process.env.STORE_STATE_CODE?.trim();
+  if (explicit) return explicit.padStart(2, '0');
+  const gstin = process.env.STORE_GSTIN?.trim();
+  return gstin && /^\d{2}/.test(gstin) ? gstin.slice(0, 2) : null;
+}
+
+/**
+ * Validate and sort a slab list. Returns null for an empty value (inherit from category).
+ */
+export function normalizeGstSlabs(slabs) {
+  if (slabs == null) return null;
+  if (!Array.isArray(slabs) || slabs.length === 0) {
+    throw err('gstSlabs must be a non-empty array of { maxPrice?, rate }');
+  }
+
+  const normalized = slabs.map((slab, i) => {
+    const rate = Number(slab?.rate);
+    if (!GST_RATES.includes(rate)) {
+      throw err(`gstSlabs[${i}].rate must be one of ${GST_RATES.join(', ')}`);
+    }
+    if (slab.maxPrice == null) return { rate };
+    const maxPrice = Number(slab.maxPrice);
+    if (!Number.isFinite(maxPrice) || maxPrice <= 0) {
+      throw err(`gstSlabs[${i}].maxPrice must be a positive number`);
+    }
+    return { maxPrice, rate };
+  });
+
+  normalized.sort((a, b) => (a.maxPrice ?? Infinity) - (b.maxPrice ?? Infinity));
+  const openEnded = normalized.filter((s) => s.maxPrice == null);
+  if (openEnded.length !== 1) {
+    throw err('gstSlabs must have exactly one slab without maxPrice');
+  }
+  return normalized;
+}
+
+/**
+ * HSN code and slabs for a variant, falling back to its category.
+ */
+export function resolveTaxProfile(variant) {
+  return {
+    hsnCode: variant?.hsnCode ?? variant?.category?.hsnCode ?? null,
+    gstSlabs: variant?.gstSlabs ?? variant?.category?.gstSlabs ?? null,
+  };
+}
+
+/**
+ * Pick the GST rate for a tax-inclusive unit price. The slab threshold applies to the
+ * taxable value, so each slab is tried with the price back-calculated at its own rate.
+ */
+export function pickGstRate(slabs, unitPriceInclusive) {
+  if (!Array.isArray(slabs) || slabs.length === 0) return 0;
+  for (const slab of slabs) {
+    if (slab.maxPrice == null) return slab.rate;
+    const taxable = unitPriceInclusive / (1 + slab.rate / 100);
+    if (taxable <= slab.maxPrice) return slab.rate;
+  }
+  return slabs[slabs.length - 1].rate;
+}
+
+/**
+ * Split a tax-inclusive amount into taxable value and CGST/SGST (same state) or IGST.
+ */
+export function splitInclusiveAmount(amount, rate, interState) {
+  const taxableValue = round2(amount / (1 + rate / 100));
+  const tax = round2(amount - taxableValue);
+  if (interState) {
+    return { taxableValue, cgstAmount: 0, sgstAmount: 0, igstAmount: tax };
+  }
+  const cgstAmount = round2(tax / 2);
+  return { taxableValue, cgstAmount, sgstAmount: round2(tax - cgstAmount), igstAmount: 0 };
+}
+
+/**
+ * Tax fields for one sale line (lineTotal is the net, tax-inclusive amount).
+ */
+export function computeLineTax(variant, quantity, lineTotal, interState) {
+  const { hsnCode, gstSlabs } = resolveTaxProfile(variant);
+  const gstRate = pickGstRate(gstSlabs, quantity > 0 ? lineTotal / quantity : 0);
+  return { hsnCode, gstRate, ...splitInclusiveAmount(lineTotal, gstRate, interState) };
+}